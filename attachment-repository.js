@@ -0,0 +1,220 @@
+// --- Repositorio de Archivos Adjuntos ---
+
+// Los archivos que se adjuntan a los mensajes (capturas, PDFs...) se guardan en MongoDB con GridFS,
+// que trocea cada archivo en bloques: así no dependemos del disco del servidor y no chocamos
+// con el límite de 16 MB por documento.
+//
+// El ciclo de vida de un adjunto es:
+// 1. Se sube (POST /attachments) y queda "suelto": solo lo puede ver quien lo subió.
+// 2. Se envía un mensaje que lo referencia y queda asociado a ese mensaje (`metadata.messageId`).
+//    A partir de aquí puede verlo cualquiera que pueda leer la sala del mensaje.
+// 3. Cuando se borra el mensaje, se borra también el archivo.
+// Los adjuntos que nunca llegan a enviarse se borran solos pasado un día (ver `init`).
+
+import { GridFSBucket, ObjectId } from 'mongodb'
+import { finished } from 'node:stream/promises'
+import { db } from './db.js'
+import { ATTACHMENT_MAX_BYTES, ATTACHMENT_MIME_TYPES } from './config.js'
+
+// GridFS guarda los datos en dos colecciones: `attachments.files` (uno por archivo) y `attachments.chunks`.
+const bucket = new GridFSBucket(db, { bucketName: 'attachments' })
+const files = db.collection('attachments.files')
+
+// Las variables de entorno siempre llegan como texto: las convertimos una sola vez.
+export const MAX_ATTACHMENT_BYTES = Number(ATTACHMENT_MAX_BYTES)
+const allowedTypes = ATTACHMENT_MIME_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+
+// Tipos que el navegador puede mostrar como vista previa. SVG no está a propósito:
+// puede llevar scripts dentro.
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+// Número máximo de adjuntos en un mismo mensaje.
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4
+
+// Tiempo tras el que se borra un adjunto que se subió pero nunca se envió en un mensaje.
+const ORPHAN_TTL_MS = 24 * 60 * 60 * 1000
+
+export class AttachmentRepository {
+  /**
+   * Crea los índices y borra los adjuntos huérfanos. Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    await files.createIndex({ 'metadata.messageId': 1 })
+
+    const orphans = await files
+      .find({ 'metadata.messageId': null, uploadDate: { $lt: new Date(Date.now() - ORPHAN_TTL_MS) } })
+      .project({ _id: 1 })
+      .toArray()
+    for (const { _id } of orphans) await bucket.delete(_id)
+  }
+
+  /**
+   * Guarda un archivo subido por un usuario. Todavía no pertenece a ningún mensaje.
+   * @param {object} params
+   * @param {string} params.owner - El username de quien lo sube.
+   * @param {string} params.name - El nombre original del archivo.
+   * @param {string} params.contentType - El tipo MIME declarado.
+   * @param {Buffer} params.data - El contenido del archivo.
+   * @returns {Promise<object>} - El adjunto, tal y como se envía a los clientes.
+   */
+  static async upload ({ owner, name, contentType, data }) {
+    Validation.name(name)
+    Validation.file({ contentType, data })
+
+    const stream = bucket.openUploadStream(name.trim(), { metadata: { owner, contentType, messageId: null } })
+    stream.end(data)
+    await finished(stream)
+
+    return AttachmentRepository.toPublic(await files.findOne({ _id: stream.id }))
+  }
+
+  /**
+   * Busca un adjunto por su ID. Devuelve `null` si el ID no es válido o no existe.
+   * @param {string} attachmentId - El ID del adjunto.
+   * @returns {Promise<object|null>}
+   */
+  static async findById (attachmentId) {
+    if (!ObjectId.isValid(attachmentId)) return null
+    return files.findOne({ _id: new ObjectId(attachmentId) })
+  }
+
+  /**
+   * Comprueba que una lista de adjuntos se puede enviar en un mensaje: que existen, que los subió
+   * el mismo usuario y que no pertenecen ya a otro mensaje.
+   * @param {object} params
+   * @param {string[]} params.ids - Los IDs de los adjuntos.
+   * @param {string} params.owner - El username de quien envía el mensaje.
+   * @returns {Promise<object[]>} - Los adjuntos, tal y como se guardan en el mensaje.
+   */
+  static async findClaimable ({ ids, owner }) {
+    Validation.ids(ids)
+    if (!ids.length) return []
+
+    const found = await files.find({
+      _id: { $in: ids.map(id => new ObjectId(id)) },
+      'metadata.owner': owner,
+      'metadata.messageId': null
+    }).toArray()
+    if (found.length !== new Set(ids).size) throw new Error('Alguno de los archivos adjuntos no existe o ya se ha enviado.')
+
+    return found.map(AttachmentRepository.toPublic)
+  }
+
+  /**
+   * Asocia a un mensaje los adjuntos que se enviaron con él.
+   * @param {object} params
+   * @param {object[]} params.attachments - Los adjuntos (devueltos por `findClaimable`).
+   * @param {string} params.owner - El username de quien envía el mensaje.
+   * @param {ObjectId} params.messageId - El ID del mensaje.
+   */
+  static async attach ({ attachments, owner, messageId }) {
+    if (!attachments.length) return
+
+    // Volvemos a filtrar por `messageId: null`: si otro mensaje los reclamó justo a la vez, no los robamos.
+    const result = await files.updateMany(
+      { _id: { $in: attachments.map(({ id }) => new ObjectId(id)) }, 'metadata.owner': owner, 'metadata.messageId': null },
+      { $set: { 'metadata.messageId': messageId } }
+    )
+    if (result.modifiedCount !== attachments.length) {
+      // Deshacemos la asociación parcial para no dejar el mensaje a medias.
+      await files.updateMany({ 'metadata.messageId': messageId }, { $set: { 'metadata.messageId': null } })
+      throw new Error('Alguno de los archivos adjuntos ya se ha enviado.')
+    }
+  }
+
+  /**
+   * Abre un stream de lectura con el contenido de un adjunto.
+   * @param {object} file - El documento del adjunto.
+   * @returns {import('mongodb').GridFSBucketReadStream}
+   */
+  static openDownloadStream (file) {
+    return bucket.openDownloadStream(file._id)
+  }
+
+  /**
+   * Borra todos los adjuntos de un mensaje (se llama al borrar el mensaje).
+   * @param {ObjectId} messageId - El ID del mensaje.
+   */
+  static async removeForMessage (messageId) {
+    const attached = await files.find({ 'metadata.messageId': messageId }).project({ _id: 1 }).toArray()
+    for (const { _id } of attached) await bucket.delete(_id)
+  }
+
+  /**
+   * Cambia el dueño de los adjuntos de un usuario que se ha cambiado el nombre.
+   * @param {object} params
+   * @param {string} params.from - El nombre anterior.
+   * @param {string} params.to - El nombre nuevo.
+   */
+  static async renameOwner ({ from, to }) {
+    await files.updateMany({ 'metadata.owner': from }, { $set: { 'metadata.owner': to } })
+  }
+
+  /**
+   * Borra los adjuntos que un usuario subió pero nunca llegó a enviar (al borrar su cuenta).
+   * @param {string} owner - El username de quien los subió.
+   */
+  static async removeUnsent (owner) {
+    const unsent = await files.find({ 'metadata.owner': owner, 'metadata.messageId': null }).project({ _id: 1 }).toArray()
+    for (const { _id } of unsent) await bucket.delete(_id)
+  }
+
+  /**
+   * Indica si un tipo MIME es una imagen que el navegador puede mostrar en línea.
+   * @param {string} contentType - El tipo MIME.
+   * @returns {boolean}
+   */
+  static isImage (contentType) {
+    return IMAGE_TYPES.includes(contentType)
+  }
+
+  /**
+   * Convierte un documento de GridFS en el objeto que enviamos a los clientes.
+   * @param {object} file - El documento de `attachments.files`.
+   * @returns {object}
+   */
+  static toPublic (file) {
+    const { contentType } = file.metadata
+    return {
+      id: file._id.toString(),
+      name: file.filename,
+      contentType,
+      size: file.length,
+      isImage: AttachmentRepository.isImage(contentType)
+    }
+  }
+}
+
+/**
+ * Reglas de validación de los adjuntos.
+ */
+class Validation {
+  /**
+   * Valida el nombre del archivo.
+   * @param {string} name - El nombre a validar.
+   */
+  static name (name) {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('El archivo debe tener un nombre.')
+    if (name.length > 200) throw new Error('El nombre del archivo no puede superar los 200 caracteres.')
+    if (/[/\\]/.test(name)) throw new Error('El nombre del archivo no puede contener barras.')
+  }
+
+  /**
+   * Valida el tipo y el tamaño del archivo.
+   * @param {object} params - El tipo MIME declarado y el contenido.
+   */
+  static file ({ contentType, data }) {
+    if (!allowedTypes.includes(contentType)) throw new Error(`No se admiten archivos de tipo '${contentType}'.`)
+    if (!Buffer.isBuffer(data) || !data.length) throw new Error('El archivo está vacío.')
+    if (data.length > MAX_ATTACHMENT_BYTES) throw new Error(`El archivo no puede superar los ${MAX_ATTACHMENT_BYTES} bytes.`)
+  }
+
+  /**
+   * Valida la lista de IDs de adjuntos de un mensaje.
+   * @param {string[]} ids - Los IDs a validar.
+   */
+  static ids (ids) {
+    if (!Array.isArray(ids) || !ids.every(id => ObjectId.isValid(id))) throw new Error('Los archivos adjuntos no son válidos.')
+    if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) throw new Error(`Un mensaje admite como máximo ${MAX_ATTACHMENTS_PER_MESSAGE} archivos adjuntos.`)
+  }
+}
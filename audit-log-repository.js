@@ -0,0 +1,45 @@
+// --- Repositorio del Registro de Auditoría (Moderación) ---
+
+// Cada acción de moderación (borrar un mensaje ajeno, silenciar, suspender, cambiar un rol...)
+// queda registrada aquí: quién la hizo, sobre quién o qué, cuándo y con qué detalles.
+// El registro solo se escribe y se consulta; nunca se modifica ni se borra desde la aplicación.
+
+import { db } from './db.js'
+
+const auditLog = db.collection('audit_log')
+
+// Número máximo de entradas que devuelve una consulta del registro.
+const MAX_ENTRIES = 100
+
+export class AuditLogRepository {
+  /**
+   * Crea los índices de la colección. Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    await auditLog.createIndex({ createdAt: -1 })
+    await auditLog.createIndex({ target: 1, createdAt: -1 })
+  }
+
+  /**
+   * Registra una acción de moderación.
+   * @param {object} params
+   * @param {string} params.action - La acción (por ejemplo 'delete message', 'mute user', 'ban user').
+   * @param {string} params.actor - El username de quien la realiza.
+   * @param {string} params.target - Sobre quién se realiza (username) o qué (ID de mensaje).
+   * @param {object} [params.details] - Datos adicionales (duración, contenido borrado, rol anterior...).
+   */
+  static async record ({ action, actor, target, details = {} }) {
+    await auditLog.insertOne({ action, actor, target, details, createdAt: new Date() })
+  }
+
+  /**
+   * Devuelve las entradas más recientes del registro.
+   * @param {object} [params]
+   * @param {number} [params.limit=50] - Cuántas entradas devolver (como mucho `MAX_ENTRIES`).
+   * @returns {Promise<object[]>}
+   */
+  static async list ({ limit = 50 } = {}) {
+    const entries = await auditLog.find().sort({ createdAt: -1 }).limit(Math.min(Number(limit) || 50, MAX_ENTRIES)).toArray()
+    return entries.map(({ _id, ...entry }) => ({ id: _id.toString(), ...entry }))
+  }
+}
@@ -0,0 +1,86 @@
+// --- Repositorio de Avatares ---
+
+// Las imágenes de perfil se guardan en MongoDB con GridFS, igual que los archivos adjuntos
+// (ver `attachment-repository.js`), pero en su propio "bucket" (`avatars`): no pertenecen a
+// ningún mensaje y cualquier usuario con sesión puede verlas.
+//
+// Cada vez que un usuario cambia de avatar se guarda una imagen nueva (con un ID nuevo) y se borra
+// la anterior. Como el ID forma parte de la URL, el navegador puede guardarla en caché para siempre.
+
+import { GridFSBucket, ObjectId } from 'mongodb'
+import { finished } from 'node:stream/promises'
+import { db } from './db.js'
+import { AVATAR_MAX_BYTES } from './config.js'
+
+// GridFS guarda los datos en dos colecciones: `avatars.files` y `avatars.chunks`.
+const bucket = new GridFSBucket(db, { bucketName: 'avatars' })
+const files = db.collection('avatars.files')
+
+// Las variables de entorno siempre llegan como texto: la convertimos una sola vez.
+export const MAX_AVATAR_BYTES = Number(AVATAR_MAX_BYTES)
+
+// Formatos admitidos. SVG no está a propósito: puede llevar scripts dentro.
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+export class AvatarRepository {
+  /**
+   * Guarda la imagen de perfil de un usuario.
+   * @param {object} params
+   * @param {string} params.owner - El username del usuario.
+   * @param {string} params.contentType - El tipo MIME declarado.
+   * @param {Buffer} params.data - El contenido de la imagen.
+   * @returns {Promise<string>} - El ID de la imagen.
+   */
+  static async upload ({ owner, contentType, data }) {
+    Validation.image({ contentType, data })
+
+    const stream = bucket.openUploadStream('avatar', { metadata: { owner, contentType } })
+    stream.end(data)
+    await finished(stream)
+    return stream.id.toString()
+  }
+
+  /**
+   * Busca una imagen por su ID. Devuelve `null` si el ID no es válido o no existe.
+   * @param {string} avatarId - El ID de la imagen.
+   * @returns {Promise<object|null>}
+   */
+  static async findById (avatarId) {
+    if (!ObjectId.isValid(avatarId)) return null
+    return files.findOne({ _id: new ObjectId(avatarId) })
+  }
+
+  /**
+   * Abre un stream de lectura con el contenido de una imagen.
+   * @param {object} file - El documento de la imagen.
+   * @returns {import('mongodb').GridFSBucketReadStream}
+   */
+  static openDownloadStream (file) {
+    return bucket.openDownloadStream(file._id)
+  }
+
+  /**
+   * Borra una imagen (al cambiar de avatar, quitarlo o borrar la cuenta). No falla si ya no existe.
+   * @param {string|null} avatarId - El ID de la imagen.
+   */
+  static async remove (avatarId) {
+    if (!avatarId || !ObjectId.isValid(avatarId)) return
+    const _id = new ObjectId(avatarId)
+    if (await files.countDocuments({ _id })) await bucket.delete(_id)
+  }
+}
+
+/**
+ * Reglas de validación de las imágenes de perfil.
+ */
+class Validation {
+  /**
+   * Valida el tipo y el tamaño de la imagen.
+   * @param {object} params - El tipo MIME declarado y el contenido.
+   */
+  static image ({ contentType, data }) {
+    if (!IMAGE_TYPES.includes(contentType)) throw new Error('El avatar debe ser una imagen PNG, JPEG, GIF o WebP.')
+    if (!Buffer.isBuffer(data) || !data.length) throw new Error('La imagen está vacía.')
+    if (data.length > MAX_AVATAR_BYTES) throw new Error(`La imagen no puede superar los ${MAX_AVATAR_BYTES} bytes.`)
+  }
+}
@@ -0,0 +1,60 @@
+// --- Bot de Dados ---
+
+// Ejemplo de bot (ver `commands.js`): tira dados con `/roll 2d6` o, dentro de cualquier
+// mensaje, con la notación `[[2d6]]`. Firma sus mensajes como 'dados'.
+
+import crypto from 'crypto'
+
+// Límites para que nadie pida un millón de dados.
+const MAX_DICE = 20
+const MAX_SIDES = 1000
+
+const DICE_PATTERN = /^(\d{0,2})d(\d{1,4})$/i
+
+/**
+ * Tira los dados de una expresión como `2d6` (dos dados de seis caras) o `d20`.
+ * @param {string} expression - La expresión.
+ * @returns {string} - El resultado, listo para publicar.
+ * @throws {Error} - Si la expresión no es válida.
+ */
+const roll = (expression) => {
+  const [, count = '', sides = ''] = expression.match(DICE_PATTERN) ?? []
+  const dice = Number(count || 1)
+  if (!sides || dice < 1 || dice > MAX_DICE || Number(sides) < 2 || Number(sides) > MAX_SIDES) {
+    throw new Error(`Escribe los dados como 2d6: hasta ${MAX_DICE} dados de 2 a ${MAX_SIDES} caras.`)
+  }
+
+  const results = Array.from({ length: dice }, () => crypto.randomInt(1, Number(sides) + 1))
+  const total = results.reduce((sum, value) => sum + value, 0)
+  return dice > 1 ? `🎲 ${dice}d${sides}: ${results.join(' + ')} = **${total}**` : `🎲 d${sides}: **${total}**`
+}
+
+export default {
+  name: 'dados',
+  commands: [
+    {
+      name: 'roll',
+      description: 'Tira dados y publica el resultado en la sala.',
+      usage: '/roll [2d6]',
+      run: async ({ args, user, reply, send }) => {
+        try {
+          await send(`${user.username} tira ${roll(args || 'd6')}`)
+        } catch (error) {
+          reply(error.message)
+        }
+      }
+    }
+  ],
+  listeners: [
+    {
+      pattern: /\[\[(\d{0,2}d\d{1,4})\]\]/i,
+      run: async ({ match, user, send }) => {
+        try {
+          await send(`${user.username} tira ${roll(match[1])}`)
+        } catch {
+          // Una expresión no válida dentro de un mensaje normal se ignora: puede no ir dirigida al bot.
+        }
+      }
+    }
+  ]
+}
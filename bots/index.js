@@ -0,0 +1,8 @@
+// --- Bots Registrados ---
+
+// Cada bot vive en su propio archivo de esta carpeta (ver la interfaz en `commands.js`).
+// Para añadir uno, se importa aquí y se añade a la lista: `index.js` los registra todos al arrancar.
+
+import dice from './dice.js'
+
+export const BOTS = [dice]
@@ -0,0 +1,318 @@
+// --- Exportación e Importación del Historial del Chat ---
+
+// Convierte los mensajes de `message-repository.js` en un archivo descargable, en uno de estos formatos:
+// - 'jsonl' (JSON Lines): una línea JSON por sala y por mensaje, con todos sus datos (`kind` dice cuál es). Es el único
+//   que se puede volver a importar.
+// - 'csv': una fila por mensaje, para abrirlo en una hoja de cálculo.
+// - 'html': una transcripción legible que no depende de nada más (los estilos van dentro).
+//
+// Todo se genera línea a línea con generadores asíncronos: el servidor nunca tiene en memoria
+// más que el mensaje que está escribiendo, por muchos que tenga la exportación.
+//
+// Los archivos adjuntos no se incluyen, solo su descripción (nombre, tipo y tamaño).
+
+import { ObjectId } from 'mongodb'
+import { MessageRepository } from './message-repository.js'
+import { RoomRepository } from './room-repository.js'
+
+// Versión del formato 'jsonl'. Si algún día cambia, la importación sabrá qué está leyendo.
+const EXPORT_VERSION = 1
+
+// Cuántos mensajes se guardan de una vez al importar.
+const IMPORT_BATCH_SIZE = 500
+
+// Formatos disponibles, con el tipo de contenido y la extensión del archivo descargado.
+export const EXPORT_FORMATS = {
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+}
+
+// Campos con fecha, en cualquier nivel del documento. En JSON viajan como texto (ISO 8601).
+const DATE_FIELDS = new Set(['timestamp', 'editedAt', 'deletedAt', 'expiresAt', 'lastReplyAt', 'writtenAt', 'createdAt', 'archivedAt', 'lastMessageAt'])
+
+/**
+ * Genera el contenido de una exportación, trozo a trozo.
+ * @param {object} params
+ * @param {string} params.format - Uno de `EXPORT_FORMATS`.
+ * @param {object[]} params.rooms - Las salas exportadas.
+ * @param {AsyncIterable<object>} params.messages - Los mensajes, ordenados por sala (ver `MessageRepository.findForExport`).
+ * @param {object} params.meta - Quién exporta y con qué filtros ({ exportedBy, filters }).
+ * @returns {AsyncGenerator<string>}
+ */
+export async function * exportMessages ({ format, rooms, messages, meta }) {
+  const exportedAt = new Date()
+  const roomsById = new Map(rooms.map(room => [room._id.toString(), room]))
+
+  if (format === 'jsonl') {
+    yield JSON.stringify({ kind: 'export', version: EXPORT_VERSION, exportedAt, ...meta }) + '\n'
+    for (const room of rooms) yield JSON.stringify({ kind: 'room', ...room }) + '\n'
+    for await (const message of messages) yield JSON.stringify({ kind: 'message', ...message }) + '\n'
+    return
+  }
+
+  if (format === 'csv') {
+    // El BOM hace que Excel abra el archivo como UTF-8 (si no, las tildes salen mal).
+    yield '\ufeff' + csvRow(['id', 'room', 'parent_id', 'timestamp', 'author', 'content', 'edited_at', 'deleted', 'attachments'])
+    for await (const message of messages) {
+      yield csvRow([
+        message._id,
+        roomLabel(roomsById.get(message.roomId.toString())),
+        message.parentId ?? '',
+        message.timestamp.toISOString(),
+        authorLabel(message),
+        message.content,
+        message.editedAt?.toISOString() ?? '',
+        message.deleted ? 'yes' : '',
+        (message.attachments ?? []).map(({ name }) => name).join('; ')
+      ])
+    }
+    return
+  }
+
+  yield htmlHeader({ exportedAt, ...meta })
+  let currentRoomId = null
+  for await (const message of messages) {
+    // Los mensajes llegan agrupados por sala: abrimos una sección nueva cada vez que cambia.
+    if (message.roomId.toString() !== currentRoomId) {
+      if (currentRoomId) yield '</section>\n'
+      currentRoomId = message.roomId.toString()
+      yield `<section>\n<h2>${escapeHtml(roomLabel(roomsById.get(currentRoomId)))}</h2>\n`
+    }
+    yield htmlMessage(message)
+  }
+  if (currentRoomId) yield '</section>\n'
+  yield '</body>\n</html>\n'
+}
+
+/**
+ * Importa una exportación en formato 'jsonl'. Solo se permite con la colección de mensajes vacía:
+ * restaurar sobre un historial existente mezclaría los dos.
+ * Las salas se restauran (o se reutilizan, ver `RoomRepository.restore`) y los mensajes se guardan
+ * con su `_id`, autor y fechas originales.
+ * Si una línea no es válida (o falla un lote), se deshace todo lo importado hasta ese momento: lo que
+ * se guarda va marcado con un `importId` que solo se quita al terminar bien. Mientras dura, los mensajes
+ * ya guardados se ven en el chat; si el servidor se cae a medias, quedan con su marca (`importId`).
+ * @param {AsyncIterable<string>} lines - Las líneas del archivo.
+ * @returns {Promise<{ rooms: number, messages: number }>} - Cuántas salas y mensajes se han importado.
+ */
+export async function importMessages (lines) {
+  if (!await MessageRepository.isEmpty()) throw new Error('Solo se puede importar en una base de datos sin mensajes.')
+
+  const importId = new ObjectId()
+  try {
+    const result = await importRecords(lines, importId)
+    await MessageRepository.commitImported(importId)
+    await RoomRepository.commitImported(importId)
+    return result
+  } catch (e) {
+    await MessageRepository.discardImported(importId)
+    await RoomRepository.discardImported(importId)
+    throw e
+  }
+}
+
+/**
+ * Guarda las salas y los mensajes de una exportación, marcados con `importId` (ver `importMessages`).
+ * @param {AsyncIterable<string>} lines - Las líneas del archivo.
+ * @param {ObjectId} importId - La marca de esta importación.
+ * @returns {Promise<{ rooms: number, messages: number }>} - Cuántas salas y mensajes se han importado.
+ */
+async function importRecords (lines, importId) {
+  // IDs de las salas en la exportación -> IDs en esta base de datos.
+  const roomIds = new Map()
+  let batch = []
+  let imported = 0
+  let lineNumber = 0
+  // La cabecera es el primer registro, aunque haya líneas en blanco antes.
+  let sawHeader = false
+
+  for await (const line of lines) {
+    lineNumber++
+    if (!line.trim()) continue
+
+    let record
+    try {
+      record = JSON.parse(line, (key, value) => DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value)
+    } catch {
+      throw new Error(`La línea ${lineNumber} no es JSON válido.`)
+    }
+
+    const { kind, ...doc } = record
+    if (!sawHeader) {
+      if (kind !== 'export' || doc.version !== EXPORT_VERSION) throw new Error('El archivo no es una exportación JSON Lines compatible.')
+      sawHeader = true
+      continue
+    }
+
+    if (kind === 'room') {
+      Validation.room(doc, lineNumber)
+      roomIds.set(doc._id, await RoomRepository.restore({ ...doc, _id: new ObjectId(doc._id) }, { importId }))
+    } else if (kind === 'message') {
+      Validation.message(doc, lineNumber)
+      const roomId = roomIds.get(doc.roomId)
+      if (!roomId) throw new Error(`La línea ${lineNumber} es de una sala que no aparece antes en el archivo.`)
+      batch.push({ ...doc, _id: new ObjectId(doc._id), roomId, parentId: doc.parentId ? new ObjectId(doc.parentId) : null, importId })
+      if (batch.length >= IMPORT_BATCH_SIZE) {
+        await MessageRepository.insertImported(batch)
+        imported += batch.length
+        batch = []
+      }
+    } else {
+      throw new Error(`La línea ${lineNumber} no es ni una sala ni un mensaje.`)
+    }
+  }
+
+  if (!sawHeader) throw new Error('El archivo no es una exportación JSON Lines compatible.')
+  await MessageRepository.insertImported(batch)
+  return { rooms: roomIds.size, messages: imported + batch.length }
+}
+
+/**
+ * Nombre legible de una sala: `#nombre` para los canales y los participantes para las conversaciones privadas.
+ * @param {object} [room] - El documento de la sala.
+ * @returns {string}
+ */
+function roomLabel (room) {
+  if (!room) return ''
+  return room.type === 'direct' ? room.members.join(', ') : `#${room.name}`
+}
+
+/**
+ * Autor legible de un mensaje: su username o, si lo escribió un bot, el nombre del bot.
+ * Vacío si el autor borró su cuenta.
+ * @param {object} message - El documento del mensaje.
+ * @returns {string}
+ */
+function authorLabel (message) {
+  if (message.bot) return `${message.bot} (bot)`
+  return message.user ?? ''
+}
+
+/**
+ * Convierte una lista de valores en una fila CSV (RFC 4180).
+ * Los textos que empiezan por `=`, `+`, `-` o `@` se prefijan con `'`: si no, una hoja de cálculo
+ * los ejecutaría como fórmulas (un mensaje podría ser `=HYPERLINK(...)`).
+ * @param {unknown[]} values - Los valores.
+ * @returns {string}
+ */
+function csvRow (values) {
+  return values.map(value => {
+    let text = String(value)
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+  }).join(',') + '\r\n'
+}
+
+/**
+ * Escapa un texto para insertarlo en HTML. En la transcripción nada se interpreta:
+ * el Markdown y las etiquetas se ven tal cual se escribieron.
+ * @param {string} text - El texto.
+ * @returns {string}
+ */
+function escapeHtml (text) {
+  return String(text)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;')
+}
+
+/**
+ * Formatea una fecha para la transcripción, siempre en UTC (no sabemos dónde se leerá).
+ * @param {Date} date - La fecha.
+ * @returns {string}
+ */
+const formatDate = (date) => `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`
+
+/**
+ * Cabecera de la transcripción HTML, con sus estilos.
+ * @param {object} meta - Quién exporta, cuándo y con qué filtros.
+ * @returns {string}
+ */
+function htmlHeader ({ exportedAt, exportedBy, filters }) {
+  const appliedFilters = Object.entries(filters).filter(([, value]) => value).map(([key, value]) => `${key}: ${value}`)
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>Historial del chat</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; color: #222; }
+  h2 { border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  article { margin: 10px 0; }
+  article.reply { margin-left: 30px; }
+  .meta { color: #666; font-size: 0.85em; }
+  .author { font-weight: bold; color: #222; }
+  .content { white-space: pre-wrap; word-wrap: break-word; margin: 2px 0; }
+  .deleted { color: #999; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>Historial del chat</h1>
+<p class="meta">Exportado por ${escapeHtml(exportedBy)} el ${formatDate(exportedAt)}${appliedFilters.length ? ` (${escapeHtml(appliedFilters.join(', '))})` : ''}.</p>
+`
+}
+
+/**
+ * Un mensaje de la transcripción HTML.
+ * @param {object} message - El documento del mensaje.
+ * @returns {string}
+ */
+function htmlMessage (message) {
+  const id = message._id.toString()
+  const meta = [
+    `<span class="author">${escapeHtml(authorLabel(message) || 'Usuario eliminado')}</span>`,
+    `<time datetime="${message.timestamp.toISOString()}">${formatDate(message.timestamp)}</time>`
+  ]
+  if (message.parentId) meta.push(`<a href="#m-${message.parentId}">en respuesta a otro mensaje</a>`)
+  if (message.editedAt) meta.push('(editado)')
+
+  const body = message.deleted
+    ? '<p class="content deleted">Mensaje eliminado</p>'
+    : `<p class="content">${escapeHtml(message.content)}</p>`
+  const attachments = (message.attachments ?? [])
+    .map(({ name, size }) => `<li>📎 ${escapeHtml(name)} (${size} bytes, no incluido)</li>`)
+    .join('')
+
+  return `<article id="m-${id}"${message.parentId ? ' class="reply"' : ''}>
+<div class="meta">${meta.join(' · ')}</div>
+${body}${attachments ? `\n<ul>${attachments}</ul>` : ''}
+</article>
+`
+}
+
+/**
+ * Reglas de validación de las líneas de una importación.
+ */
+class Validation {
+  /**
+   * Valida una sala importada.
+   * @param {object} room - La sala.
+   * @param {number} lineNumber - La línea del archivo (para el mensaje de error).
+   */
+  static room (room, lineNumber) {
+    if (!ObjectId.isValid(room._id) || !['channel', 'direct'].includes(room.type)) {
+      throw new Error(`La sala de la línea ${lineNumber} no es válida.`)
+    }
+    if (room.type === 'channel' && typeof room.name !== 'string') throw new Error(`La sala de la línea ${lineNumber} no tiene nombre.`)
+    if (room.type === 'direct' && (!Array.isArray(room.members) || typeof room.memberKey !== 'string')) {
+      throw new Error(`La conversación de la línea ${lineNumber} no tiene participantes.`)
+    }
+  }
+
+  /**
+   * Valida un mensaje importado.
+   * @param {object} message - El mensaje.
+   * @param {number} lineNumber - La línea del archivo (para el mensaje de error).
+   */
+  static message (message, lineNumber) {
+    const valid = ObjectId.isValid(message._id) &&
+      (!message.parentId || ObjectId.isValid(message.parentId)) &&
+      typeof message.content === 'string' &&
+      (message.user === null || typeof message.user === 'string') &&
+      message.timestamp instanceof Date && !Number.isNaN(message.timestamp.getTime())
+    if (!valid) throw new Error(`El mensaje de la línea ${lineNumber} no es válido.`)
+  }
+}
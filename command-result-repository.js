@@ -0,0 +1,102 @@
+// --- Repositorio de Resultados de Comandos ---
+
+// Recuerda durante un rato el resultado de cada comando del chat (`/announce`, `/roll`...) por usuario
+// y `clientId`. El cliente reenvía desde su bandeja de salida lo que no llegó a ver confirmado
+// (ver `public/js/chat.js`), y un reenvío de un comando no debe publicar otro anuncio ni tirar otra
+// vez los dados: debe recibir la misma confirmación que el primero.
+// (Los mensajes normales no lo necesitan: se reconocen por su `clientId` en `messages`.)
+//
+// Vive en MongoDB y no en memoria porque, con varias instancias (`SOCKET_ADAPTER=mongodb`), el reenvío
+// puede llegar a una instancia distinta de la que ejecutó el comando.
+//
+// Antes de ejecutar un comando, la instancia lo "reclama" insertando su documento: el índice único
+// de `_id` garantiza que solo una lo ejecuta. Al terminar guarda el resultado en el mismo documento.
+
+import { db } from './db.js'
+
+const commandResults = db.collection('command_results')
+
+// Cuánto tiempo se recuerda el resultado de un comando. Los reenvíos de un cliente llegan en poco tiempo.
+const RESULT_TTL_SECONDS = 10 * 60
+
+// Si un comando reclamado no termina en este tiempo (la instancia que lo ejecutaba se cayó),
+// otra instancia lo puede volver a reclamar.
+const CLAIM_TIMEOUT_MS = 60 * 1000
+
+// Longitud máxima del `clientId` (la misma que la de los mensajes, ver `message-repository.js`).
+const MAX_CLIENT_ID_LENGTH = 64
+
+export class CommandResultRepository {
+  /**
+   * Crea los índices de la colección. Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    // Índice TTL: MongoDB borra solo los resultados antiguos.
+    await commandResults.createIndex({ createdAt: 1 }, { expireAfterSeconds: RESULT_TTL_SECONDS })
+  }
+
+  /**
+   * Reclama la ejecución de un comando. Solo quien lo reclama lo ejecuta; los reenvíos reciben
+   * el resultado guardado (o nada, si el comando todavía se está ejecutando).
+   * @param {object} params
+   * @param {string} params.user - El usuario que envía el comando.
+   * @param {string} params.clientId - El ID que el cliente dio al comando.
+   * @returns {Promise<{ claimed: boolean, result?: object }>} - `claimed: true` si hay que ejecutarlo;
+   *   si no, `result` es el resultado del primero (`undefined` si aún no ha terminado).
+   */
+  static async claim ({ user, clientId }) {
+    Validation.clientId(clientId)
+    const now = new Date()
+
+    try {
+      await commandResults.insertOne({ _id: { user, clientId }, createdAt: now, claimedAt: now })
+      return { claimed: true }
+    } catch (e) {
+      // 11000: ya existe (otro envío del mismo comando llegó antes).
+      if (e.code !== 11000) throw e
+    }
+
+    // Si quien lo reclamó no terminó a tiempo (y no dejó resultado), lo reclamamos nosotros.
+    const stale = await commandResults.findOneAndUpdate(
+      { _id: { user, clientId }, result: { $exists: false }, claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } },
+      { $set: { claimedAt: now } }
+    )
+    if (stale) return { claimed: true }
+
+    const existing = await commandResults.findOne({ _id: { user, clientId } })
+    return { claimed: false, result: existing?.result }
+  }
+
+  /**
+   * Guarda el resultado de un comando reclamado, para los reenvíos.
+   * @param {object} params
+   * @param {string} params.user - El usuario que envió el comando.
+   * @param {string} params.clientId - El ID que el cliente dio al comando.
+   * @param {object} params.result - La confirmación que recibió el cliente.
+   */
+  static async complete ({ user, clientId, result }) {
+    await commandResults.updateOne({ _id: { user, clientId } }, { $set: { result } })
+  }
+
+  /**
+   * Olvida un comando reclamado que ha fallado, para que se pueda volver a intentar.
+   * @param {object} params
+   * @param {string} params.user - El usuario que envió el comando.
+   * @param {string} params.clientId - El ID que el cliente dio al comando.
+   */
+  static async release ({ user, clientId }) {
+    await commandResults.deleteOne({ _id: { user, clientId }, result: { $exists: false } })
+  }
+}
+
+class Validation {
+  /**
+   * Valida el ID que el cliente da a un comando.
+   * @param {string} clientId - El ID a validar.
+   */
+  static clientId (clientId) {
+    if (typeof clientId !== 'string' || !clientId || clientId.length > MAX_CLIENT_ID_LENGTH) {
+      throw new Error('El identificador del mensaje no es válido.')
+    }
+  }
+}
@@ -0,0 +1,149 @@
+// --- Comandos del Chat y Bots ---
+
+// Un mensaje que empieza por `/` no se guarda tal cual: es un comando (`/help`, `/me baila`...)
+// que se ejecuta en el servidor. Para escribir un mensaje que empiece por `/`, se dobla: `//texto`.
+//
+// Los comandos se registran en un `CommandDispatcher`. Los que vienen de serie (ver `index.js`)
+// y los de los bots (ver la carpeta `bots/`) funcionan igual. Un comando recibe un "contexto" con:
+// - `user`: quien lo escribe (sin la contraseña), `room`: la sala y `args`: el texto tras el nombre.
+// - `reply(text)`: responde solo a quien lo escribió (no se guarda en el historial).
+// - `send(text)`: publica un mensaje en la sala, firmado por el bot del comando.
+// - `socket` y `clientId`: el socket que lo envió y el ID que el cliente dio al mensaje.
+//
+// Un bot es un objeto `{ name, commands, listeners }`. Sus `listeners` no esperan a un comando:
+// reaccionan a los mensajes normales cuyo texto encaja con su `pattern` (una expresión regular).
+
+import { hasRole } from './user-repository.js'
+
+// Nombre con el que firman los comandos que no son de ningún bot (como `/announce`).
+export const SYSTEM_BOT = 'sistema'
+
+export class CommandDispatcher {
+  /**
+   * @param {object} params
+   * @param {Function} params.publish - Publica un mensaje de un bot: `({ room, bot, content }) => Promise<object>`.
+   */
+  constructor ({ publish }) {
+    this.publish = publish
+    // nombre -> { name, description, usage, role, bot, run }
+    this.commands = new Map()
+    // [{ bot, pattern, run }]
+    this.listeners = []
+  }
+
+  /**
+   * Separa un mensaje en comando y argumentos. Devuelve `null` si no es un comando.
+   * @param {string} content - El texto del mensaje.
+   * @returns {{ name: string, args: string }|null}
+   */
+  static parse (content) {
+    if (typeof content !== 'string' || !content.startsWith('/') || content.startsWith('//')) return null
+    const [, name = '', args = ''] = content.match(/^\/(\S*)\s*([\s\S]*)$/)
+    return { name: name.toLowerCase(), args: args.trim() }
+  }
+
+  /**
+   * Registra un comando.
+   * @param {object} command
+   * @param {string} command.name - El nombre, sin la barra (por ejemplo 'help').
+   * @param {string} command.description - Qué hace (lo muestra `/help`).
+   * @param {string} [command.usage] - Cómo se escribe (por ejemplo '/me <acción>').
+   * @param {string} [command.role='member'] - El rol mínimo para usarlo (uno de `ROLES`).
+   * @param {string} [command.bot] - El bot al que pertenece (firma sus mensajes).
+   * @param {Function} command.run - `(context) => Promise<object|void>`. Si devuelve un mensaje publicado
+   *   en nombre de quien escribió el comando, ese mensaje sustituye al que estaba enviando.
+   */
+  register ({ name, description, usage = `/${name}`, role = 'member', bot = null, run }) {
+    Validation.name(name)
+    if (this.commands.has(name)) throw new Error(`El comando /${name} ya existe.`)
+    this.commands.set(name, { name, description, usage, role, bot, run })
+  }
+
+  /**
+   * Registra un bot: sus comandos y sus `listeners`.
+   * @param {object} bot
+   * @param {string} bot.name - El nombre del bot, con el que firma sus mensajes.
+   * @param {object[]} [bot.commands] - Sus comandos (como en `register`, sin `bot`).
+   * @param {object[]} [bot.listeners] - `{ pattern, run }`: `run(context)` se llama con `context.match`.
+   */
+  registerBot ({ name, commands = [], listeners = [] }) {
+    Validation.name(name)
+    for (const command of commands) this.register({ ...command, bot: name })
+    for (const { pattern, run } of listeners) {
+      if (!(pattern instanceof RegExp)) throw new Error(`Los listeners del bot '${name}' necesitan un patrón.`)
+      this.listeners.push({ bot: name, pattern, run })
+    }
+  }
+
+  /**
+   * Lista los comandos que puede usar un usuario, por orden alfabético.
+   * @param {object} user - El usuario (con su rol).
+   * @returns {object[]}
+   */
+  available (user) {
+    return [...this.commands.values()]
+      .filter(command => hasRole(user, command.role))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Ejecuta un comando.
+   * @param {string} content - El texto del mensaje (empieza por `/`).
+   * @param {object} context - `{ user, room, socket, clientId, reply }` (ver la cabecera del archivo).
+   * @returns {Promise<object|void>} - Lo que devuelva el comando.
+   * @throws {Error} - Si el comando no existe o el usuario no tiene permisos para usarlo.
+   */
+  async dispatch (content, context) {
+    const { name, args } = CommandDispatcher.parse(content)
+    const command = this.commands.get(name)
+    if (!command) throw new Error(`El comando /${name} no existe. Escribe /help para ver los disponibles.`)
+    if (!hasRole(context.user, command.role)) throw new Error(`No tienes permisos para usar /${name}.`)
+
+    return command.run({ ...context, args, send: this.sender(context.room, command.bot ?? SYSTEM_BOT) })
+  }
+
+  /**
+   * Pasa un mensaje normal (ya publicado) por los `listeners` de los bots. Un bot que falla
+   * no afecta a los demás ni al mensaje: el error solo queda en el registro del servidor.
+   * @param {object} message - El mensaje publicado (ver `MessageRepository.toPublic`).
+   * @param {object} context - `{ user, room, socket, reply }`.
+   */
+  async notify (message, context) {
+    for (const { bot, pattern, run } of this.listeners) {
+      // Los patrones con la opción `g` guardan la posición de la última búsqueda: la reiniciamos.
+      pattern.lastIndex = 0
+      const match = pattern.exec(message.content)
+      if (!match) continue
+      try {
+        await run({ ...context, message, match, send: this.sender(context.room, bot) })
+      } catch (error) {
+        console.error(`Error en el bot '${bot}':`, error)
+      }
+    }
+  }
+
+  /**
+   * Crea la función `send` de un contexto: publica en la sala firmando como el bot.
+   * @param {object} room - La sala.
+   * @param {string} bot - El nombre del bot.
+   * @returns {Function} - `(text) => Promise<object>`.
+   */
+  sender (room, bot) {
+    return (content) => this.publish({ room, bot, content })
+  }
+}
+
+/**
+ * Reglas de validación de los comandos y bots que se registran.
+ */
+class Validation {
+  /**
+   * Valida el nombre de un comando o bot: minúsculas, números, guiones y guiones bajos.
+   * @param {string} name - El nombre.
+   */
+  static name (name) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]{0,19}$/.test(name)) {
+      throw new Error(`'${name}' no es un nombre válido para un comando o un bot.`)
+    }
+  }
+}
@@ -22,8 +22,131 @@ export const {
   // sino que se debería cargar de forma segura desde las variables de entorno.
   SECRET_JWT_KEY = 'this-is-an-awesome-secret-key-mucho-mas-largo-y-muy-seguro',
 
+  // ADMIN_USERNAMES: Lista de usuarios (separados por comas) que reciben el rol de administrador
+  // al registrarse. Sirve para crear el primer administrador; el resto de roles se asignan desde el chat.
+  ADMIN_USERNAMES = '',
+
+  // ACCESS_TOKEN_TTL_SECONDS: Vida del JWT de acceso (cookie `access_token`), en segundos.
+  // Es corta a propósito: si alguien lo roba, deja de servirle en pocos minutos.
+  ACCESS_TOKEN_TTL_SECONDS = 900,
+
+  // REFRESH_TOKEN_TTL_DAYS: Días que una sesión puede estar sin usarse antes de caducar.
+  // Cada vez que se usa el refresh token (cookie `refresh_token`) se renueva y el plazo vuelve a empezar.
+  REFRESH_TOKEN_TTL_DAYS = 30,
+
+  // USER_STORE: Dónde se guardan los usuarios: 'db-local' (archivos JSON en ./db) o 'mongodb'
+  // (colección `users` de MONGODB_URI). Para pasar de uno a otro: `npm run migrate:users`.
+  USER_STORE = 'db-local',
+
+  // SOCKET_ADAPTER: Cómo se reparten los eventos de Socket.IO. 'memory' (un solo proceso) o 'mongodb'
+  // (varias instancias detrás de un balanceador, ver `socket-adapter.js`). 'mongodb' necesita que
+  // MONGODB_URI sea un replica set: usa los change streams de MongoDB.
+  SOCKET_ADAPTER = 'memory',
+
+  // TRUST_PROXY: En qué proxies confiar para saber la IP real de cada petición (cabecera X-Forwarded-For).
+  // Detrás de un balanceador o un proxy inverso, sin esto todas las peticiones parecen venir del proxy
+  // y comparten los límites por IP del login y del registro. Vacío (o 'false'): no se confía en ninguno;
+  // 'true': en todos; un número: cuántos saltos; si no, IPs o subredes separadas por comas
+  // ('loopback', '10.0.0.0/8'...). Ver "trust proxy" en la documentación de Express.
+  TRUST_PROXY = '',
+
   // MONGODB_URI: La cadena de conexión (URI) para la base de datos de MongoDB.
   // Especifica el protocolo, la dirección del servidor, el puerto y el nombre de la base de datos
   // a la que la aplicación se conectará para persistir los mensajes del chat.
-  MONGODB_URI = 'mongodb://localhost:27017/chatdb'
+  MONGODB_URI = 'mongodb://localhost:27017/chatdb',
+
+  // MONGODB_DB: La base de datos (dentro de MONGODB_URI) en la que se guarda el chat.
+  // Los tests usan una propia, que crean y borran (ver `test/`).
+  MONGODB_DB = 'chatdb',
+
+  // HISTORY_PAGE_SIZE: Cuántos mensajes se envían al entrar en una sala y en cada petición de
+  // "cargar mensajes anteriores". Enviar el historial completo en cada carga no escala.
+  HISTORY_PAGE_SIZE = 50,
+
+  // MAX_CATCH_UP_MESSAGES: Máximo de mensajes perdidos que se reenvían a un cliente que se reconecta.
+  // Si se perdió más, en lugar de ponerse al día recibe de nuevo la página más reciente.
+  MAX_CATCH_UP_MESSAGES = 200,
+
+  // PRESENCE_GRACE_MS: Cuánto esperamos (en milisegundos) tras cerrarse el último socket de un usuario
+  // antes de anunciar que se ha desconectado. Si vuelve a conectarse antes (una recarga de página,
+  // una reconexión por mala red...), no llega a aparecer como desconectado.
+  PRESENCE_GRACE_MS = 15000,
+
+  // SEARCH_PAGE_SIZE: Cuántos resultados devuelve cada página de la búsqueda de mensajes.
+  SEARCH_PAGE_SIZE = 20,
+
+  // ATTACHMENT_MAX_BYTES: Tamaño máximo de cada archivo adjunto, en bytes (5 MB por defecto).
+  ATTACHMENT_MAX_BYTES = 5 * 1024 * 1024,
+
+  // ATTACHMENT_MIME_TYPES: Tipos de archivo (MIME, separados por comas) que se pueden adjuntar.
+  // Cualquier otro tipo se rechaza al subirlo.
+  ATTACHMENT_MIME_TYPES = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain',
+
+  // --- Límites contra abusos (fuerza bruta e inundación de mensajes) ---
+
+  // LOGIN_MAX_FAILURES: Intentos fallidos de login permitidos para una misma cuenta antes de bloquearla
+  // temporalmente. LOGIN_MAX_FAILURES_PER_IP: lo mismo, pero contando todos los intentos desde una IP
+  // (frena a quien prueba contraseñas contra muchas cuentas distintas).
+  LOGIN_MAX_FAILURES = 5,
+  LOGIN_MAX_FAILURES_PER_IP = 20,
+
+  // LOGIN_LOCKOUT_MINUTES: Minutos que dura el bloqueo (y la ventana en la que se cuentan los fallos).
+  LOGIN_LOCKOUT_MINUTES = 15,
+
+  // REGISTER_MAX_PER_HOUR: Cuentas que se pueden registrar desde una misma IP en una hora.
+  REGISTER_MAX_PER_HOUR = 5,
+
+  // CHAT_MAX_MESSAGES y CHAT_WINDOW_SECONDS: Un mismo socket puede enviar como mucho CHAT_MAX_MESSAGES
+  // mensajes cada CHAT_WINDOW_SECONDS segundos. Los que se pasen se rechazan con un aviso.
+  CHAT_MAX_MESSAGES = 10,
+  CHAT_WINDOW_SECONDS = 10,
+
+  // MAX_MESSAGE_LENGTH: Longitud máxima (en caracteres) del texto de un mensaje.
+  MAX_MESSAGE_LENGTH = 4000,
+
+  // MESSAGE_RETENTION_DAYS: Días que se conservan los mensajes. Pasado ese tiempo se quitan del chat
+  // (ver "Caducidad y Retención de Mensajes" en `index.js`). 0 = se conservan para siempre.
+  // MESSAGE_RETENTION_MODE: Qué se hace con ellos: 'delete' (se borran) o 'archive' (se mueven a la
+  // colección `messages_archive`, fuera del alcance de los usuarios; sus adjuntos sí se borran).
+  MESSAGE_RETENTION_DAYS = 0,
+  MESSAGE_RETENTION_MODE = 'delete',
+
+  // MAX_SOCKET_PAYLOAD_BYTES: Tamaño máximo de un evento de Socket.IO. Los archivos no viajan por el
+  // socket (se suben por HTTP), así que ningún evento legítimo necesita más.
+  MAX_SOCKET_PAYLOAD_BYTES = 100 * 1024,
+
+  // AVATAR_MAX_BYTES: Tamaño máximo de la imagen de perfil, en bytes (256 KB por defecto).
+  AVATAR_MAX_BYTES = 256 * 1024,
+
+  // TOTP_ISSUER: Nombre del servicio que muestran las apps de autenticación junto a la cuenta
+  // (verificación en dos pasos).
+  TOTP_ISSUER = 'Chat',
+
+  // --- Webhooks (ver `webhook-repository.js`) ---
+
+  // WEBHOOK_INCOMING_MAX_PER_MINUTE: Mensajes que puede publicar cada webhook de entrada por minuto.
+  WEBHOOK_INCOMING_MAX_PER_MINUTE = 30,
+
+  // WEBHOOK_MAX_ATTEMPTS: Intentos de entrega de cada mensaje a un webhook de salida (el primero incluido).
+  // WEBHOOK_RETRY_BASE_MS: Espera antes del primer reintento; se duplica en cada uno (2 s, 4 s, 8 s...).
+  WEBHOOK_MAX_ATTEMPTS = 5,
+  WEBHOOK_RETRY_BASE_MS = 2000,
+
+  // WEBHOOK_TIMEOUT_MS: Cuánto esperamos la respuesta de un webhook de salida antes de darlo por fallido.
+  WEBHOOK_TIMEOUT_MS = 5000,
+
+  // WEBHOOK_ALLOWED_HOSTS: Hosts de la red interna (separados por comas) a los que sí se pueden enviar
+  // webhooks de salida, por ejemplo 'ci.interno,10.0.0.5'. Por defecto ninguno: los webhooks de salida
+  // no pueden apuntar a direcciones locales, privadas ni de enlace local (ver `webhook-repository.js`).
+  WEBHOOK_ALLOWED_HOSTS = '',
+
+  // --- Operación (comprobaciones de salud, métricas y apagado) ---
+
+  // METRICS_TOKEN: Si se define, `/metrics` exige la cabecera `Authorization: Bearer <METRICS_TOKEN>`.
+  // Vacío: `/metrics` es público (solo conviene si el puerto no está expuesto a Internet).
+  METRICS_TOKEN = '',
+
+  // SHUTDOWN_TIMEOUT_MS: Tiempo máximo para apagar el servidor de forma ordenada (al recibir SIGTERM).
+  // Pasado ese tiempo, el proceso termina aunque quede algo pendiente.
+  SHUTDOWN_TIMEOUT_MS = 10000
 } = process.env
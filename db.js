@@ -0,0 +1,28 @@
+// --- Conexión Compartida a MongoDB ---
+
+// Este archivo abre UNA sola conexión a MongoDB y la comparte con el resto de la aplicación.
+// Tanto `index.js` como los repositorios que persisten en MongoDB (mensajes, salas, etc.)
+// importan `db` desde aquí, en lugar de crear cada uno su propio `MongoClient`.
+//
+// Importar este archivo todavía no conecta: la conexión se abre con `connect()` al arrancar
+// (ver `index.js`). Así los módulos se pueden importar sin un MongoDB disponible, como en los tests.
+
+import { MongoClient, ServerApiVersion } from 'mongodb' // Driver oficial de MongoDB.
+import { MONGODB_URI, MONGODB_DB } from './config.js'
+
+// `strict: false`: la búsqueda de mensajes usa un índice de texto y el operador `$text`,
+// que no forman parte de la Stable API v1 y el modo estricto rechazaría.
+export const client = new MongoClient(MONGODB_URI, {
+  serverApi: { version: ServerApiVersion.v1, strict: false, deprecationErrors: true }
+})
+
+export const db = client.db(MONGODB_DB)
+
+/**
+ * Abre la conexión. Si MongoDB no responde, lanza un error: el servidor no debe arrancar sin él.
+ * (Si se usa `db` antes, el driver conecta por su cuenta en la primera operación.)
+ */
+export async function connect () {
+  await client.connect()
+  console.log('Conectado exitosamente a MongoDB (chat)')
+}
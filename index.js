@@ -3,85 +3,364 @@
 // Este archivo es el corazón de la aplicación. Orquesta todas las partes:
 // 1. Configuración del servidor Express.
 // 2. Inicialización del servidor de WebSockets (Socket.IO).
-// 3. Conexión a la base de datos (MongoDB).
-// 4. Definición de middlewares, incluyendo la autenticación por JWT.
+// 3. Conexión a la base de datos (MongoDB) y preparación de las salas.
+// 4. Definición de middlewares, incluyendo la autenticación por JWT y sesiones revocables.
 // 5. Creación de las rutas HTTP (API y vistas).
-// 6. Lógica del chat en tiempo real.
+// 6. Lógica del chat en tiempo real, organizada en salas (canales y conversaciones privadas).
 // =============================================================================
 
 // --- Dependencias del Servidor ---
 import express from 'express' // Framework para construir el servidor web y las APIs.
-import { PORT, SECRET_JWT_KEY, MONGODB_URI } from './config.js' // Variables de entorno y configuración.
+import {
+  PORT, SECRET_JWT_KEY, ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_DAYS,
+  REGISTER_MAX_PER_HOUR, CHAT_MAX_MESSAGES, CHAT_WINDOW_SECONDS, MAX_SOCKET_PAYLOAD_BYTES,
+  WEBHOOK_INCOMING_MAX_PER_MINUTE, METRICS_TOKEN, SHUTDOWN_TIMEOUT_MS, MESSAGE_RETENTION_DAYS, MESSAGE_RETENTION_MODE,
+  TRUST_PROXY
+} from './config.js' // Variables de entorno y configuración.
 import cookieParser from 'cookie-parser' // Middleware para parsear cookies en las peticiones.
 import jwt from 'jsonwebtoken' // Para crear y verificar JSON Web Tokens.
-import { UserRepository } from './user-repository.js' // Capa de acceso a datos de usuarios.
+import { UserRepository, hasRole, canModerate, toPublicProfile } from './user-repository.js' // Capa de acceso a datos de usuarios (y sus roles).
+import { AvatarRepository, MAX_AVATAR_BYTES } from './avatar-repository.js' // Imágenes de perfil (GridFS).
 import logger from 'morgan' // Middleware para registrar las peticiones HTTP en la consola.
-import { MongoClient, ServerApiVersion, ObjectId } from 'mongodb' // Driver oficial de MongoDB.
+import { RoomRepository, roomChannel } from './room-repository.js' // Capa de acceso a datos de las salas.
+import { MessageRepository, extractMentions } from './message-repository.js' // Capa de acceso a datos de los mensajes.
+import { ReadMarkerRepository } from './read-marker-repository.js' // Último mensaje leído por cada usuario.
+import { SessionRepository } from './session-repository.js' // Sesiones en el servidor (refresh tokens y revocación).
+import { AuditLogRepository } from './audit-log-repository.js' // Registro de las acciones de moderación.
+import { AttachmentRepository, MAX_ATTACHMENT_BYTES } from './attachment-repository.js' // Archivos adjuntos (GridFS).
+import { Presence } from './presence.js' // Quién está en línea (varias pestañas por usuario incluidas).
+import { RateLimiter, TooManyAttemptsError } from './rate-limiter.js' // Límites contra la fuerza bruta y la inundación de mensajes.
+import { parseTrustProxy } from './trust-proxy.js' // Para saber la IP real de las peticiones detrás de un proxy.
+import { CommandResultRepository } from './command-result-repository.js' // Para no repetir un comando reenviado desde la bandeja de salida.
+import { EXPORT_FORMATS, exportMessages, importMessages } from './chat-export.js' // Exportar e importar el historial.
+import { WebhookRepository } from './webhook-repository.js' // Webhooks de entrada y de salida.
+import { WebhookDispatcher } from './webhook-dispatcher.js' // Entrega (firmada y con reintentos) de los webhooks de salida.
+import { metrics, renderMetrics } from './metrics.js' // Métricas para Prometheus (`/metrics`).
+import { client, connect } from './db.js' // La conexión a MongoDB: abrirla al arrancar, comprobarla y cerrarla al apagar.
+import { CommandDispatcher } from './commands.js' // Comandos del chat (`/help`, `/me`...) y bots.
+import { BOTS } from './bots/index.js' // Los bots registrados.
+import { ObjectId } from 'mongodb' // Para validar los IDs de mensajes que nos envían los clientes.
 import { Server } from 'socket.io' // Librería para la comunicación por WebSockets.
+import { createSocketAdapter } from './socket-adapter.js' // Para repartir los eventos entre varias instancias.
 import { createServer } from 'node:http' // Módulo nativo de Node.js para crear servidores HTTP.
+import { Readable } from 'node:stream' // Para enviar las exportaciones poco a poco.
+import { pipeline } from 'node:stream/promises'
+import readline from 'node:readline' // Para leer las importaciones línea a línea.
 
 // --- Inicialización del Servidor ---
 const app = express() // Creamos una instancia de la aplicación Express.
 
+// Detrás de un proxy, `req.ip` es la IP del cliente (de X-Forwarded-For) y no la del proxy: de ella
+// dependen los límites por IP del login y del registro, y la IP que se guarda en cada sesión.
+app.set('trust proxy', parseTrustProxy(TRUST_PROXY))
+
 // Creamos un servidor HTTP nativo usando el módulo 'http' de Node.js.
 // Le pasamos la app de Express para que maneje las peticiones.
 // Hacemos esto porque Socket.IO necesita engancharse a un servidor 'http' base,
 // no directamente a la aplicación de Express.
 const server = createServer(app)
 
+// Conectamos a MongoDB antes que nada: sin él, el servidor no puede arrancar.
+await connect()
+
 // Inicializamos Socket.IO, vinculándolo a nuestro servidor HTTP.
 // La opción `connectionStateRecovery` habilita una característica de Socket.IO
 // que permite a un cliente que se desconecta temporalmente (ej. por mala conexión)
 // recuperar los mensajes que se perdió durante ese tiempo.
+// `skipMiddlewares: false` obliga a pasar de nuevo por el middleware de autenticación también
+// al recuperar una conexión: así una sesión revocada no puede "colarse" reconectando.
+// `maxHttpBufferSize` limita el tamaño de cada evento: uno más grande cierra la conexión.
 const io = new Server(server, {
-  connectionStateRecovery: {}
+  connectionStateRecovery: { skipMiddlewares: false },
+  maxHttpBufferSize: Number(MAX_SOCKET_PAYLOAD_BYTES)
 })
 
-// --- Conexión a la Base de Datos de Chat (MongoDB) ---
-const client = new MongoClient(MONGODB_URI, {
-  serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true }
-})
-await client.connect() // Conectamos a la base de datos de forma asíncrona.
-console.log('Conectado exitosamente a MongoDB (chat)')
-const db = client.db('chatdb')
-const messagesCollection = db.collection('messages') // Colección para guardar los mensajes del chat.
+// Con `SOCKET_ADAPTER=mongodb`, las emisiones y la recuperación de conexiones funcionan entre
+// varias instancias del servidor (ver `socket-adapter.js`). Sin él, todo vive en este proceso.
+const socketAdapter = await createSocketAdapter()
+if (socketAdapter) io.adapter(socketAdapter)
+
+// --- Límites de Frecuencia ---
+// Registros por IP (contra la creación masiva de cuentas), mensajes por socket (contra la inundación)
+// y mensajes por webhook de entrada. Los límites del login están dentro de `UserRepository.login`.
+const registerLimiter = new RateLimiter({ limit: REGISTER_MAX_PER_HOUR, windowMs: 60 * 60 * 1000 })
+const messageLimiter = new RateLimiter({ limit: CHAT_MAX_MESSAGES, windowMs: Number(CHAT_WINDOW_SECONDS) * 1000 })
+const incomingWebhookLimiter = new RateLimiter({ limit: WEBHOOK_INCOMING_MAX_PER_MINUTE, windowMs: 60 * 1000 })
+
+/**
+ * Responde a una petición que ha superado un límite: estado 429 y la cabecera `Retry-After` (en segundos).
+ * @param {import('express').Response} res - La respuesta de Express.
+ * @param {TooManyAttemptsError} error - El error del limitador.
+ */
+const sendTooManyAttempts = (res, error) => res
+  .status(429)
+  .set('Retry-After', Math.ceil(error.retryAfterMs / 1000))
+  .json({ error: error.message })
+
+// --- Operaciones en Curso ---
+// Al apagar el servidor (ver "Apagado Ordenado", al final del archivo) esperamos a que terminen los
+// eventos de los sockets que se están procesando, para no cortar una escritura a medias.
+// Las peticiones HTTP en curso no hace falta anotarlas: `server.close` ya espera a que terminen.
+
+// `true` desde que empieza el apagado: `/readyz` deja de responder que estamos listos.
+let shuttingDown = false
+
+// Las promesas de los manejadores de eventos que todavía no han terminado.
+const pendingOperations = new Set()
+
+/**
+ * Anota lo que devuelve un manejador de eventos mientras no termine (si es una promesa).
+ * @param {*} result - Lo que devolvió el manejador.
+ */
+const track = (result) => {
+  if (!(result instanceof Promise)) return
+  pendingOperations.add(result)
+  const done = () => pendingOperations.delete(result)
+  result.then(done, done)
+}
+
+// --- Preparación del Almacén de Usuarios ---
+// Según `USER_STORE`, los usuarios viven en archivos locales o en MongoDB (ver `user-stores/`).
+await UserRepository.init()
+
+// --- Preparación de la Base de Datos de Chat (MongoDB) ---
+// La conexión en sí ya está abierta (ver `connect` al principio).
+// Aquí nos aseguramos de que exista la sala por defecto y de que los mensajes antiguos
+// (escritos cuando solo había un chat global) queden asignados a ella.
+const defaultRoom = await RoomRepository.init()
+await MessageRepository.init({ defaultRoomId: defaultRoom._id })
+await ReadMarkerRepository.init()
+await SessionRepository.init()
+await AuditLogRepository.init()
+await AttachmentRepository.init()
+await WebhookRepository.init()
+await CommandResultRepository.init()
 
 // --- Configuración de Middlewares de Express ---
 app.set('view engine', 'ejs') // Configuramos EJS como motor de plantillas para renderizar vistas.
-app.use(logger('dev')) // Usamos morgan para logging de peticiones en modo 'dev'.
+// Rutas que consultan automáticamente el orquestador y Prometheus, cada pocos segundos (ver "Salud y Métricas").
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics']
+// Usamos morgan para logging de peticiones en modo 'dev', salvo esas rutas: llenarían la consola.
+app.use(logger('dev', { skip: (req) => PROBE_PATHS.includes(req.path) }))
+// Medimos la duración de cada petición (ver `metrics.httpRequestDuration`). Como "ruta" usamos el patrón
+// de Express (`/avatars/:username`), no la URL: si no, cada usuario o archivo sería una serie distinta.
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint()
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other'
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9
+    metrics.httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds)
+  })
+  next()
+})
 app.use(express.json()) // Middleware para que Express pueda parsear cuerpos de petición en formato JSON.
 app.use(cookieParser()) // Middleware para parsear cookies y hacerlas accesibles en `req.cookies`.
 app.use(express.static('public')) // Sirve archivos estáticos (CSS, JS de cliente, imágenes) desde la carpeta 'public'.
 
+// --- Salud y Métricas ---
+// Para el orquestador (Kubernetes, un balanceador...) y para Prometheus. No necesitan sesión.
+
+// Cuánto esperamos a cada dependencia: una comprobación de salud tiene que responder rápido.
+// Sin este límite, con MongoDB caído el driver esperaría 30 s a encontrar un servidor.
+const HEALTH_CHECK_TIMEOUT_MS = 2000
+
+/**
+ * Comprueba que responden MongoDB y el almacén de usuarios (que puede ser otro, ver `USER_STORE`).
+ * @returns {Promise<{ ok: boolean, checks: object }>} - `checks`: 'ok' o 'error' por cada dependencia.
+ */
+async function checkDependencies () {
+  const dependencies = {
+    mongodb: () => client.db('admin').command({ ping: 1 }),
+    userStore: () => UserRepository.ping()
+  }
+  const results = await Promise.all(Object.entries(dependencies).map(async ([name, ping]) => {
+    try {
+      await Promise.race([
+        ping(),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error(`Sin respuesta en ${HEALTH_CHECK_TIMEOUT_MS} ms`)), HEALTH_CHECK_TIMEOUT_MS).unref())
+      ])
+      return [name, 'ok']
+    } catch (e) {
+      // El detalle solo va a la consola: la respuesta es pública y podría incluir direcciones internas.
+      console.error(`Comprobación de salud fallida (${name}):`, e.message)
+      return [name, 'error']
+    }
+  }))
+  return { ok: results.every(([, status]) => status === 'ok'), checks: Object.fromEntries(results) }
+}
+
+// ¿Funciona el servidor? 503 si no llega a MongoDB o al almacén de usuarios.
+app.get('/healthz', async (req, res) => {
+  const { ok, checks } = await checkDependencies()
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'error', checks })
+})
+
+// ¿Puede recibir tráfico? Como `/healthz`, pero también responde 503 mientras se está apagando,
+// para que el balanceador deje de enviarle clientes nuevos.
+app.get('/readyz', async (req, res) => {
+  if (shuttingDown) return res.status(503).json({ status: 'shutting down' })
+  const { ok, checks } = await checkDependencies()
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'error', checks })
+})
+
+// Las métricas de este proceso en el formato de texto de Prometheus (ver `metrics.js`).
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) return res.status(401).end()
+  // Los sockets no se cuentan al conectar y desconectar: se leen en el momento.
+  metrics.socketsConnected.set({}, io.of('/').sockets.size)
+  res.type('text/plain; version=0.0.4').send(renderMetrics())
+})
+
+// --- Gestión de Sesiones y Cookies ---
+
+// Opciones comunes de las dos cookies de sesión.
+const sessionCookieOptions = {
+  httpOnly: true, // La cookie no es accesible por JavaScript en el cliente (previene ataques XSS).
+  secure: process.env.NODE_ENV === 'production', // Enviar solo sobre HTTPS en producción.
+  sameSite: 'strict' // La cookie solo se envía en peticiones del mismo sitio (previene ataques CSRF).
+}
+
+/**
+ * Firma un JWT de acceso de vida corta para una sesión.
+ * @param {object} session - La sesión ({ _id, userId, username }).
+ * @returns {string}
+ */
+const signAccessToken = (session) => jwt.sign(
+  { id: session.userId, username: session.username, sid: session._id.toString() }, // Payload: Datos que guardamos en el token.
+  SECRET_JWT_KEY, // Clave secreta para la firma.
+  { expiresIn: Number(ACCESS_TOKEN_TTL_SECONDS) } // Opciones: El token expira en pocos minutos.
+)
+
+/**
+ * Envía al cliente las cookies de una sesión: el JWT de acceso y, si lo hay, el refresh token nuevo.
+ * @param {import('express').Response} res - La respuesta de Express.
+ * @param {object} session - La sesión.
+ * @param {string|null} refreshToken - El refresh token en claro (o `null` si no ha cambiado).
+ * @returns {string} - El JWT de acceso firmado.
+ */
+const setSessionCookies = (res, session, refreshToken) => {
+  const accessToken = signAccessToken(session)
+  res.cookie('access_token', accessToken, { ...sessionCookieOptions, maxAge: Number(ACCESS_TOKEN_TTL_SECONDS) * 1000 })
+  if (refreshToken) {
+    res.cookie('refresh_token', refreshToken, { ...sessionCookieOptions, maxAge: Number(REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000 })
+  }
+  return accessToken
+}
+
+/**
+ * Crea una sesión nueva en el servidor para un usuario recién autenticado y le envía sus cookies.
+ * @param {import('express').Request} req - La petición (para guardar navegador e IP de la sesión).
+ * @param {import('express').Response} res - La respuesta de Express.
+ * @param {object} user - El usuario ({ _id, username }).
+ */
+async function startSession (req, res, user) {
+  const { session, refreshToken } = await SessionRepository.create({
+    userId: user._id,
+    username: user.username,
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  })
+  setSessionCookies(res, session, refreshToken)
+}
+
+// Cuánto tiempo tiene el usuario para escribir el código de la verificación en dos pasos
+// después de acertar la contraseña.
+const PENDING_2FA_TTL_SECONDS = 5 * 60
+
+/**
+ * Marca en el navegador que el usuario ha superado el primer paso del login (la contraseña) y falta
+ * el código. Es un JWT propio (`purpose: '2fa'`), que no sirve como JWT de acceso: no lleva sesión.
+ * @param {import('express').Response} res - La respuesta de Express.
+ * @param {object} user - El usuario ({ _id, username }).
+ */
+const setPendingTwoFactorCookie = (res, user) => {
+  const token = jwt.sign({ id: user._id, username: user.username, purpose: '2fa' }, SECRET_JWT_KEY, { expiresIn: PENDING_2FA_TTL_SECONDS })
+  res.cookie('pending_2fa', token, { ...sessionCookieOptions, maxAge: PENDING_2FA_TTL_SECONDS * 1000 })
+}
+
+/**
+ * Lee el usuario pendiente de la verificación en dos pasos de la cookie `pending_2fa`.
+ * @param {import('express').Request} req - La petición.
+ * @returns {object|null} - El payload ({ id, username }) o `null` si no hay cookie válida.
+ */
+const readPendingTwoFactor = (req) => {
+  try {
+    const data = jwt.verify(req.cookies.pending_2fa, SECRET_JWT_KEY)
+    return data.purpose === '2fa' ? data : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Borra las cookies de sesión del navegador.
+ * @param {import('express').Response} res - La respuesta de Express.
+ */
+const clearSessionCookies = (res) => res.clearCookie('access_token').clearCookie('refresh_token')
+
+/**
+ * Devuelve el nombre del canal de Socket.IO de una sesión. Todos los sockets abiertos con esa
+ * sesión se unen a él, así podemos desconectarlos de golpe cuando la sesión se revoca.
+ * @param {string} sid - El ID de la sesión.
+ * @returns {string}
+ */
+const sessionChannel = (sid) => `session:${sid}`
+
+/**
+ * Desconecta todos los sockets abiertos con alguna de las sesiones indicadas.
+ * @param {string[]} sids - Los IDs de las sesiones revocadas.
+ */
+const disconnectSessions = (sids) => {
+  if (sids.length) io.in(sids.map(sessionChannel)).disconnectSockets(true)
+}
+
 // --- Middleware de Autenticación para RUTAS HTTP ---
 // Este middleware se ejecuta en CADA petición HTTP que llega al servidor.
-// Su función es verificar si el usuario está autenticado a través de un JWT en una cookie.
-app.use((req, res, next) => {
+// Su función es verificar si el usuario está autenticado a través de un JWT en una cookie
+// y si la sesión a la que pertenece ese JWT sigue activa en el servidor.
+app.use(async (req, res, next) => {
   const token = req.cookies.access_token // 1. Intenta obtener el token de la cookie llamada 'access_token'.
   req.session = { user: null } // 2. Inicializa la sesión del usuario como nula en el objeto `req`.
 
-  if (!token) return next() // Si no hay token, simplemente continuamos. `req.session.user` seguirá siendo `null`.
-
   try {
-    // 3. Si hay un token, intenta verificarlo usando la clave secreta.
-    const data = jwt.verify(token, SECRET_JWT_KEY)
-    // 4. Si el token es válido, `jwt.verify` devuelve el payload decodificado (los datos del usuario).
-    //    Guardamos estos datos en `req.session.user` para que las rutas posteriores tengan acceso a ellos.
-    req.session.user = data
+    if (token) {
+      try {
+        // 3. Si hay un token, intenta verificarlo usando la clave secreta.
+        const data = jwt.verify(token, SECRET_JWT_KEY)
+        // 4. El token puede ser válido pero pertenecer a una sesión revocada (por ejemplo, tras
+        //    "cerrar todas mis sesiones"). Solo si la sesión sigue activa damos al usuario por autenticado.
+        //    Guardamos sus datos en `req.session.user` para que las rutas posteriores tengan acceso a ellos.
+        if (await SessionRepository.isActive(data.sid)) req.session.user = data
+      } catch (error) {
+        // 5. Si `jwt.verify` falla (token inválido, expirado, etc.), se lanza un error.
+        //    En este caso, no hacemos nada y `req.session.user` permanece `null`.
+        console.error('Error al verificar el token:', error.message)
+      }
+    }
+
+    // 6. Si no hay un JWT de acceso válido pero sí un refresh token, renovamos la sesión de forma
+    //    transparente. Así el usuario no es expulsado cuando caduca el JWT de acceso (que dura poco).
+    if (!req.session.user && req.cookies.refresh_token) {
+      try {
+        const { session, refreshToken } = await SessionRepository.rotate(req.cookies.refresh_token)
+        req.session.user = jwt.decode(setSessionCookies(res, session, refreshToken))
+      } catch (error) {
+        console.error('Error al renovar la sesión:', error.message)
+        clearSessionCookies(res)
+      }
+    }
+
+    // 7. Llama a `next()` para pasar el control a la siguiente función de middleware o a la ruta correspondiente.
+    next()
   } catch (error) {
-    // 5. Si `jwt.verify` falla (token inválido, expirado, etc.), se lanza un error.
-    //    En este caso, no hacemos nada y `req.session.user` permanece `null`.
-    console.error('Error al verificar el token:', error.message)
+    next(error)
   }
-
-  // 6. Llama a `next()` para pasar el control a la siguiente función de middleware o a la ruta correspondiente.
-  next()
 })
 
 // --- Middleware de Autenticación para WEBSOCKETS (Socket.IO) ---
 // Este middleware es específico para Socket.IO y protege las conexiones WebSocket.
 // Se ejecuta una sola vez por cliente, cuando este intenta establecer la conexión inicial (el "handshake").
-io.use((socket, next) => {
+io.use(async (socket, next) => {
   // 1. A diferencia de Express, el acceso a las cookies se hace a través de `socket.handshake.headers.cookie`.
   const cookies = socket.handshake.headers.cookie
   if (!cookies) {
@@ -99,12 +378,23 @@ io.use((socket, next) => {
   const token = tokenCookie.split('=')[1]
 
   try {
-    // 4. Verificamos el token con la misma lógica que en el middleware de Express.
+    // 4. Verificamos el token con la misma lógica que en el middleware de Express,
+    //    incluida la comprobación de que su sesión no ha sido revocada.
     const user = jwt.verify(token, SECRET_JWT_KEY)
+    if (!await SessionRepository.isActive(user.sid)) {
+      return next(new Error('Error de autenticación: La sesión ha sido cerrada.'))
+    }
+    // Las cuentas suspendidas no pueden conectarse al chat.
+    if ((await UserRepository.findByUsername(user.username))?.banned) {
+      return next(new Error('Error de autenticación: La cuenta ha sido suspendida.'))
+    }
     // 5. Si el token es válido, adjuntamos la información del usuario DIRECTAMENTE al objeto `socket`.
     //    Este objeto `socket` es persistente durante toda la vida de la conexión del cliente,
     //    por lo que siempre sabremos quién está enviando los mensajes.
     socket.user = user
+    //    Con varias instancias, de los sockets de otro proceso solo se ve `socket.data` (ver `fetchSockets`):
+    //    ahí guardamos lo que necesitan saber los demás.
+    socket.data.username = user.username
     // 6. Llamamos a `next()` sin error para permitir la conexión.
     next()
   } catch (err) {
@@ -114,169 +404,1747 @@ io.use((socket, next) => {
   }
 })
 
+// --- Salas de Chat (Canales) ---
+
+/**
+ * Devuelve el "acknowledgement" que nos pasó el cliente o, si no pasó ninguno, una función vacía.
+ * Así un cliente que omite el ack no puede provocar un error al intentar responderle.
+ * @param {Function} [ack] - El último argumento recibido en el evento.
+ * @returns {Function}
+ */
+const ensureAck = (ack) => typeof ack === 'function' ? ack : () => {}
+
+/**
+ * Devuelve el nombre del canal personal de un usuario.
+ * Todos los sockets de un mismo usuario (varias pestañas, varios dispositivos) se unen a él,
+ * así podemos enviarle algo a esa persona en concreto esté viendo la sala que esté viendo.
+ * @param {string} username - El usuario.
+ * @returns {string}
+ */
+const userChannel = (username) => `user:${username}`
+
+/**
+ * Devuelve a quién hay que emitir los eventos de una sala.
+ * - Canal público: a los sockets que lo están viendo.
+ * - Conversación privada: a TODOS los sockets de sus miembros (y solo a ellos), aunque estén
+ *   viendo otra sala, para que puedan actualizar su contador de no leídos.
+ * @param {object} room - El documento de la sala.
+ * @returns {string|string[]} - Uno o varios canales de Socket.IO.
+ */
+const roomAudience = (room) => room.type === 'direct' ? room.members.map(userChannel) : roomChannel(room._id)
+
+/**
+ * Prepara una conversación privada para enviarla a un usuario concreto,
+ * añadiendo cuántos mensajes tiene sin leer.
+ * @param {object} room - El documento de la conversación.
+ * @param {string} username - El usuario que la va a ver.
+ * @returns {Promise<object>}
+ */
+async function toPublicConversation (room, username) {
+  const lastReadId = await ReadMarkerRepository.findLastRead({ roomId: room._id, username })
+  const unread = await MessageRepository.countAfter({ roomId: room._id, after: lastReadId, excludeUser: username })
+  return { ...RoomRepository.toPublic(room), unread }
+}
+
+/**
+ * Comprueba las menciones (`@usuario`) del texto de un mensaje y devuelve solo las válidas:
+ * usuarios que existen, no están suspendidos y pueden leer la sala. Se guardan con el nombre
+ * tal y como está registrado, que es el que el cliente resalta.
+ * @param {string} content - El texto del mensaje.
+ * @param {object} room - El documento de la sala.
+ * @returns {Promise<string[]>}
+ */
+async function resolveMentions (content, room) {
+  const mentions = []
+  for (const name of extractMentions(content)) {
+    const user = await UserRepository.findByUsername(name)
+    if (user && !user.banned && RoomRepository.canAccess(room, user.username) && !mentions.includes(user.username)) {
+      mentions.push(user.username)
+    }
+  }
+  return mentions
+}
+
+/**
+ * Avisa a los usuarios mencionados en un mensaje (en todas sus pestañas), salvo al autor.
+ * @param {object} message - El documento del mensaje.
+ * @param {object} room - El documento de la sala.
+ * @param {string[]} [alreadyNotified] - Quienes ya recibieron el aviso (al editar, las menciones que ya estaban).
+ */
+function notifyMentions (message, room, alreadyNotified = []) {
+  const notification = {
+    roomId: room._id.toString(),
+    roomName: room.type === 'channel' ? room.name : null,
+    messageId: message._id.toString(),
+    parentId: message.parentId?.toString() ?? null,
+    from: message.user ?? message.bot,
+    preview: message.content.slice(0, 140)
+  }
+  for (const username of message.mentions ?? []) {
+    if (username === message.user || alreadyNotified.includes(username)) continue
+    io.to(userChannel(username)).emit('mention', notification)
+  }
+}
+
+/**
+ * Envía a un socket los mensajes de una sala que todavía no tiene (ver el evento 'room history').
+ * - Sin `serverOffset`: la página más reciente del historial, no el historial completo.
+ * - Con `serverOffset`: solo los mensajes posteriores, siempre que no sean demasiados. Si lo son,
+ *   le avisamos (`gap: true`) y le enviamos de nuevo la página más reciente en su lugar.
+ * - Con `around`: los mensajes que rodean a ese mensaje (al saltar a un resultado de búsqueda).
+ *   `hasNewer` indica que hay mensajes más recientes que el cliente todavía no tiene.
+ * @param {import('socket.io').Socket} socket - El socket del cliente.
+ * @param {object} room - El documento de la sala.
+ * @param {object} [options]
+ * @param {string} [options.serverOffset] - El ID del último mensaje de esta sala que el cliente ya tiene.
+ * @param {object} [options.around] - El documento del mensaje que el cliente quiere ver en su contexto.
+ */
+async function sendRoomHistory (socket, room, { serverOffset, around } = {}) {
+  const roomId = room._id.toString()
+
+  if (around) {
+    const { messages, hasMore, hasNewer } = await MessageRepository.findAround({ roomId: room._id, message: around })
+    return socket.emit('room history', {
+      roomId,
+      mode: 'replace',
+      hasMore,
+      hasNewer,
+      focusId: around._id.toString(),
+      messages: messages.map(MessageRepository.toPublic)
+    })
+  }
+
+  if (serverOffset && ObjectId.isValid(serverOffset)) {
+    const { messages, truncated } = await MessageRepository.findAfter({ roomId: room._id, serverOffset })
+    if (!truncated) {
+      return socket.emit('room history', { roomId, mode: 'append', messages: messages.map(MessageRepository.toPublic) })
+    }
+  }
+
+  const { messages, hasMore } = await MessageRepository.findPage({ roomId: room._id })
+  socket.emit('room history', {
+    roomId,
+    mode: 'replace',
+    gap: Boolean(serverOffset),
+    hasMore,
+    messages: messages.map(MessageRepository.toPublic)
+  })
+}
+
+/**
+ * Mete un socket en una sala: lo saca de la sala en la que estuviera, lo une al canal
+ * de Socket.IO de la nueva sala y le envía los mensajes que le faltan.
+ * @param {import('socket.io').Socket} socket - El socket del cliente.
+ * @param {object} room - El documento de la sala.
+ * @param {object} [options] - Qué parte del historial enviarle (ver `sendRoomHistory`).
+ */
+async function joinRoom (socket, room, options) {
+  // 1. Un socket solo "mira" una sala a la vez: salimos de cualquier otro canal de sala.
+  for (const channel of socket.rooms) {
+    if (channel.startsWith('room:') && channel !== roomChannel(room._id)) socket.leave(channel)
+  }
+
+  // 2. Nos unimos al canal de la sala. A partir de aquí recibimos sus mensajes en tiempo real.
+  socket.join(roomChannel(room._id))
+
+  // 3. Avisamos al cliente de en qué sala está ahora, para que actualice la interfaz.
+  socket.emit('room joined', RoomRepository.toPublic(room))
+
+  // 4. Le enviamos solo a él los mensajes de la sala que no tiene.
+  await sendRoomHistory(socket, room, options)
+
+  // 5. Y hasta dónde ha leído cada usuario, para mostrar "visto por..." en los mensajes.
+  socket.emit('read markers', { roomId: room._id.toString(), markers: await ReadMarkerRepository.listForRoom(room._id) })
+}
+
+// --- Publicación de Mensajes ---
+
+/**
+ * Guarda un mensaje nuevo y lo publica en su sala. Es el camino de todos los mensajes:
+ * los de los usuarios ('chat message'), los de `/me` y los de los bots.
+ * @param {object} params
+ * @param {object} params.room - El documento de la sala.
+ * @param {string} params.content - El texto.
+ * @param {string|null} [params.user] - El autor. Siempre el username verificado, nunca uno enviado por el cliente.
+ * @param {string} [params.bot] - El bot que lo escribe (en lugar de `user`).
+ * @param {boolean} [params.action] - Si es una acción de `/me`.
+ * @param {object[]} [params.attachments] - Los adjuntos, ya comprobados (ver `AttachmentRepository.findClaimable`).
+ * @param {object} [params.parent] - El mensaje al que responde, ya comprobado.
+ * @param {string|null} [params.clientId] - El ID que el cliente dio al mensaje, para que reconozca el suyo
+ *   (y para no guardarlo dos veces si lo reenvía, ver `MessageRepository.create`).
+ * @param {number|null} [params.expiresIn] - Si se autodestruye, al cabo de cuántos segundos.
+ * @returns {Promise<object|null>} - El mensaje tal y como se ha emitido, o `null` si era un reenvío
+ *   de un mensaje que ya no existe.
+ */
+async function publishMessage ({ room, content, user = null, bot = null, action = false, attachments = [], parent = null, clientId = null, expiresIn = null }) {
+  // 1. Persistimos el mensaje en la base de datos de MongoDB.
+  const mentions = await resolveMentions(content, room)
+  const message = await MessageRepository.create({ roomId: room._id, content, user, bot, action, attachments, parentId: parent?._id, mentions, expiresIn, clientId })
+  // Si el mismo mensaje ha llegado dos veces a la vez (un reenvío mientras se guardaba el original),
+  // el segundo no se guarda: devolvemos el primero, sin emitirlo otra vez. Si el primero ya se ha
+  // eliminado (su autor, un moderador o la caducidad), no hay nada que devolver ni que publicar de nuevo.
+  if (!message) {
+    const original = await MessageRepository.findByClientId({ user, clientId })
+    return original ? MessageRepository.toPublic(original) : null
+  }
+  try {
+    await AttachmentRepository.attach({ attachments, owner: user, messageId: message._id })
+  } catch (e) {
+    // No llegó a publicarse: el cliente puede reintentarlo con el mismo `clientId`.
+    await MessageRepository.remove(message._id, { forgetClientId: true })
+    throw e
+  }
+  await RoomRepository.touch(room._id)
+  // Si es una respuesta, actualizamos el contador de respuestas del hilo para todos.
+  if (parent) {
+    const updated = await MessageRepository.incrementReplies(parent._id, 1)
+    io.to(roomAudience(room)).emit('thread updated', { id: parent._id.toString(), replyCount: updated.replyCount })
+  }
+  // 2. Emitimos el mensaje solo a la audiencia de la sala (ver `roomAudience`), incluido su autor.
+  const publicMessage = MessageRepository.toPublic(message)
+  io.to(roomAudience(room)).emit('chat message', publicMessage)
+  metrics.messagesSent.inc({ source: bot ? 'bot' : 'user' })
+  // Avisamos a los mencionados, aunque estén viendo otra sala.
+  notifyMentions(message, room)
+  // Y lo enviamos a los webhooks de salida, en segundo plano.
+  WebhookDispatcher.dispatch(publicMessage, room).catch(e => console.error('Error al enviar el mensaje a los webhooks:', e))
+  return publicMessage
+}
+
+// --- Comandos y Bots ---
+// Ver `commands.js`. Los bots publican con `publishMessage`, firmando con su nombre.
+const commands = new CommandDispatcher({ publish: ({ room, bot, content }) => publishMessage({ room, bot, content }) })
+
+commands.register({
+  name: 'help',
+  description: 'Muestra los comandos que puedes usar.',
+  run: async ({ user, reply }) => {
+    const lines = commands.available(user).map(({ usage, description, bot }) => `${usage} — ${description}${bot ? ` (bot ${bot})` : ''}`)
+    reply(['Comandos disponibles (para escribir un mensaje que empiece por /, usa //):', ...lines].join('\n'))
+  }
+})
+
+commands.register({
+  name: 'me',
+  description: 'Publica una acción en tercera persona ("* ana saluda").',
+  usage: '/me <acción>',
+  run: async ({ args, user, room, clientId, reply }) => {
+    if (!args) return reply('Escribe la acción: /me <acción>')
+    return publishMessage({ room, content: args, user: user.username, action: true, clientId })
+  }
+})
+
+commands.register({
+  name: 'who',
+  description: 'Muestra quién está viendo esta sala ahora mismo.',
+  run: async ({ room, reply }) => {
+    const sockets = await io.in(roomChannel(room._id)).fetchSockets()
+    const usernames = [...new Set(sockets.map(socket => socket.data.username))].sort()
+    const profiles = await Promise.all(usernames.map(async name => toPublicProfile(await UserRepository.findByUsername(name) ?? { username: name })))
+    const names = profiles.map(({ username, displayName }) => displayName ? `${displayName} (@${username})` : `@${username}`)
+    reply(`En esta sala ahora mismo (${names.length}): ${names.join(', ')}`)
+  }
+})
+
+commands.register({
+  name: 'nick',
+  description: 'Cambia tu nombre visible (sin nombre, vuelve a tu nombre de usuario).',
+  usage: '/nick [nombre]',
+  run: async ({ args, user, reply }) => {
+    const updated = await UserRepository.updateProfile({ username: user.username, displayName: args })
+    io.emit('profile updated', toPublicProfile(updated))
+    reply(args ? `Ahora te llamas ${updated.displayName}.` : 'Vuelves a usar tu nombre de usuario.')
+  }
+})
+
+commands.register({
+  name: 'announce',
+  description: 'Publica un aviso en la sala, firmado por el sistema.',
+  usage: '/announce <aviso>',
+  role: 'moderator',
+  run: async ({ args, user, room, send, reply }) => {
+    if (!args) return reply('Escribe el aviso: /announce <aviso>')
+    await send(`📢 ${args}`)
+    await AuditLogRepository.record({ action: 'announce', actor: user.username, target: room._id.toString(), details: { content: args } })
+  }
+})
+
+for (const bot of BOTS) commands.registerBot(bot)
+
+// --- Borrado de Mensajes ---
+
+/**
+ * Borra un mensaje y avisa a la audiencia de su sala:
+ * - Si tiene respuestas, lo convierte en una "lápida" ('message tombstoned') para que su hilo
+ *   se pueda seguir leyendo.
+ * - Si no, lo borra del todo ('message deleted'). Si era una respuesta, descuenta una respuesta
+ *   de su hilo ('thread updated') y, si el padre era una lápida que se ha quedado sin respuestas,
+ *   lo borra también.
+ * En ambos casos se borran sus archivos adjuntos.
+ * @param {object} message - El documento del mensaje.
+ */
+async function removeMessage (message) {
+  const room = await RoomRepository.findById(message.roomId)
+  const audience = roomAudience(room)
+
+  // Sus archivos adjuntos ya no los puede ver nadie: los borramos también.
+  await AttachmentRepository.removeForMessage(message._id)
+
+  // Si no llega a borrarse (otra petición, u otro proceso, se ha adelantado), no hay nada que avisar:
+  // así tampoco se descuenta dos veces la respuesta de su hilo.
+  if (message.replyCount > 0) {
+    const tombstone = await MessageRepository.tombstone(message._id)
+    if (!tombstone) return
+    metrics.messagesDeleted.inc()
+    return io.to(audience).emit('message tombstoned', MessageRepository.toPublic(tombstone))
+  }
+
+  if (!await MessageRepository.remove(message._id)) return
+  io.to(audience).emit('message deleted', message._id.toString())
+  metrics.messagesDeleted.inc()
+
+  if (message.parentId) {
+    const parent = await MessageRepository.incrementReplies(message.parentId, -1)
+    if (parent?.deleted && parent.replyCount <= 0) return removeMessage(parent)
+    if (parent) io.to(audience).emit('thread updated', { id: parent._id.toString(), replyCount: parent.replyCount })
+  }
+}
+
+// --- Caducidad y Retención de Mensajes ---
+// Cada `MESSAGE_SWEEP_INTERVAL_MS` retiramos del chat los mensajes que se autodestruyen y ya han
+// caducado y, si hay retención (`MESSAGE_RETENTION_DAYS`), los más antiguos. Se retiran con
+// `removeMessage`, como un borrado normal: los clientes que los tienen en pantalla los quitan
+// ('message deleted') y los hilos siguen cuadrando. Así, un mensaje que se autodestruye puede
+// durar hasta `MESSAGE_SWEEP_INTERVAL_MS` más de lo elegido.
+//
+// Con varias instancias, todas hacen la tarea: `removeMessage` no avisa dos veces de un mismo borrado.
+
+const MESSAGE_SWEEP_INTERVAL_MS = 15 * 1000
+
+// Cuántos mensajes se leen de cada vez. Se repite hasta que no quedan, sin esperar al siguiente turno.
+const MESSAGE_SWEEP_BATCH = 100
+
+const retentionDays = Number(MESSAGE_RETENTION_DAYS)
+if (!['delete', 'archive'].includes(MESSAGE_RETENTION_MODE)) {
+  throw new Error(`MESSAGE_RETENTION_MODE debe ser 'delete' o 'archive', no '${MESSAGE_RETENTION_MODE}'.`)
+}
+
+// Evita que una pasada empiece antes de que termine la anterior (por ejemplo, con mucha retención pendiente).
+let sweeping = false
+
+/**
+ * Retira del chat los mensajes caducados y los que superan la retención.
+ * En modo 'archive', los de la retención se copian antes a `messages_archive`. Los que se autodestruyen
+ * nunca se archivan: quien los escribió quería que desaparecieran.
+ */
+async function sweepMessages () {
+  if (sweeping || shuttingDown) return
+  sweeping = true
+  try {
+    let more = true
+    while (more) {
+      const olderThan = retentionDays > 0 ? new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) : null
+      const batch = await MessageRepository.findExpired({ now: new Date(), olderThan, limit: MESSAGE_SWEEP_BATCH })
+      for (const message of batch) {
+        if (MESSAGE_RETENTION_MODE === 'archive' && !message.expiresAt) await MessageRepository.archive(message)
+        await removeMessage(message)
+      }
+      // Si el lote venía lleno, puede que queden más (salvo que nos estemos apagando).
+      more = batch.length === MESSAGE_SWEEP_BATCH && !shuttingDown
+    }
+  } catch (e) {
+    console.error('Error al retirar los mensajes caducados:', e)
+  } finally {
+    sweeping = false
+  }
+}
+
+// `track`: si el servidor se apaga en mitad de una pasada, espera a que termine el mensaje en curso.
+setInterval(() => track(sweepMessages()), MESSAGE_SWEEP_INTERVAL_MS).unref()
+
+// --- Cuenta de Usuario ---
+// Casi todos los datos del chat guardan el username (autor de los mensajes, miembros de las salas,
+// marcadores de lectura...). Por eso renombrar o borrar una cuenta no termina en el repositorio
+// de usuarios: estas funciones recorren el resto de repositorios. El registro de auditoría no se toca:
+// conserva los nombres tal y como eran cuando ocurrió cada acción.
+
+/**
+ * Cambia el nombre de un usuario en todos los datos del chat (la cuenta ya está renombrada)
+ * y avisa a los clientes para que actualicen su lista de usuarios.
+ * @param {object} params
+ * @param {string} params.from - El nombre anterior.
+ * @param {object} params.user - El usuario ya renombrado.
+ */
+async function renameAccountData ({ from, user }) {
+  const to = user.username
+  await MessageRepository.renameUser({ from, to })
+  await RoomRepository.renameMember({ from, to })
+  await ReadMarkerRepository.renameUser({ from, to })
+  await AttachmentRepository.renameOwner({ from, to })
+  io.emit('user renamed', { from, profile: toPublicProfile(user) })
+}
+
+/**
+ * Borra o anonimiza todos los datos de un usuario que ha borrado su cuenta (la cuenta ya no existe).
+ * @param {object} params
+ * @param {object} params.user - El usuario borrado.
+ * @param {'anonymize'|'remove'} params.messages - Qué hacer con sus mensajes: dejarlos sin autor o borrarlos.
+ */
+async function removeAccountData ({ user, messages }) {
+  const { username } = user
+
+  if (messages === 'remove') {
+    // Borramos uno a uno con `removeMessage` para que los hilos y los clientes queden al día.
+    // Releemos cada mensaje antes de borrarlo: borrar una respuesta cambia el contador de su padre.
+    for (const { _id } of await MessageRepository.findByUser(username)) {
+      const message = await MessageRepository.findById(_id)
+      if (message && !message.deleted) await removeMessage(message)
+    }
+  }
+  // Lo que quede (todos sus mensajes, o solo las lápidas de los hilos que abrió) se queda sin autor,
+  // y se quitan sus reacciones y las menciones que le hicieron.
+  await MessageRepository.anonymizeUser(username)
+
+  await RoomRepository.removeMember(username)
+  await ReadMarkerRepository.removeUser(username)
+  await AttachmentRepository.removeUnsent(username)
+  await AvatarRepository.remove(user.avatarId)
+  io.emit('user deleted', username)
+}
+
+/**
+ * Cierra todas las sesiones de un usuario (y sus sockets) y abre una nueva para la petición actual.
+ * Se usa tras cambiar la contraseña o el nombre: los JWT ya emitidos llevan el nombre anterior
+ * y quien conociera la contraseña vieja no debe seguir dentro.
+ * @param {import('express').Request} req - La petición.
+ * @param {import('express').Response} res - La respuesta.
+ * @param {string} previousUsername - El nombre con el que se crearon las sesiones que se cierran.
+ * @param {object} user - El usuario, con su nombre actual.
+ */
+async function restartSessions (req, res, previousUsername, user) {
+  disconnectSessions(await SessionRepository.revokeAllForUser(previousUsername))
+  await startSession(req, res, user)
+}
+
+// --- Moderación ---
+
+// Duración máxima de un silencio (30 días), en minutos.
+const MAX_MUTE_MINUTES = 30 * 24 * 60
+
+/**
+ * Comprueba que quien pide una acción de moderación tiene permisos para aplicarla sobre un usuario.
+ * Los roles se leen siempre del repositorio (no del JWT), así un cambio de rol tiene efecto inmediato.
+ * @param {import('socket.io').Socket} socket - El socket de quien modera.
+ * @param {string} username - El usuario moderado.
+ * @param {string} role - El rol mínimo necesario para la acción.
+ * @returns {Promise<{ actor: object, target: object }>} - Quien modera y el usuario moderado.
+ */
+async function authorizeModeration (socket, username, role) {
+  const actor = await UserRepository.findByUsername(socket.user.username)
+  if (!hasRole(actor, role)) throw new Error('No tienes permisos para esta acción.')
+
+  const target = await UserRepository.findByUsername(username)
+  if (!target) throw new Error(`El usuario '${username}' no existe.`)
+  if (!canModerate(actor, target)) throw new Error('No puedes moderar a un usuario con un rol igual o superior al tuyo.')
+
+  return { actor, target }
+}
+
+/**
+ * Devuelve hasta cuándo está silenciado un usuario, o `null` si puede escribir.
+ * @param {string} username - El usuario.
+ * @returns {Promise<Date|null>}
+ */
+const mutedUntil = async (username) => {
+  const until = (await UserRepository.findByUsername(username))?.mutedUntil ?? 0
+  return until > Date.now() ? new Date(until) : null
+}
+
 // --- Lógica Principal de Socket.IO (Chat en Tiempo Real) ---
 io.on('connection', async (socket) => {
   // Este bloque se ejecuta cada vez que un cliente se conecta exitosamente (después de pasar el middleware).
   // Gracias a nuestro middleware, aquí podemos estar seguros de que `socket.user` existe y contiene los datos del usuario.
   console.log(`✅ Usuario conectado al chat: ${socket.user.username}`)
 
+  // Registra el manejador de un evento del cliente anotando cada ejecución en curso (ver `track`),
+  // para que el apagado ordenado espere a que termine.
+  const on = (event, handler) => socket.on(event, (...args) => track(handler(...args)))
+
+  // Unimos el socket al canal personal del usuario (ver `userChannel`) y al de su sesión
+  // (ver `sessionChannel`), para poder desconectarlo si la sesión se revoca.
+  socket.join([userChannel(socket.user.username), sessionChannel(socket.user.sid)])
+
+  // --- Presencia ---
+  // Si es el primer socket del usuario (y no estaba en su periodo de gracia), anunciamos que está en línea.
+  const { username } = socket.user
+  if (Presence.connect(username, socket.id)) io.emit('presence', { username, online: true })
+
   // Evento que se dispara cuando el cliente se desconecta.
   socket.on('disconnect', () => {
-    console.log(`❌ Usuario desconectado: ${socket.user.username}`)
+    console.log(`❌ Usuario desconectado: ${username}`)
+
+    // Si era su último socket y no vuelve durante el periodo de gracia, guardamos su "última vez"
+    // y anunciamos que se ha desconectado.
+    Presence.disconnect(username, socket.id, async (lastSeen) => {
+      try {
+        // Con varias instancias, puede seguir conectado a otra: entonces no se ha ido.
+        if ((await io.in(userChannel(username)).fetchSockets()).length) return
+
+        // Si la cuenta ya no existe con este nombre (se ha renombrado o borrado), no hay nada que anunciar.
+        if (!await UserRepository.touchLastSeen(username, lastSeen.getTime())) return
+      } catch (e) {
+        console.error('Error al guardar la última conexión:', e)
+      }
+      io.emit('presence', { username, online: false, lastSeen })
+    })
   })
 
-  // Evento que se dispara cuando un cliente envía un mensaje ('chat message').
-  socket.on('chat message', async (msg) => {
-    const message = {
-      content: msg,
-      user: socket.user.username, // Usamos el username verificado del socket.
-      timestamp: new Date()
+  // El cliente pide la lista de usuarios con su estado (en línea o su última conexión).
+  on('list presence', async (ack) => {
+    ack = ensureAck(ack)
+    try {
+      // En línea: los que tienen algún socket en cualquier instancia, más los que están en su periodo de gracia en esta.
+      const sockets = await io.fetchSockets()
+      const online = new Set([...sockets.map(socket => socket.data.username), ...Presence.onlineUsers()])
+      const users = (await UserRepository.list())
+        .filter(user => !user.banned)
+        .map(user => ({
+          ...toPublicProfile(user),
+          online: online.has(user.username),
+          lastSeen: user.lastSeenAt ? new Date(user.lastSeenAt) : null
+        }))
+      ack({ users })
+    } catch (e) {
+      console.error('Error al listar los usuarios:', e)
+      ack({ error: 'No se pudo cargar la lista de usuarios.' })
     }
+  })
+
+  // Indicadores de "está escribiendo...". Solo se reenvían a los demás sockets que están viendo la sala.
+  // El cliente ya los limita (como mucho uno cada pocos segundos), así que no guardamos nada.
+  on('typing', (roomId) => {
+    if (!socket.rooms.has(roomChannel(roomId))) return
+    socket.to(roomChannel(roomId)).emit('typing', { roomId, username })
+  })
 
+  on('stop typing', (roomId) => {
+    if (!socket.rooms.has(roomChannel(roomId))) return
+    socket.to(roomChannel(roomId)).emit('stop typing', { roomId, username })
+  })
+
+  // El cliente pide el listado de salas para pintar la barra lateral.
+  // `ack` es el "acknowledgement": una función que el cliente nos pasa
+  // y que llamamos con la respuesta.
+  on('list rooms', async (ack) => {
+    ack = ensureAck(ack)
     try {
-      // 1. Persistimos el mensaje en la base de datos de MongoDB.
-      const result = await messagesCollection.insertOne(message)
-      // 2. Emitimos el mensaje a TODOS los clientes conectados, incluyéndonos a nosotros mismos.
-      //    Enviamos el contenido, el ID del mensaje desde la DB, el usuario y el timestamp.
-      io.emit('chat message', message.content, result.insertedId.toString(), message.user, message.timestamp)
+      const rooms = await RoomRepository.list()
+      ack({ rooms: rooms.map(RoomRepository.toPublic) })
     } catch (e) {
-      console.error('Error al guardar o emitir el mensaje:', e)
+      console.error('Error al listar las salas:', e)
+      ack({ error: 'No se pudieron cargar las salas.' })
     }
   })
 
-  // Evento para borrar un mensaje, solicitado por un cliente.
-  socket.on('delete message', async (messageId) => {
+  // Evento para crear una sala nueva.
+  on('create room', async (name, ack) => {
+    ack = ensureAck(ack)
     try {
-      const objectId = new ObjectId(messageId)
-      const message = await messagesCollection.findOne({ _id: objectId })
+      const room = await RoomRepository.create({ name, createdBy: socket.user.username })
+      // Avisamos a TODOS los clientes para que la nueva sala aparezca en su barra lateral.
+      io.emit('room created', RoomRepository.toPublic(room))
+      ack({ room: RoomRepository.toPublic(room) })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
 
-      // IMPORTANTE: Medida de seguridad.
-      // Verificamos que el mensaje existe y que el usuario que intenta borrarlo (`socket.user.username`)
-      // es el mismo que el autor original del mensaje (`message.user`).
-      if (message && message.user === socket.user.username) {
-        await messagesCollection.deleteOne({ _id: objectId })
-        // Notificamos a TODOS los clientes que este mensaje debe ser eliminado de su vista.
-        io.emit('message deleted', messageId)
-      } else {
-        console.warn(`Intento de borrado no autorizado por ${socket.user.username} para el mensaje ${messageId}`)
+  // El cliente pide sus conversaciones privadas, con el número de mensajes sin leer de cada una.
+  on('list conversations', async (ack) => {
+    ack = ensureAck(ack)
+    try {
+      const rooms = await RoomRepository.listDirect(socket.user.username)
+      const conversations = await Promise.all(rooms.map(room => toPublicConversation(room, socket.user.username)))
+      ack({ conversations })
+    } catch (e) {
+      console.error('Error al listar las conversaciones:', e)
+      ack({ error: 'No se pudieron cargar las conversaciones.' })
+    }
+  })
+
+  // Evento para iniciar (o reabrir) una conversación privada con uno o varios usuarios.
+  on('start conversation', async (usernames, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const { room, created } = await RoomRepository.findOrCreateDirect({ createdBy: socket.user.username, usernames })
+      // Si es nueva, avisamos a todos sus miembros para que aparezca en su barra lateral.
+      if (created) {
+        room.members.forEach(member => {
+          io.to(userChannel(member)).emit('conversation created', { ...RoomRepository.toPublic(room), unread: 0 })
+        })
       }
+      ack({ room: RoomRepository.toPublic(room) })
     } catch (e) {
-      console.error('Error al borrar el mensaje:', e)
+      ack({ error: e.message })
     }
   })
 
-  // Lógica para recuperar mensajes perdidos (si el cliente se reconecta).
-  // `socket.recovered` es `true` si la conexión es una reconexión exitosa.
-  if (!socket.recovered) {
+  // Evento para entrar en una sala (o cambiar de sala).
+  on('join room', async (roomId, ack) => {
+    ack = ensureAck(ack)
     try {
-      // El cliente nos envía el ID del último mensaje que recibió (`serverOffset`).
-      const serverOffset = socket.handshake.auth.serverOffset
-      // Buscamos en la DB todos los mensajes posteriores a ese ID.
-      const query = serverOffset ? { _id: { $gt: new ObjectId(serverOffset) } } : {}
-      const results = await messagesCollection.find(query).toArray()
-      // Enviamos los mensajes perdidos solo a ese cliente.
-      results.forEach(row => {
-        socket.emit('chat message', row.content, row._id.toString(), row.user, row.timestamp)
-      })
+      const room = await RoomRepository.findById(roomId)
+      // IMPORTANTE: Medida de seguridad. Nadie puede entrar en una conversación privada ajena.
+      if (!room || !RoomRepository.canRead(room, socket.user.username)) {
+        return ack({ error: 'La sala no existe o está archivada.' })
+      }
+      // Al cambiar de sala el cliente empieza de cero, así que no pasamos `serverOffset`.
+      await joinRoom(socket, room)
+      ack({ room: RoomRepository.toPublic(room) })
     } catch (e) {
-      console.error('Error al recuperar mensajes:', e)
+      console.error('Error al entrar en la sala:', e)
+      ack({ error: 'No se pudo entrar en la sala.' })
     }
-  }
-})
+  })
 
-// --- Rutas HTTP (Endpoints de la API y Vistas) ---
+  // Evento para salir de una sala: el socket deja de recibir sus mensajes.
+  on('leave room', (roomId) => {
+    socket.leave(roomChannel(roomId))
+  })
 
-// Ruta principal: Muestra la página de inicio de sesión/registro.
-app.get('/', (req, res) => {
-  const { user } = req.session // El middleware de autenticación ya pobló `req.session`.
-  res.render('index', { user }) // Pasamos el usuario a la vista (puede ser `null`).
-})
+  // Evento para archivar una sala. Solo puede hacerlo quien la creó (lo comprueba el repositorio).
+  on('archive room', async (roomId, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const room = await RoomRepository.archive({ roomId, username: socket.user.username })
+      // Avisamos a TODOS: la sala desaparece de las barras laterales y quien la esté viendo debe salir.
+      io.emit('room archived', room._id.toString())
+      ack({ room: RoomRepository.toPublic(room) })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
 
-// Ruta para iniciar sesión.
-app.post('/login', async (req, res) => {
-  const { username, password } = req.body
-  try {
-    const user = await UserRepository.login({ username, password }) // 1. Valida credenciales en el repositorio.
-
-    // 2. Si las credenciales son correctas, creamos (firmamos) un JWT.
-    const token = jwt.sign(
-      { id: user._id, username: user.username }, // Payload: Datos que guardamos en el token.
-      SECRET_JWT_KEY, // Clave secreta para la firma.
-      { expiresIn: '1h' } // Opciones: El token expirará en 1 hora.
-    )
-
-    // 3. Enviamos el token al cliente dentro de una cookie.
-    res
-      .cookie('access_token', token, {
-        httpOnly: true, // La cookie no es accesible por JavaScript en el cliente (previene ataques XSS).
-        secure: process.env.NODE_ENV === 'production', // Enviar solo sobre HTTPS en producción.
-        sameSite: 'strict', // La cookie solo se envía en peticiones del mismo sitio (previene ataques CSRF).
-        maxAge: 1000 * 60 * 60 // Tiempo de vida de la cookie en milisegundos (1 hora).
-      })
-      .status(200).json({ message: 'Login exitoso', user })
-  } catch (error) {
-    res.status(401).json({ error: error.message })
-  }
-})
+  // El cliente pide la página de mensajes anterior a `before` (al hacer scroll hacia arriba).
+  on('load older messages', async (roomId, before, ack) => {
+    ack = ensureAck(ack)
+    // Solo se puede pedir historial de la sala en la que el socket está dentro.
+    if (!socket.rooms.has(roomChannel(roomId))) return ack({ error: 'No estás en esta sala.' })
 
-// Ruta para registrar un nuevo usuario.
-app.post('/register', async (req, res) => {
-  const { username, password } = req.body
-  try {
-    const id = await UserRepository.create({ username, password }) // 1. Crea el usuario.
+    try {
+      const room = await RoomRepository.findById(roomId)
+      const { messages, hasMore } = await MessageRepository.findPage({ roomId: room._id, before })
+      ack({ messages: messages.map(MessageRepository.toPublic), hasMore })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
 
-    // 2. Después de crear, inicia sesión automáticamente firmando un JWT.
-    const token = jwt.sign({ id, username }, SECRET_JWT_KEY, { expiresIn: '1h' })
+  // El cliente pide la página de mensajes posterior a `after`. Solo ocurre cuando está viendo un
+  // mensaje antiguo en su contexto (tras una búsqueda) y hace scroll hacia abajo.
+  on('load newer messages', async (roomId, after, ack) => {
+    ack = ensureAck(ack)
+    if (!socket.rooms.has(roomChannel(roomId))) return ack({ error: 'No estás en esta sala.' })
 
-    // 3. Establece la cookie y envía una respuesta de éxito.
-    return res
-      .cookie('access_token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 1000 * 60 * 60
-      })
-      .status(201)
-      .json({ id, username })
-  } catch (error) {
-    res.status(400).json({ error: error.message })
-  }
-})
+    try {
+      const room = await RoomRepository.findById(roomId)
+      const { messages, hasMore } = await MessageRepository.findPage({ roomId: room._id, after })
+      ack({ messages: messages.map(MessageRepository.toPublic), hasMore })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
 
-// Ruta para cerrar sesión.
-app.post('/logout', (req, res) => {
-  // Simplemente le decimos al navegador que elimine la cookie 'access_token'.
-  res
-    .clearCookie('access_token')
-    .json({ message: 'Logout exitoso' })
-})
+  // Evento para saltar a un mensaje concreto (un resultado de búsqueda): entramos en su sala
+  // y recibimos los mensajes que lo rodean en lugar de los más recientes.
+  on('jump to message', async (messageId, ack) => {
+    ack = ensureAck(ack)
+    try {
+      let message = await MessageRepository.findById(messageId)
+      // Si es una respuesta, saltamos al mensaje que abre su hilo (el cliente abrirá el hilo).
+      if (message?.parentId) message = await MessageRepository.findById(message.parentId)
+      const room = message && await RoomRepository.findById(message.roomId)
+      // IMPORTANTE: Las mismas comprobaciones que al entrar en una sala.
+      if (!room || !RoomRepository.canRead(room, socket.user.username)) {
+        return ack({ error: 'El mensaje no existe o no tienes acceso a él.' })
+      }
+      await joinRoom(socket, room, { around: message })
+      ack({ room: RoomRepository.toPublic(room) })
+    } catch (e) {
+      console.error('Error al saltar al mensaje:', e)
+      ack({ error: 'No se pudo abrir el mensaje.' })
+    }
+  })
 
-// Ruta protegida de ejemplo.
-app.get('/protected', (req, res) => {
-  const { user } = req.session
-  // Gracias a nuestro middleware, solo tenemos que comprobar si `req.session.user` existe.
-  if (!user) return res.status(403).send('Acceso no autorizado. Debes iniciar sesión.')
-  res.render('protected', { user })
-})
+  // El cliente pide un hilo: el mensaje que lo abre y sus respuestas posteriores a `after`
+  // (todas, si no indica `after`). Al reconectar, lo vuelve a pedir con la última respuesta que tiene.
+  on('load thread', async (parentId, after, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const parent = await MessageRepository.findById(parentId)
+      const room = parent && await RoomRepository.findById(parent.roomId)
+      // IMPORTANTE: Medida de seguridad. Solo se leen hilos de salas a las que se tiene acceso.
+      if (!room || parent.parentId || !RoomRepository.canAccess(room, socket.user.username)) {
+        return ack({ error: 'El hilo no existe.' })
+      }
+      const { messages, hasMore } = await MessageRepository.findReplies({ parentId: parent._id, after })
+      ack({ parent: MessageRepository.toPublic(parent), replies: messages.map(MessageRepository.toPublic), hasMore })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
 
-// Ruta para la vista del chat.
-app.get('/chat', (req, res) => {
-  const { user } = req.session // 1. Obtenemos el usuario de la sesión.
+  // El cliente nos avisa de que ha leído los mensajes de la sala que está viendo hasta `messageId`.
+  on('mark read', async (roomId, messageId) => {
+    // Solo se puede marcar como leída la sala en la que el socket está dentro.
+    if (!socket.rooms.has(roomChannel(roomId))) return
 
-  // 2. Si no hay usuario, significa que no ha iniciado sesión o su token es inválido.
-  if (!user) {
-    // 3. Lo redirigimos a la página principal para que inicie sesión.
-    return res.redirect('/')
-  }
+    try {
+      const room = await RoomRepository.findById(roomId)
+      if (!room) return
+      const advanced = await ReadMarkerRepository.markRead({ roomId: room._id, username: socket.user.username, messageId })
+      // Si el marcador ha avanzado, avisamos a la sala (para los "visto por...") y a los demás
+      // dispositivos del propio usuario (para que pongan a cero su contador de no leídos).
+      if (advanced) {
+        io.to(roomAudience(room)).to(userChannel(socket.user.username))
+          .emit('read updated', { roomId: room._id.toString(), username: socket.user.username, messageId })
+      }
+    } catch (e) {
+      console.error('Error al guardar el marcador de lectura:', e)
+    }
+  })
 
-  // 4. Si el usuario está autenticado, renderizamos la vista del chat ('chat.ejs').
-  //    Le pasamos los datos del usuario a la vista para que pueda, por ejemplo, mostrar su nombre.
-  res.render('chat', { user })
-})
+  // Evento que se dispara cuando un cliente envía un mensaje ('chat message') a una sala.
+  // `ack` es la confirmación de entrega: respondemos `{ message }` cuando el mensaje está guardado
+  // y emitido, o `{ error }` si no se ha podido, para que el remitente sepa qué ha pasado.
+  // `clientId` es un identificador que genera el cliente para reconocer su propio mensaje
+  // cuando le llega de vuelta (y sustituir el que pintó como "enviando..."). También hace que
+  // reenviar un mensaje sea seguro: si ya lo guardamos, se confirma el mismo y no se repite.
+  // `attachmentIds` son los archivos que el cliente ya ha subido (POST /attachments) para este mensaje.
+  // `parentId`, si se indica, convierte el mensaje en una respuesta dentro del hilo de ese mensaje.
+  on('chat message', async (payload, ack) => {
+    ack = ensureAck(ack)
+    const { roomId, content, clientId, attachmentIds = [], parentId, expiresIn = null } = payload ?? {}
 
-// --- Arranque del Servidor ---
-// Usamos `server.listen` en lugar de `app.listen` para asegurar que tanto
-// Express como Socket.IO están escuchando en el mismo puerto.
-server.listen(PORT, () => {
-  console.log(`🚀 Servidor escuchando en http://localhost:${PORT}`)
-})
+    // IMPORTANTE: Medida de seguridad.
+    // Solo se puede escribir en la sala en la que el socket está dentro (a la que hizo 'join room').
+    // Como 'join room' comprueba los permisos, esto también impide escribir en conversaciones ajenas.
+    if (!socket.rooms.has(roomChannel(roomId))) {
+      console.warn(`${socket.user.username} intentó escribir en la sala ${roomId} sin estar en ella`)
+      return ack({ error: 'No estás en esta sala.' })
+    }
+
+    // Un reenvío de un mensaje que ya guardamos (el cliente no llegó a ver la confirmación, ver su
+    // bandeja de salida): le confirmamos el que hay, sin volver a guardarlo ni a emitirlo.
+    if (typeof clientId === 'string') {
+      try {
+        const existing = await MessageRepository.findByClientId({ user: socket.user.username, clientId })
+        if (existing) return ack({ message: MessageRepository.toPublic(existing) })
+      } catch (e) {
+        return ack({ error: e.message })
+      }
+    }
+
+    // Límite de mensajes por socket: los que se pasan se descartan y se avisa al remitente.
+    // `retryAfterMs` le dice cuándo puede volver a intentarlo (la bandeja de salida espera y lo reenvía).
+    try {
+      messageLimiter.consume(socket.id, 'Estás enviando mensajes demasiado rápido. Espera unos segundos.')
+    } catch (e) {
+      socket.emit('notice', e.message)
+      return ack({ error: e.message, retryAfterMs: e.retryAfterMs })
+    }
+
+    try {
+      // Un usuario silenciado no puede escribir.
+      const muted = await mutedUntil(socket.user.username)
+      if (muted) return ack({ error: `Estás silenciado hasta ${muted.toLocaleString('es-ES')}.` })
+
+      const room = await RoomRepository.findById(roomId)
+      if (!room || room.archived) return ack({ error: 'La sala no existe o está archivada.' })
+
+      // Las respuestas privadas de los comandos y bots no se guardan: solo las ve este socket.
+      const reply = (text) => socket.emit('command reply', { roomId: room._id.toString(), content: text })
+
+      // Los comandos (`/help`, `/me`...) no se guardan tal cual: se ejecutan (ver `commands.js`).
+      if (CommandDispatcher.parse(content)) {
+        if (attachmentIds.length || parentId) return ack({ error: 'Los comandos no pueden llevar adjuntos ni ir en un hilo.' })
+        const run = async () => {
+          const user = await UserRepository.findByUsername(socket.user.username)
+          const result = await commands.dispatch(content, { user, room, socket, clientId, reply })
+          // Si el comando ha publicado un mensaje en nombre del usuario (`/me`, con su `clientId`), ese es su mensaje.
+          return result?.clientId ? { message: result } : { command: true }
+        }
+        if (typeof clientId !== 'string') return ack(await run())
+
+        // Un reenvío del mismo comando (mismo `clientId`) recibe la confirmación del primero, sin repetirlo
+        // (ver `command-result-repository.js`).
+        const key = { user: socket.user.username, clientId }
+        const { claimed, result: previous } = await CommandResultRepository.claim(key)
+        if (!claimed) return ack(previous ?? { error: 'Este comando todavía se está ejecutando.', retryAfterMs: 1000 })
+        try {
+          const result = await run()
+          await CommandResultRepository.complete({ ...key, result })
+          return ack(result)
+        } catch (e) {
+          await CommandResultRepository.release(key)
+          throw e
+        }
+      }
+
+      // Las respuestas solo pueden ir a un mensaje de la misma sala que no sea ya una respuesta
+      // (los hilos tienen un único nivel).
+      const parent = parentId ? await MessageRepository.findById(parentId) : null
+      if (parentId && (!parent || !parent.roomId.equals(room._id) || parent.parentId)) {
+        return ack({ error: 'No se puede responder a ese mensaje.' })
+      }
+
+      // Los adjuntos solo pueden ser archivos que subió este mismo usuario y que no ha enviado ya.
+      // Un mensaje que empieza por `//` es texto normal que empieza por `/`: quitamos la barra de escape.
+      const attachments = await AttachmentRepository.findClaimable({ ids: attachmentIds, owner: socket.user.username })
+      const text = typeof content === 'string' && content.startsWith('//') ? content.slice(1) : content
+      const message = await publishMessage({ room, content: text, user: socket.user.username, attachments, parent, clientId, expiresIn })
+      // Era un reenvío de un mensaje que ya se publicó y después se eliminó: no hay nada más que hacer.
+      if (!message) return ack({ duplicate: true })
+      // Confirmamos al remitente que el mensaje se ha guardado.
+      ack({ message })
+
+      // Los bots pueden reaccionar al mensaje (después de confirmarlo, para no retrasar la confirmación).
+      commands.notify(message, { user: await UserRepository.findByUsername(socket.user.username), room, socket, reply })
+    } catch (e) {
+      console.error('Error al guardar o emitir el mensaje:', e)
+      ack({ error: e.message })
+    }
+  })
+
+  // Evento para editar un mensaje propio. La versión anterior queda guardada en el historial.
+  on('edit message', async (messageId, content, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const message = await MessageRepository.findById(messageId)
+
+      // IMPORTANTE: Medida de seguridad. La misma regla que para borrar:
+      // solo el autor original (`message.user`) puede editar su mensaje (y no si ya lo borró).
+      if (!message || message.deleted || message.user !== socket.user.username) {
+        console.warn(`Intento de edición no autorizado por ${socket.user.username} para el mensaje ${messageId}`)
+        return ack({ error: 'No puedes editar este mensaje.' })
+      }
+
+      if (await mutedUntil(socket.user.username)) return ack({ error: 'Estás silenciado.' })
+
+      const room = await RoomRepository.findById(message.roomId)
+      if (room.archived) return ack({ error: 'La sala está archivada.' })
+
+      const mentions = await resolveMentions(content, room)
+      const edited = await MessageRepository.edit({ message, content, mentions })
+      // Notificamos a los clientes de la sala para que actualicen el texto.
+      io.to(roomAudience(room)).emit('message edited', MessageRepository.toPublic(edited))
+      // Solo avisamos a quienes se menciona por primera vez: los demás ya recibieron el aviso.
+      notifyMentions(edited, room, message.mentions)
+      ack({ message: MessageRepository.toPublic(edited) })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Evento para poner o quitar una reacción (un emoji) en un mensaje.
+  // Cada usuario solo puede poner o quitar las suyas: usamos siempre el username del socket.
+  on('toggle reaction', async (messageId, emoji, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const message = await MessageRepository.findById(messageId)
+      const room = message && await RoomRepository.findById(message.roomId)
+      // IMPORTANTE: Medida de seguridad. Solo se reacciona a mensajes de salas que se pueden leer.
+      if (!room || message.deleted || !RoomRepository.canAccess(room, socket.user.username)) {
+        return ack({ error: 'El mensaje no existe.' })
+      }
+      if (room.archived) return ack({ error: 'La sala está archivada.' })
+
+      const updated = await MessageRepository.toggleReaction({ message, emoji, username: socket.user.username })
+      const reactions = MessageRepository.toPublicReactions(updated)
+      // Notificamos a la sala para que todos actualicen las reacciones de ese mensaje.
+      io.to(roomAudience(room)).emit('reaction updated', { id: messageId, roomId: room._id.toString(), reactions })
+      ack({ reactions })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Evento para consultar las versiones anteriores de un mensaje editado.
+  on('message revisions', async (messageId, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const message = await MessageRepository.findById(messageId)
+      const room = message && await RoomRepository.findById(message.roomId)
+      // Solo quien puede leer la sala puede ver el historial de sus mensajes.
+      if (!room || !RoomRepository.canAccess(room, socket.user.username)) {
+        return ack({ error: 'El mensaje no existe.' })
+      }
+      ack({ revisions: message.revisions ?? [] })
+    } catch (e) {
+      console.error('Error al consultar el historial del mensaje:', e)
+      ack({ error: 'No se pudo cargar el historial del mensaje.' })
+    }
+  })
+
+  // Evento para borrar un mensaje, solicitado por un cliente.
+  on('delete message', async (messageId) => {
+    try {
+      const message = await MessageRepository.findById(messageId)
+
+      // IMPORTANTE: Medida de seguridad.
+      // Verificamos que el mensaje existe y que el usuario que intenta borrarlo (`socket.user.username`)
+      // es el mismo que el autor original del mensaje (`message.user`)...
+      const isAuthor = message?.user === socket.user.username
+      // ...o que es moderador (o administrador), que pueden borrar cualquier mensaje de las salas en las
+      // que pueden entrar: las conversaciones privadas ajenas quedan fuera de la moderación.
+      const room = message && !isAuthor ? await RoomRepository.findById(message.roomId) : null
+      const isModerator = Boolean(room && RoomRepository.canAccess(room, socket.user.username)) &&
+        hasRole(await UserRepository.findByUsername(socket.user.username), 'moderator')
+
+      // Una lápida (un mensaje ya borrado que conserva su hilo) no se puede volver a borrar.
+      if (message && !message.deleted && (isAuthor || isModerator)) {
+        // Notificamos a los clientes de la sala que este mensaje debe ser eliminado de su vista.
+        await removeMessage(message)
+        // El borrado de un mensaje ajeno es una acción de moderación: queda en el registro de auditoría.
+        // El texto de una conversación privada no se copia en el registro: solo sus miembros lo pueden leer.
+        if (!isAuthor) {
+          const details = { messageId, roomId: message.roomId.toString() }
+          if (room.type !== 'direct') details.content = message.content
+          await AuditLogRepository.record({ action: 'delete message', actor: socket.user.username, target: message.user, details })
+        }
+      } else {
+        console.warn(`Intento de borrado no autorizado por ${socket.user.username} para el mensaje ${messageId}`)
+      }
+    } catch (e) {
+      console.error('Error al borrar el mensaje:', e)
+    }
+  })
+
+  // --- Acciones de Moderación ---
+  // Todas comprueban los permisos en el servidor (ver `authorizeModeration`): que la interfaz
+  // solo muestre estos controles a moderadores no es ninguna garantía de seguridad.
+
+  // Silenciar a un usuario durante `minutes` minutos (moderadores y administradores).
+  on('mute user', async (username, minutes, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const { target } = await authorizeModeration(socket, username, 'moderator')
+      minutes = Number(minutes)
+      if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+        return ack({ error: `La duración debe estar entre 1 y ${MAX_MUTE_MINUTES} minutos.` })
+      }
+
+      const until = Date.now() + minutes * 60 * 1000
+      await UserRepository.mute({ username: target.username, until })
+      await AuditLogRepository.record({ action: 'mute user', actor: socket.user.username, target: target.username, details: { minutes } })
+      io.to(userChannel(target.username)).emit('notice', `Has sido silenciado durante ${minutes} minutos.`)
+      ack({ ok: true })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Quitar el silencio a un usuario (moderadores y administradores).
+  on('unmute user', async (username, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const { target } = await authorizeModeration(socket, username, 'moderator')
+      await UserRepository.mute({ username: target.username, until: 0 })
+      await AuditLogRepository.record({ action: 'unmute user', actor: socket.user.username, target: target.username })
+      io.to(userChannel(target.username)).emit('notice', 'Ya puedes volver a escribir.')
+      ack({ ok: true })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Suspender (banear) una cuenta (solo administradores).
+  // Además de marcarla, cerramos todas sus sesiones y desconectamos sus sockets.
+  on('ban user', async (username, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const { target } = await authorizeModeration(socket, username, 'admin')
+      await UserRepository.setBanned({ username: target.username, banned: true })
+      disconnectSessions(await SessionRepository.revokeAllForUser(target.username))
+      await AuditLogRepository.record({ action: 'ban user', actor: socket.user.username, target: target.username })
+      ack({ ok: true })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Reactivar una cuenta suspendida (solo administradores).
+  on('unban user', async (username, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const { target } = await authorizeModeration(socket, username, 'admin')
+      await UserRepository.setBanned({ username: target.username, banned: false })
+      await AuditLogRepository.record({ action: 'unban user', actor: socket.user.username, target: target.username })
+      ack({ ok: true })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Cambiar el rol de un usuario (solo administradores).
+  on('set role', async (username, role, ack) => {
+    ack = ensureAck(ack)
+    try {
+      const { target } = await authorizeModeration(socket, username, 'admin')
+      await UserRepository.setRole({ username: target.username, role })
+      await AuditLogRepository.record({
+        action: 'set role',
+        actor: socket.user.username,
+        target: target.username,
+        details: { from: target.role, to: role }
+      })
+      io.to(userChannel(target.username)).emit('notice', `Tu rol ahora es: ${role}. Recarga la página para ver los cambios.`)
+      ack({ ok: true })
+    } catch (e) {
+      ack({ error: e.message })
+    }
+  })
+
+  // Consultar el registro de auditoría (moderadores y administradores).
+  on('audit log', async (ack) => {
+    ack = ensureAck(ack)
+    try {
+      if (!hasRole(await UserRepository.findByUsername(socket.user.username), 'moderator')) {
+        return ack({ error: 'No tienes permisos para esta acción.' })
+      }
+      ack({ entries: await AuditLogRepository.list() })
+    } catch (e) {
+      console.error('Error al consultar el registro de auditoría:', e)
+      ack({ error: 'No se pudo cargar el registro de auditoría.' })
+    }
+  })
+
+  // Lógica para recuperar mensajes perdidos (si el cliente se reconecta).
+  // `socket.recovered` es `true` si la conexión es una reconexión exitosa: en ese caso
+  // Socket.IO ya le ha devuelto sus canales y los mensajes perdidos, no hay nada que hacer.
+  if (!socket.recovered) {
+    try {
+      // El cliente nos envía la sala que estaba viendo (`roomId`) y el ID del último
+      // mensaje que recibió en ella (`serverOffset`).
+      const { roomId, serverOffset } = socket.handshake.auth
+      const room = await RoomRepository.findById(roomId)
+
+      // Si la sala no existe (o es un canal que se archivó mientras tanto, o una conversación ajena), lo llevamos
+      // a la sala por defecto y descartamos el `serverOffset`, que pertenecía a otra sala.
+      if (room && RoomRepository.canRead(room, socket.user.username)) {
+        await joinRoom(socket, room, { serverOffset })
+      } else {
+        await joinRoom(socket, await RoomRepository.findDefault())
+      }
+    } catch (e) {
+      console.error('Error al recuperar mensajes:', e)
+    }
+  }
+})
+
+// --- Rutas HTTP (Endpoints de la API y Vistas) ---
+
+// Ruta principal: Muestra la página de inicio de sesión/registro.
+app.get('/', (req, res) => {
+  const { user } = req.session // El middleware de autenticación ya pobló `req.session`.
+  res.render('index', { user }) // Pasamos el usuario a la vista (puede ser `null`).
+})
+
+// Ruta para iniciar sesión.
+app.post('/login', async (req, res) => {
+  const { username, password } = req.body
+  try {
+    // 1. Valida credenciales en el repositorio (que también limita los intentos fallidos).
+    const user = await UserRepository.login({ username, password, ip: req.ip })
+
+    // 2. Si tiene activada la verificación en dos pasos, todavía no hay sesión: solo una cookie
+    //    de vida corta para el segundo paso (`/login/2fa`).
+    if (user.twoFactorEnabled) {
+      setPendingTwoFactorCookie(res, user)
+      return res.status(200).json({ twoFactorRequired: true })
+    }
+
+    // 3. Si las credenciales son correctas, creamos una sesión en el servidor y enviamos al
+    //    cliente sus cookies: el JWT de acceso (vida corta) y el refresh token (vida larga).
+    await startSession(req, res, user)
+    metrics.logins.inc({ result: 'success' })
+
+    res.status(200).json({ message: 'Login exitoso', user })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) {
+      metrics.logins.inc({ result: 'blocked' })
+      return sendTooManyAttempts(res, error)
+    }
+    metrics.logins.inc({ result: 'failure' })
+    res.status(401).json({ error: error.message })
+  }
+})
+
+// Segundo paso del login con verificación en dos pasos. Cuerpo: `{ code }`, de la app de
+// autenticación o un código de recuperación. Solo aquí se crea la sesión (y el `access_token`).
+app.post('/login/2fa', async (req, res) => {
+  const pending = readPendingTwoFactor(req)
+  if (!pending) return res.status(401).json({ error: 'El tiempo para escribir el código ha caducado. Vuelve a iniciar sesión.' })
+
+  try {
+    const user = await UserRepository.verifySecondFactor({ username: pending.username, code: req.body.code })
+    res.clearCookie('pending_2fa')
+    await startSession(req, res, user)
+    metrics.logins.inc({ result: 'success' })
+    res.status(200).json({ message: 'Login exitoso', user })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) {
+      metrics.logins.inc({ result: 'blocked' })
+      return sendTooManyAttempts(res, error)
+    }
+    metrics.logins.inc({ result: 'failure' })
+    res.status(401).json({ error: error.message })
+  }
+})
+
+// Ruta para registrar un nuevo usuario.
+app.post('/register', async (req, res) => {
+  const { username, password } = req.body
+  try {
+    // 1. Limitamos los registros desde una misma IP y creamos el usuario.
+    registerLimiter.consume(req.ip, 'Se han registrado demasiadas cuentas desde tu conexión. Inténtalo más tarde.')
+    const id = await UserRepository.create({ username, password })
+
+    // 2. Después de crear, inicia sesión automáticamente.
+    await startSession(req, res, { _id: id, username })
+
+    // 3. Envía una respuesta de éxito.
+    return res.status(201).json({ id, username })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Ruta para renovar la sesión: cambia el refresh token por uno nuevo y emite un JWT de acceso nuevo.
+// La usa el cliente del chat cuando el JWT de acceso caduca con el socket abierto.
+app.post('/refresh', async (req, res) => {
+  const { refresh_token: refreshToken } = req.cookies
+  if (!refreshToken) return res.status(401).json({ error: 'No hay ninguna sesión que renovar.' })
+
+  try {
+    const { session, refreshToken: newRefreshToken } = await SessionRepository.rotate(refreshToken)
+    setSessionCookies(res, session, newRefreshToken)
+    res.json({ message: 'Sesión renovada', user: { _id: session.userId, username: session.username } })
+  } catch (error) {
+    clearSessionCookies(res).status(401).json({ error: error.message })
+  }
+})
+
+// Ruta para cerrar sesión.
+app.post('/logout', async (req, res) => {
+  // 1. Revocamos la sesión actual en el servidor (para que su JWT y su refresh token dejen de valer)
+  //    y desconectamos los sockets abiertos con ella.
+  const { user } = req.session
+  try {
+    if (user) {
+      await SessionRepository.revoke(user.sid)
+      disconnectSessions([user.sid])
+    }
+  } catch (error) {
+    console.error('Error al revocar la sesión:', error)
+  }
+
+  // 2. Le decimos al navegador que elimine las cookies de sesión (aunque la revocación haya fallado).
+  clearSessionCookies(res).json({ message: 'Logout exitoso' })
+})
+
+// Ruta para cerrar TODAS las sesiones del usuario (en todos sus navegadores y dispositivos).
+app.post('/logout-all', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const sids = await SessionRepository.revokeAllForUser(user.username)
+    disconnectSessions(sids)
+    clearSessionCookies(res).json({ message: `Se han cerrado ${sids.length} sesiones` })
+  } catch (error) {
+    console.error('Error al revocar las sesiones:', error)
+    res.status(500).json({ error: 'No se pudieron cerrar las sesiones.' })
+  }
+})
+
+// Ruta para subir un archivo adjunto. El cuerpo de la petición es el archivo tal cual (no un formulario):
+// su tipo va en la cabecera `Content-Type` y su nombre en el parámetro `name` de la query string.
+// Devuelve el adjunto; el cliente envía después su ID junto con el mensaje ('chat message').
+app.post('/attachments', (req, res, next) => {
+  if (!req.session.user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  // Leemos el cuerpo como un `Buffer`, con el tamaño máximo configurado. Si lo supera,
+  // `express.raw` nos da un error 413 que convertimos en una respuesta JSON.
+  express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES })(req, res, (error) => {
+    if (error) return res.status(error.status ?? 400).json({ error: `El archivo no puede superar los ${MAX_ATTACHMENT_BYTES} bytes.` })
+    next()
+  })
+}, async (req, res) => {
+  try {
+    const attachment = await AttachmentRepository.upload({
+      owner: req.session.user.username,
+      name: req.query.name,
+      contentType: req.get('content-type'),
+      data: req.body
+    })
+    res.status(201).json({ attachment })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Ruta para descargar (o ver) un archivo adjunto.
+// Puede verlo quien pueda leer la sala de su mensaje; si todavía no se ha enviado, solo quien lo subió.
+app.get('/attachments/:id', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const file = await AttachmentRepository.findById(req.params.id)
+    const { messageId, owner, contentType } = file?.metadata ?? {}
+
+    let allowed = false
+    if (file && messageId) {
+      const message = await MessageRepository.findById(messageId)
+      const room = message && await RoomRepository.findById(message.roomId)
+      allowed = Boolean(room && RoomRepository.canAccess(room, user.username))
+    } else if (file) {
+      allowed = owner === user.username
+    }
+    if (!allowed) return res.status(404).json({ error: 'El archivo no existe.' })
+
+    // Las imágenes se muestran en el navegador; el resto se descarga.
+    // `nosniff` impide que el navegador "adivine" otro tipo (por ejemplo, HTML) a partir del contenido.
+    const disposition = AttachmentRepository.isImage(contentType) ? 'inline' : 'attachment'
+    res.set({
+      'Content-Type': contentType,
+      'Content-Length': file.length,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(file.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400'
+    })
+    AttachmentRepository.openDownloadStream(file)
+      .on('error', (error) => {
+        console.error('Error al leer el archivo adjunto:', error)
+        res.destroy(error)
+      })
+      .pipe(res)
+  } catch (error) {
+    console.error('Error al descargar el archivo adjunto:', error)
+    res.status(500).json({ error: 'No se pudo descargar el archivo.' })
+  }
+})
+
+// Ruta para buscar mensajes. Parámetros (en la query string):
+// - `q`: palabras a buscar; `phrase`: frase exacta. Hace falta al menos uno de los dos.
+// - `author`: solo mensajes de ese usuario.
+// - `from` y `to`: fechas (AAAA-MM-DD) entre las que se escribió el mensaje, ambas incluidas.
+// - `page`: la página de resultados, empezando en 1.
+// Solo se busca en las salas que el usuario puede ver: canales abiertos y sus conversaciones privadas.
+app.get('/search', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  const { q = '', phrase = '', author, from, to, page = '1' } = req.query
+  try {
+    const fromDate = from ? parseSearchDate(from) : undefined
+    // `to` incluye todo ese día: buscamos hasta el inicio del día siguiente.
+    const toDate = to ? new Date(parseSearchDate(to).getTime() + 24 * 60 * 60 * 1000) : undefined
+
+    const rooms = await RoomRepository.listAccessible(user.username)
+    const roomsById = new Map(rooms.map(room => [room._id.toString(), room]))
+    const { messages, hasMore } = await MessageRepository.search({
+      roomIds: rooms.map(room => room._id),
+      text: q,
+      phrase,
+      author: author || undefined,
+      from: fromDate,
+      to: toDate,
+      page: Number(page)
+    })
+
+    res.json({
+      page: Number(page),
+      hasMore,
+      results: messages.map(message => ({
+        ...MessageRepository.toPublic(message),
+        snippet: message.snippet,
+        room: RoomRepository.toPublic(roomsById.get(message.roomId.toString()))
+      }))
+    })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+/**
+ * Middleware de las rutas `/admin/...`: deja pasar solo a los administradores.
+ * El rol se lee del almacén de usuarios en cada petición, no del JWT: un cambio de rol se aplica al momento.
+ * @type {import('express').RequestHandler}
+ */
+async function requireAdmin (req, res, next) {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+  try {
+    if (!hasRole(await UserRepository.findByUsername(user.username), 'admin')) {
+      return res.status(403).json({ error: 'Solo los administradores pueden hacer esto.' })
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Ruta para exportar el historial. Parámetros (en la query string):
+// - `format`: 'jsonl' (por defecto), 'csv' o 'html' (ver `chat-export.js`).
+// - `roomId`: solo esa sala. Sin él, todas las que el usuario puede ver (un administrador, todas).
+// - `author`: solo mensajes de ese usuario.
+// - `from` y `to`: fechas (AAAA-MM-DD), ambas incluidas, como en la búsqueda.
+// La respuesta se escribe a medida que se leen los mensajes: nunca se carga la colección entera.
+app.get('/export', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  const { format = 'jsonl', roomId, author, from, to } = req.query
+  let rooms, messages
+  try {
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) throw new Error(`El formato debe ser uno de: ${Object.keys(EXPORT_FORMATS).join(', ')}.`)
+    const fromDate = from ? parseSearchDate(from) : undefined
+    const toDate = to ? new Date(parseSearchDate(to).getTime() + 24 * 60 * 60 * 1000) : undefined
+
+    // Los administradores pueden exportar cualquier sala (también conversaciones privadas ajenas).
+    const isAdmin = hasRole(await UserRepository.findByUsername(user.username), 'admin')
+    if (roomId) {
+      const room = await RoomRepository.findById(roomId)
+      if (!room || !(isAdmin || RoomRepository.canAccess(room, user.username))) return res.status(404).json({ error: 'La sala no existe.' })
+      rooms = [room]
+    } else {
+      rooms = isAdmin ? await RoomRepository.listAll() : await RoomRepository.listAccessible(user.username)
+    }
+
+    messages = MessageRepository.findForExport({
+      roomIds: isAdmin && !roomId ? null : rooms.map(room => room._id),
+      author: author || undefined,
+      from: fromDate,
+      to: toDate
+    })
+  } catch (error) {
+    return res.status(400).json({ error: error.message })
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format]
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="chat-export-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'no-store'
+  })
+  try {
+    const meta = { exportedBy: user.username, filters: { roomId, author, from, to } }
+    await pipeline(Readable.from(exportMessages({ format, rooms, messages, meta })), res)
+  } catch (error) {
+    // Las cabeceras ya se han enviado: solo podemos cortar la descarga (también llega aquí si el cliente la cancela).
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('Error al exportar el historial:', error)
+    res.destroy()
+  }
+})
+
+// Ruta para importar una exportación 'jsonl' (solo administradores). El cuerpo es el archivo tal cual,
+// con `Content-Type: application/x-ndjson`. Solo funciona con la base de datos todavía sin mensajes,
+// y conserva los IDs, autores y fechas originales. Si el archivo tiene algún error no se importa nada.
+app.post('/admin/import', requireAdmin, async (req, res) => {
+  const { user } = req.session
+  try {
+    if (!req.is('application/x-ndjson')) return res.status(415).json({ error: 'El archivo debe enviarse como application/x-ndjson.' })
+
+    // El cuerpo no pasa por `express.json`: lo leemos línea a línea mientras llega.
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity })
+    const imported = await importMessages(lines)
+    await AuditLogRepository.record({ action: 'import messages', actor: user.username, target: 'messages', details: imported })
+    res.status(201).json({ message: `Importados ${imported.messages} mensajes en ${imported.rooms} salas.`, ...imported })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+/**
+ * Convierte una fecha de la búsqueda (AAAA-MM-DD) en un `Date`, o lanza un error si no es válida.
+ * @param {string} value - La fecha recibida en la query string.
+ * @returns {Date}
+ */
+function parseSearchDate (value) {
+  const date = new Date(value)
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) throw new Error(`La fecha '${value}' no es válida.`)
+  return date
+}
+
+// --- Webhooks ---
+// Los gestionan los administradores (ver `webhook-repository.js`).
+
+// Listar todos los webhooks.
+app.get('/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    res.json({ webhooks: (await WebhookRepository.list()).map(WebhookRepository.toPublic) })
+  } catch (error) {
+    console.error('Error al listar los webhooks:', error)
+    res.status(500).json({ error: 'No se pudieron cargar los webhooks.' })
+  }
+})
+
+// Crear un webhook. Cuerpo:
+// - De entrada: `{ direction: 'incoming', name, roomId }`. Devuelve su URL (con el token): solo se ve esta vez.
+// - De salida: `{ direction: 'outgoing', name, url, roomId?, keyword? }`. Sin `roomId`, recibe los mensajes de
+//   todos los canales. Devuelve el secreto con el que se firman los envíos: solo se ve esta vez.
+app.post('/admin/webhooks', requireAdmin, async (req, res) => {
+  const { user } = req.session
+  const { direction, name, roomId, url, keyword } = req.body
+  try {
+    // Solo canales: las conversaciones privadas no se conectan con otros sistemas.
+    const room = roomId ? await RoomRepository.findById(roomId) : null
+    if (roomId && (!room || room.type !== 'channel')) throw new Error('El canal no existe.')
+
+    let created
+    if (direction === 'incoming') {
+      if (!room || room.archived) throw new Error('Elige un canal no archivado en el que publicar.')
+      const { webhook, token } = await WebhookRepository.createIncoming({ name, roomId: room._id, createdBy: user.username })
+      created = { webhook: WebhookRepository.toPublic(webhook), url: `${req.protocol}://${req.get('host')}/hooks/${token}` }
+    } else if (direction === 'outgoing') {
+      const { webhook, secret } = await WebhookRepository.createOutgoing({ name, url, roomId: room?._id ?? null, keyword, createdBy: user.username })
+      created = { webhook: WebhookRepository.toPublic(webhook), secret }
+    } else {
+      throw new Error("El tipo de webhook debe ser 'incoming' u 'outgoing'.")
+    }
+
+    await AuditLogRepository.record({ action: 'create webhook', actor: user.username, target: created.webhook.id, details: { direction, name } })
+    res.status(201).json(created)
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Borrar un webhook. Un webhook de entrada borrado deja de aceptar mensajes al momento.
+app.delete('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const webhook = await WebhookRepository.findById(req.params.id)
+    if (!webhook) return res.status(404).json({ error: 'El webhook no existe.' })
+
+    await WebhookRepository.remove(webhook._id)
+    await AuditLogRepository.record({ action: 'delete webhook', actor: req.session.user.username, target: req.params.id, details: { name: webhook.name } })
+    res.json({ message: 'Webhook borrado.' })
+  } catch (error) {
+    console.error('Error al borrar el webhook:', error)
+    res.status(500).json({ error: 'No se pudo borrar el webhook.' })
+  }
+})
+
+// Registro de entregas de un webhook de salida: los intentos más recientes, con su resultado.
+app.get('/admin/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const webhook = await WebhookRepository.findById(req.params.id)
+    if (!webhook) return res.status(404).json({ error: 'El webhook no existe.' })
+
+    const deliveries = await WebhookRepository.listDeliveries(webhook._id)
+    res.json({ deliveries: deliveries.map(({ _id, webhookId, ...delivery }) => ({ id: _id.toString(), ...delivery })) })
+  } catch (error) {
+    console.error('Error al listar las entregas del webhook:', error)
+    res.status(500).json({ error: 'No se pudo cargar el registro de entregas.' })
+  }
+})
+
+// Webhook de entrada: otro sistema publica un mensaje en el canal del webhook. Cuerpo: `{ text }`.
+// No hay sesión: el token secreto de la URL es la credencial. El mensaje sigue el mismo camino
+// que los de los usuarios (`publishMessage`), firmado con el nombre del webhook.
+app.post('/hooks/:token', async (req, res) => {
+  try {
+    const webhook = await WebhookRepository.findIncomingByToken(req.params.token)
+    if (!webhook) return res.status(404).json({ error: 'El webhook no existe.' })
+
+    incomingWebhookLimiter.consume(webhook._id.toString(), 'Este webhook ha enviado demasiados mensajes. Espera un minuto.')
+
+    const room = await RoomRepository.findById(webhook.roomId)
+    if (!room || room.archived) return res.status(410).json({ error: 'El canal del webhook ya no existe o está archivado.' })
+
+    const message = await publishMessage({ room, bot: webhook.name, content: req.body?.text })
+    res.status(201).json({ id: message.id })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// --- Rutas de la Cuenta de Usuario ---
+// Todas exigen sesión. Los cambios delicados (contraseña, nombre, borrado) piden además
+// la contraseña actual, por si alguien se encuentra una sesión abierta.
+
+// Página de ajustes de la cuenta.
+app.get('/settings', async (req, res, next) => {
+  const { user } = req.session
+  if (!user) return res.redirect('/')
+
+  try {
+    const account = await UserRepository.findByUsername(user.username)
+    if (!account) return clearSessionCookies(res).redirect('/')
+    res.render('settings', { user, profile: toPublicProfile(account), twoFactorEnabled: account.twoFactorEnabled })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Cambiar el nombre visible. Cuerpo: `{ displayName }` (vacío para usar el nombre de usuario).
+app.patch('/account/profile', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const updated = await UserRepository.updateProfile({ username: user.username, displayName: req.body.displayName })
+    const profile = toPublicProfile(updated)
+    io.emit('profile updated', profile)
+    res.json({ profile })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Cambiar el avatar. Igual que en POST /attachments, el cuerpo es la imagen tal cual
+// y su tipo va en la cabecera `Content-Type`.
+app.put('/account/avatar', (req, res, next) => {
+  if (!req.session.user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  express.raw({ type: () => true, limit: MAX_AVATAR_BYTES })(req, res, (error) => {
+    if (error) return res.status(error.status ?? 400).json({ error: `La imagen no puede superar los ${MAX_AVATAR_BYTES} bytes.` })
+    next()
+  })
+}, async (req, res) => {
+  const { username } = req.session.user
+  try {
+    const previous = await UserRepository.findByUsername(username)
+    const avatarId = await AvatarRepository.upload({ owner: username, contentType: req.get('content-type'), data: req.body })
+    const updated = await UserRepository.setAvatar({ username, avatarId })
+    await AvatarRepository.remove(previous?.avatarId)
+
+    const profile = toPublicProfile(updated)
+    io.emit('profile updated', profile)
+    res.json({ profile })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Quitar el avatar.
+app.delete('/account/avatar', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const previous = await UserRepository.findByUsername(user.username)
+    const updated = await UserRepository.setAvatar({ username: user.username, avatarId: null })
+    await AvatarRepository.remove(previous?.avatarId)
+
+    const profile = toPublicProfile(updated)
+    io.emit('profile updated', profile)
+    res.json({ profile })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Ver el avatar de un usuario. Cada avatar nuevo tiene un ID nuevo, así que el navegador puede guardarlo para siempre.
+app.get('/avatars/:id', async (req, res) => {
+  if (!req.session.user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const file = await AvatarRepository.findById(req.params.id)
+    if (!file) return res.status(404).json({ error: 'La imagen no existe.' })
+
+    res.set({
+      'Content-Type': file.metadata.contentType,
+      'Content-Length': file.length,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=31536000, immutable'
+    })
+    AvatarRepository.openDownloadStream(file)
+      .on('error', (error) => {
+        console.error('Error al leer el avatar:', error)
+        res.destroy(error)
+      })
+      .pipe(res)
+  } catch (error) {
+    console.error('Error al descargar el avatar:', error)
+    res.status(500).json({ error: 'No se pudo descargar la imagen.' })
+  }
+})
+
+// Cambiar la contraseña. Cuerpo: `{ currentPassword, newPassword }`.
+// Cierra las demás sesiones: quien conociera la contraseña anterior deja de tener acceso.
+app.post('/account/password', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  const { currentPassword, newPassword } = req.body
+  try {
+    await UserRepository.changePassword({ username: user.username, currentPassword, newPassword })
+    await restartSessions(req, res, user.username, { _id: user.id, username: user.username })
+    res.json({ message: 'Contraseña cambiada. Se han cerrado tus otras sesiones.' })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// --- Verificación en dos pasos (TOTP) ---
+// Se activa en dos pasos: `setup` crea un secreto pendiente (pide la contraseña) y `enable` lo activa
+// cuando el usuario demuestra, con un código, que lo ha guardado en su app.
+
+// Empezar a configurarla. Cuerpo: `{ password }`. Devuelve el secreto y la URI `otpauth://` (para el QR).
+app.post('/account/2fa/setup', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const { secret, otpauthUri } = await UserRepository.beginTwoFactorSetup({ username: user.username, password: req.body.password })
+    res.json({ secret, otpauthUri })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Activarla. Cuerpo: `{ code }`. Devuelve los códigos de recuperación: es la única vez que se ven.
+app.post('/account/2fa/enable', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  try {
+    const recoveryCodes = await UserRepository.enableTwoFactor({ username: user.username, code: req.body.code })
+    res.json({ message: 'Verificación en dos pasos activada.', recoveryCodes })
+  } catch (error) {
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Desactivarla. Cuerpo: `{ password, code }`: hay que volver a identificarse con los dos factores.
+app.post('/account/2fa/disable', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  const { password, code } = req.body
+  try {
+    await UserRepository.disableTwoFactor({ username: user.username, password, code })
+    res.json({ message: 'Verificación en dos pasos desactivada.' })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Cambiar el nombre de usuario (con el que se inicia sesión). Cuerpo: `{ newUsername, password }`.
+app.post('/account/rename', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  const { newUsername, password } = req.body
+  try {
+    const renamed = await UserRepository.rename({ username: user.username, newUsername, password })
+    await renameAccountData({ from: user.username, user: renamed })
+    // Las sesiones abiertas (y sus JWT) llevan el nombre anterior: las cambiamos por una nueva.
+    await restartSessions(req, res, user.username, renamed)
+    res.json({ message: `Ahora eres ${renamed.username}.`, profile: toPublicProfile(renamed) })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Borrar la cuenta. Cuerpo: `{ password, messages }`, donde `messages` es 'anonymize'
+// (los mensajes se quedan, sin autor) o 'remove' (se borran).
+app.delete('/account', async (req, res) => {
+  const { user } = req.session
+  if (!user) return res.status(401).json({ error: 'Debes iniciar sesión.' })
+
+  const { password, messages } = req.body
+  if (!['anonymize', 'remove'].includes(messages)) {
+    return res.status(400).json({ error: "Indica qué hacer con tus mensajes: 'anonymize' o 'remove'." })
+  }
+
+  try {
+    const removed = await UserRepository.remove({ username: user.username, password })
+    disconnectSessions(await SessionRepository.revokeAllForUser(user.username))
+    await removeAccountData({ user: removed, messages })
+    clearSessionCookies(res).json({ message: 'Tu cuenta se ha borrado.' })
+  } catch (error) {
+    if (error instanceof TooManyAttemptsError) return sendTooManyAttempts(res, error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Ruta para la vista del chat.
+app.get('/chat', async (req, res, next) => {
+  const { user } = req.session // 1. Obtenemos el usuario de la sesión.
+
+  // 2. Si no hay usuario, significa que no ha iniciado sesión o su token es inválido.
+  if (!user) {
+    // 3. Lo redirigimos a la página principal para que inicie sesión.
+    return res.redirect('/')
+  }
+
+  // 4. Si el usuario está autenticado, renderizamos la vista del chat ('chat.ejs').
+  //    Le pasamos los datos del usuario a la vista para que pueda, por ejemplo, mostrar su nombre,
+  //    y su rol (leído del repositorio, no del JWT) para mostrar o no los controles de moderación.
+  try {
+    const { role } = await UserRepository.findByUsername(user.username) ?? { role: 'member' }
+    res.render('chat', { user, role })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// --- Arranque del Servidor ---
+// Usamos `server.listen` en lugar de `app.listen` para asegurar que tanto
+// Express como Socket.IO están escuchando en el mismo puerto.
+server.listen(PORT, () => {
+  console.log(`🚀 Servidor escuchando en http://localhost:${PORT}`)
+})
+
+// --- Apagado Ordenado ---
+// El orquestador envía SIGTERM antes de parar el proceso (y Ctrl+C envía SIGINT). En lugar de morir
+// en mitad de una escritura, dejamos de aceptar conexiones, avisamos a los clientes, esperamos a lo
+// que está en curso y cerramos la conexión con MongoDB. Los clientes se reconectan solos: a otra
+// instancia, si la hay (ver `socket-adapter.js`), o a esta cuando vuelva a arrancar.
+
+/**
+ * Apaga el servidor de forma ordenada y termina el proceso.
+ * @param {string} signal - La señal recibida (solo para el registro).
+ */
+async function shutdown (signal) {
+  if (shuttingDown) return
+  shuttingDown = true
+  console.log(`${signal} recibido: apagando el servidor...`)
+
+  // Si algo se queda colgado (una exportación muy larga, por ejemplo), salimos igualmente.
+  setTimeout(() => {
+    console.error(`El apagado ha tardado más de ${SHUTDOWN_TIMEOUT_MS} ms: salimos sin esperar más.`)
+    process.exit(1)
+  }, Number(SHUTDOWN_TIMEOUT_MS)).unref()
+
+  try {
+    // 1. Avisamos a los clientes conectados a este proceso.
+    io.local.emit('notice', 'El servidor se está reiniciando: te volveremos a conectar en unos segundos.')
+    // 2. Cerramos los sockets y dejamos de aceptar conexiones. `io.close` cierra también el servidor HTTP,
+    //    que avisa (con el callback) cuando han terminado las peticiones en curso.
+    await new Promise(resolve => io.close(resolve))
+    // 3. Esperamos a los eventos de los sockets que aún se estaban procesando.
+    await Promise.allSettled(pendingOperations)
+    // 4. Y cerramos la conexión con MongoDB.
+    await client.close()
+    console.log('Servidor apagado.')
+    process.exit(0)
+  } catch (e) {
+    console.error('Error al apagar el servidor:', e)
+    process.exit(1)
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
@@ -0,0 +1,711 @@
+// --- Repositorio de Mensajes del Chat ---
+
+// Encapsula el acceso a la colección `messages` de MongoDB.
+// Cada mensaje pertenece a una sala (`roomId`), de modo que todas las consultas
+// se hacen siempre "dentro" de una sala concreta.
+//
+// Cuando un mensaje se edita, `content` pasa a tener el texto nuevo y el texto anterior
+// se guarda en el array `revisions`. Así, cualquier consulta (incluida la recuperación de
+// mensajes tras una reconexión) devuelve siempre la última versión.
+//
+// La búsqueda usa un índice de texto de MongoDB sobre `content`. Los fragmentos resaltados
+// se devuelven como una lista de trozos de texto (`{ text, match }`) y no como HTML:
+// así el cliente los pinta con `textContent` y un mensaje no puede inyectar etiquetas.
+//
+// Un mensaje puede llevar archivos adjuntos (`attachments`): aquí solo se guarda su descripción
+// (ID, nombre, tipo y tamaño). Los archivos en sí viven en `attachment-repository.js`.
+//
+// Las reacciones se guardan en el propio mensaje como un objeto emoji -> usernames,
+// por ejemplo `{ '👍': ['ana', 'luis'] }`. Así viajan con el mensaje en cualquier consulta.
+//
+// Hilos: una respuesta es un mensaje con `parentId` (el mensaje al que responde). Las respuestas
+// no aparecen en el historial de la sala, solo en su hilo; el mensaje padre lleva la cuenta
+// (`replyCount`). Si se borra un mensaje con respuestas, no desaparece: queda como "lápida"
+// (`deleted: true`, sin texto ni adjuntos) para que el hilo se pueda seguir leyendo.
+//
+// El texto admite un subconjunto de Markdown y menciones (`@usuario`), pero aquí se guarda tal cual:
+// es el cliente quien lo convierte en nodos del DOM (ver `public/js/markdown.js`). Las menciones
+// que el servidor ha comprobado que son usuarios reales se guardan aparte, en `mentions`,
+// y solo esas se resaltan.
+//
+// Los mensajes de los bots (ver `commands.js`) no tienen autor (`user: null`) sino `bot`, el nombre
+// del bot: así nadie puede hacerse pasar por un bot registrándose con su nombre.
+// Los mensajes de `/me` llevan `action: true` y se muestran como una acción ("* ana saluda").
+//
+// Mensajes que se autodestruyen: quien escribe puede elegir que el mensaje caduque al cabo de un tiempo
+// (`expiresAt`). Aquí solo se guarda la fecha; quien los borra (igual que a los que superan la retención,
+// ver `MESSAGE_RETENTION_DAYS`) es una tarea periódica de `index.js`, que avisa a los clientes.
+// No usamos un índice TTL de MongoDB: borraría los mensajes sin avisar a nadie ni cuidar de sus hilos.
+//
+// Cada mensaje de una persona guarda el `clientId` que le dio su navegador. El cliente reenvía los
+// mensajes que no llegó a ver confirmados (ver la bandeja de salida de `public/js/chat.js`), y un
+// índice único sobre `{ user, clientId }` garantiza que un reenvío no se guarda dos veces. Al eliminar
+// un mensaje, su `clientId` se sigue recordando un tiempo (`messages_removed_client_ids`): si no, un
+// reenvío tardío volvería a publicar un mensaje que su autor, un moderador o la caducidad ya quitaron.
+
+import { ObjectId } from 'mongodb'
+import { db } from './db.js'
+import { HISTORY_PAGE_SIZE, MAX_CATCH_UP_MESSAGES, SEARCH_PAGE_SIZE, MAX_MESSAGE_LENGTH } from './config.js'
+
+const messages = db.collection('messages')
+// Los mensajes retirados por la retención en modo 'archive' (ver `MESSAGE_RETENTION_MODE`).
+const archivedMessages = db.collection('messages_archive')
+// Los `clientId` de los mensajes eliminados, para que un reenvío no los vuelva a publicar (ver `remove`).
+const removedClientIds = db.collection('messages_removed_client_ids')
+
+// Las variables de entorno siempre llegan como texto: las convertimos a número una sola vez.
+const pageSize = Number(HISTORY_PAGE_SIZE)
+const maxCatchUp = Number(MAX_CATCH_UP_MESSAGES)
+const searchPageSize = Number(SEARCH_PAGE_SIZE)
+const maxMessageLength = Number(MAX_MESSAGE_LENGTH)
+
+// Caracteres que se muestran antes y después de la primera coincidencia en un fragmento de búsqueda.
+const SNIPPET_CONTEXT = 60
+
+// Número máximo de emojis distintos con los que se puede reaccionar a un mismo mensaje.
+const MAX_REACTIONS_PER_MESSAGE = 20
+
+// Número máximo de usuarios distintos que se pueden mencionar en un mismo mensaje.
+const MAX_MENTIONS_PER_MESSAGE = 20
+
+// Longitud máxima del `clientId` (el cliente usa UUID, de 36 caracteres).
+const MAX_CLIENT_ID_LENGTH = 64
+
+// Cuánto tiempo recordamos el `clientId` de un mensaje eliminado. Cubre una bandeja de salida
+// que se quedó sin conexión varios días con el mensaje sin confirmar.
+const REMOVED_CLIENT_ID_TTL_SECONDS = 30 * 24 * 60 * 60
+
+// Tiempo mínimo y máximo (en segundos) que puede durar un mensaje que se autodestruye.
+const MIN_EXPIRY_SECONDS = 10
+const MAX_EXPIRY_SECONDS = 7 * 24 * 60 * 60
+
+// Una mención es `@` seguido del nombre, sin una letra o número justo antes (así `ana@correo.es`
+// no cuenta). El nombre puede tener puntos, pero no terminar en uno: "hola @ana." menciona a "ana".
+// Debe coincidir con la expresión de `public/js/markdown.js`.
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@])@([\p{L}\p{N}_-]+(?:\.[\p{L}\p{N}_-]+)*)/gu
+
+export class MessageRepository {
+  /**
+   * Prepara la colección al arrancar el servidor.
+   * Los mensajes escritos antes de que existieran las salas no tienen `roomId`:
+   * los movemos a la sala por defecto para que no se pierdan.
+   * @param {object} params
+   * @param {ObjectId} params.defaultRoomId - El ID de la sala por defecto.
+   */
+  static async init ({ defaultRoomId }) {
+    await messages.updateMany({ roomId: { $exists: false } }, { $set: { roomId: defaultRoomId } })
+    // Todas las consultas del historial filtran por sala y ordenan/paginan por `_id`
+    // (que crece con el tiempo). Este índice compuesto sirve para recorrerlo en ambos sentidos.
+    await messages.createIndex({ roomId: 1, _id: 1 })
+    // Índice de texto para la búsqueda. Los mensajes están en español, así que usamos sus reglas
+    // (palabras vacías como "de" o "la" y la reducción de las palabras a su raíz).
+    await messages.createIndex({ content: 'text' }, { name: 'content_text', default_language: 'spanish' })
+    // Las respuestas de un hilo se recorren por su padre y en orden.
+    await messages.createIndex({ parentId: 1, _id: 1 }, { partialFilterExpression: { parentId: { $type: 'objectId' } } })
+    // Para encontrar rápido los mensajes caducados (solo los que se autodestruyen tienen `expiresAt`)
+    // y los que superan la retención.
+    await messages.createIndex({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } })
+    await messages.createIndex({ timestamp: 1 })
+    // Un mismo autor no puede tener dos mensajes con el mismo `clientId` (ver `create`).
+    await messages.createIndex(
+      { user: 1, clientId: 1 },
+      { unique: true, partialFilterExpression: { user: { $type: 'string' }, clientId: { $type: 'string' } } }
+    )
+    await removedClientIds.createIndex({ user: 1, clientId: 1 }, { unique: true })
+    await removedClientIds.createIndex({ removedAt: 1 }, { expireAfterSeconds: REMOVED_CLIENT_ID_TTL_SECONDS })
+  }
+
+  /**
+   * Guarda un mensaje nuevo en una sala.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala a la que pertenece el mensaje.
+   * @param {string} params.content - El texto del mensaje.
+   * @param {string|null} params.user - El username del autor (`null` si lo escribe un bot).
+   * @param {string} [params.bot] - El nombre del bot que lo escribe.
+   * @param {boolean} [params.action] - Si es una acción de `/me`.
+   * @param {object[]} [params.attachments] - Los archivos adjuntos (ver `AttachmentRepository.findClaimable`).
+   * @param {ObjectId} [params.parentId] - Si es una respuesta, el ID del mensaje al que responde.
+   * @param {string[]} [params.mentions] - Los usuarios mencionados, ya comprobados (ver `extractMentions`).
+   * @param {number|null} [params.expiresIn] - Si se autodestruye, al cabo de cuántos segundos.
+   * @param {string|null} [params.clientId] - El ID que le dio el cliente al mensaje (solo los de personas).
+   * @returns {Promise<object|null>} - El documento guardado, incluyendo su `_id`, o `null` si el autor
+   *   ya había enviado un mensaje con ese `clientId` (es un reenvío: ver `findByClientId`), aunque
+   *   después se eliminara (ver `remove`).
+   */
+  static async create ({ roomId, content, user, bot = null, action = false, attachments = [], parentId = null, mentions = [], expiresIn = null, clientId = null }) {
+    // Un mensaje con adjuntos puede no llevar texto.
+    Validation.content(content, { allowEmpty: attachments.length > 0 })
+    Validation.expiresIn(expiresIn)
+    Validation.clientId(clientId)
+
+    const message = { roomId, parentId, content, user, attachments, mentions, timestamp: new Date() }
+    if (bot) message.bot = bot
+    if (action) message.action = true
+    if (expiresIn) message.expiresAt = new Date(message.timestamp.getTime() + expiresIn * 1000)
+    if (user && clientId) message.clientId = clientId
+    // Un reenvío de un mensaje que ya se publicó y se eliminó no se vuelve a guardar.
+    if (message.clientId && await removedClientIds.findOne({ user, clientId })) return null
+    try {
+      const result = await messages.insertOne(message)
+      return { _id: result.insertedId, ...message }
+    } catch (error) {
+      // 11000 es el código de MongoDB para "clave duplicada": ya existe un mensaje de este autor con este `clientId`.
+      if (error.code === 11000) return null
+      throw error
+    }
+  }
+
+  /**
+   * Busca el mensaje que un autor envió con un `clientId` concreto.
+   * @param {object} params
+   * @param {string} params.user - El autor.
+   * @param {string} params.clientId - El ID que le dio el cliente.
+   * @returns {Promise<object|null>}
+   */
+  static async findByClientId ({ user, clientId }) {
+    Validation.clientId(clientId)
+    return messages.findOne({ user, clientId })
+  }
+
+  /**
+   * Busca un mensaje por su ID. Devuelve `null` si el ID no es válido o no existe.
+   * @param {string} messageId - El ID del mensaje.
+   * @returns {Promise<object|null>}
+   */
+  static async findById (messageId) {
+    if (!ObjectId.isValid(messageId)) return null
+    return messages.findOne({ _id: new ObjectId(messageId) })
+  }
+
+  /**
+   * Devuelve una página del historial de una sala (paginación por cursor):
+   * - Sin cursor: los mensajes más recientes.
+   * - Con `before`: los inmediatamente anteriores a ese mensaje.
+   * - Con `after`: los inmediatamente posteriores a ese mensaje.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala.
+   * @param {string} [params.before] - El ID del mensaje más antiguo que el cliente ya tiene.
+   * @param {string} [params.after] - El ID del mensaje más reciente que el cliente ya tiene.
+   * @returns {Promise<{ messages: object[], hasMore: boolean }>} - Los mensajes en orden cronológico
+   *   y si quedan más por cargar en ese sentido.
+   */
+  static async findPage ({ roomId, before, after }) {
+    const cursor = before ?? after
+    // `parentId: null` deja fuera las respuestas (y también encuentra los mensajes sin ese campo).
+    const query = { roomId, parentId: null }
+    if (cursor) {
+      if (!ObjectId.isValid(cursor)) throw new Error('El cursor de paginación no es válido.')
+      query._id = before ? { $lt: new ObjectId(before) } : { $gt: new ObjectId(after) }
+    }
+
+    // Pedimos uno más de la cuenta: si llega, sabemos que hay más páginas sin contar toda la colección.
+    const rows = await messages.find(query).sort({ _id: after ? 1 : -1 }).limit(pageSize + 1).toArray()
+    const hasMore = rows.length > pageSize
+    const page = rows.slice(0, pageSize)
+    return { messages: after ? page : page.reverse(), hasMore }
+  }
+
+  /**
+   * Devuelve un mensaje junto con los que lo rodean en su sala: una página antes y una después.
+   * Se usa para saltar a un resultado de búsqueda y verlo en su contexto.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala.
+   * @param {object} params.message - El documento del mensaje central.
+   * @returns {Promise<{ messages: object[], hasMore: boolean, hasNewer: boolean }>} - Los mensajes en
+   *   orden cronológico, si quedan más antiguos y si quedan más recientes por cargar.
+   */
+  static async findAround ({ roomId, message }) {
+    const older = await MessageRepository.findPage({ roomId, before: message._id.toString() })
+    const newer = await MessageRepository.findPage({ roomId, after: message._id.toString() })
+    return {
+      messages: [...older.messages, message, ...newer.messages],
+      hasMore: older.hasMore,
+      hasNewer: newer.hasMore
+    }
+  }
+
+  /**
+   * Devuelve las respuestas de un hilo en orden cronológico, una página cada vez.
+   * @param {object} params
+   * @param {ObjectId} params.parentId - El mensaje que abre el hilo.
+   * @param {string} [params.after] - El ID de la última respuesta que el cliente ya tiene.
+   * @returns {Promise<{ messages: object[], hasMore: boolean }>} - Las respuestas y si quedan más.
+   */
+  static async findReplies ({ parentId, after }) {
+    const query = { parentId }
+    if (after) {
+      if (!ObjectId.isValid(after)) throw new Error('El cursor de paginación no es válido.')
+      query._id = { $gt: new ObjectId(after) }
+    }
+
+    const rows = await messages.find(query).sort({ _id: 1 }).limit(pageSize + 1).toArray()
+    return { messages: rows.slice(0, pageSize), hasMore: rows.length > pageSize }
+  }
+
+  /**
+   * Suma (o resta) respuestas al contador de un hilo.
+   * @param {ObjectId} parentId - El mensaje que abre el hilo.
+   * @param {number} delta - 1 al responder, -1 al borrar una respuesta.
+   * @returns {Promise<object|null>} - El mensaje padre ya actualizado.
+   */
+  static async incrementReplies (parentId, delta) {
+    const update = { $inc: { replyCount: delta } }
+    if (delta > 0) update.$set = { lastReplyAt: new Date() }
+    return messages.findOneAndUpdate({ _id: parentId }, update, { returnDocument: 'after' })
+  }
+
+  /**
+   * Convierte un mensaje en una "lápida": sigue existiendo (para no romper su hilo),
+   * pero sin texto, adjuntos, reacciones ni versiones anteriores.
+   * @param {ObjectId} messageId - El ID del mensaje.
+   * @returns {Promise<object|null>} - El mensaje ya convertido (`null` si ya no existía o ya era una lápida).
+   */
+  static async tombstone (messageId) {
+    return messages.findOneAndUpdate(
+      { _id: messageId, deleted: { $ne: true } },
+      { $set: { deleted: true, deletedAt: new Date(), content: '', attachments: [] }, $unset: { reactions: '', revisions: '', editedAt: '', mentions: '' } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  /**
+   * Busca mensajes por texto dentro de un conjunto de salas, de más a menos relevante.
+   * @param {object} params
+   * @param {ObjectId[]} params.roomIds - Las salas en las que se puede buscar (las que el usuario puede ver).
+   * @param {string} [params.text] - Palabras a buscar (basta con que aparezca una).
+   * @param {string} [params.phrase] - Frase exacta que debe aparecer.
+   * @param {string} [params.author] - Solo mensajes de este usuario.
+   * @param {Date} [params.from] - Solo mensajes escritos a partir de esta fecha.
+   * @param {Date} [params.to] - Solo mensajes escritos antes de esta fecha.
+   * @param {number} [params.page=1] - La página de resultados (empezando en 1).
+   * @returns {Promise<{ messages: object[], hasMore: boolean }>} - Los mensajes, cada uno con su
+   *   fragmento resaltado (`snippet`), y si hay más páginas.
+   */
+  static async search ({ roomIds, text = '', phrase = '', author, from, to, page = 1 }) {
+    Validation.search({ text, phrase, page })
+
+    // `$text` busca cualquiera de las palabras y, si hay una frase entre comillas, exige que aparezca.
+    const cleanPhrase = phrase.replaceAll('"', '').trim()
+    const search = [text.trim(), cleanPhrase && `"${cleanPhrase}"`].filter(Boolean).join(' ')
+
+    const query = { $text: { $search: search }, roomId: { $in: roomIds } }
+    if (author) query.user = author
+    if (from || to) {
+      query.timestamp = {}
+      if (from) query.timestamp.$gte = from
+      if (to) query.timestamp.$lt = to
+    }
+
+    const rows = await messages
+      .find(query, { projection: { score: { $meta: 'textScore' }, revisions: 0 } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip((page - 1) * searchPageSize)
+      .limit(searchPageSize + 1)
+      .toArray()
+
+    // Las palabras que resaltamos: las buscadas (sin las excluidas con "-") y la frase.
+    const terms = [...text.split(/\s+/).filter(term => term && !term.startsWith('-')), cleanPhrase].filter(Boolean)
+    return {
+      messages: rows.slice(0, searchPageSize).map(message => ({ ...message, snippet: buildSnippet(message.content, terms) })),
+      hasMore: rows.length > searchPageSize
+    }
+  }
+
+  /**
+   * Devuelve los mensajes de una sala posteriores a `serverOffset` (el ID del último
+   * mensaje que el cliente recibió), como mucho `MAX_CATCH_UP_MESSAGES`.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala.
+   * @param {string} params.serverOffset - El ID del último mensaje conocido por el cliente.
+   * @returns {Promise<{ messages: object[], truncated: boolean }>} - Los mensajes en orden cronológico
+   *   y si había más de los permitidos (en ese caso el cliente debe recargar el historial).
+   */
+  static async findAfter ({ roomId, serverOffset }) {
+    const query = { roomId, parentId: null, _id: { $gt: new ObjectId(serverOffset) } }
+    const rows = await messages.find(query).sort({ _id: 1 }).limit(maxCatchUp + 1).toArray()
+    const truncated = rows.length > maxCatchUp
+    return { messages: truncated ? [] : rows, truncated }
+  }
+
+  /**
+   * Edita el texto de un mensaje, guardando la versión anterior en su historial.
+   * @param {object} params
+   * @param {object} params.message - El documento actual del mensaje.
+   * @param {string} params.content - El texto nuevo.
+   * @param {string[]} [params.mentions] - Los usuarios mencionados en el texto nuevo, ya comprobados.
+   * @returns {Promise<object>} - El documento ya editado.
+   */
+  static async edit ({ message, content, mentions = [] }) {
+    Validation.content(content, { allowEmpty: Boolean(message.attachments?.length) })
+
+    // La versión anterior guarda su texto y cuándo se escribió (la fecha original o la de su última edición).
+    const revision = { content: message.content, writtenAt: message.editedAt ?? message.timestamp }
+
+    // Filtramos también por el texto actual: si otra edición se ha colado entre la lectura y esta
+    // escritura, no la pisamos sin haberla guardado en el historial.
+    const edited = await messages.findOneAndUpdate(
+      { _id: message._id, content: message.content },
+      { $set: { content, mentions, editedAt: new Date() }, $push: { revisions: revision } },
+      { returnDocument: 'after' }
+    )
+    if (!edited) throw new Error('El mensaje ha cambiado mientras lo editabas. Inténtalo de nuevo.')
+    return edited
+  }
+
+  /**
+   * Añade la reacción de un usuario a un mensaje o, si ya había reaccionado con ese emoji, la quita.
+   * @param {object} params
+   * @param {object} params.message - El documento actual del mensaje.
+   * @param {string} params.emoji - El emoji.
+   * @param {string} params.username - Quien reacciona. Cada usuario solo puede poner o quitar las suyas.
+   * @returns {Promise<object>} - El documento ya actualizado.
+   */
+  static async toggleReaction ({ message, emoji, username }) {
+    Validation.emoji(emoji)
+
+    const field = `reactions.${emoji}`
+    const users = message.reactions?.[emoji] ?? []
+
+    if (users.includes(username)) {
+      await messages.updateOne({ _id: message._id }, { $pull: { [field]: username } })
+      // Si ya no queda nadie con esa reacción, la quitamos del todo.
+      await messages.updateOne({ _id: message._id, [field]: { $size: 0 } }, { $unset: { [field]: '' } })
+    } else {
+      if (!users.length && Object.keys(message.reactions ?? {}).length >= MAX_REACTIONS_PER_MESSAGE) {
+        throw new Error(`Un mensaje admite como máximo ${MAX_REACTIONS_PER_MESSAGE} reacciones distintas.`)
+      }
+      // `$addToSet` no duplica al usuario aunque llegue la misma petición dos veces.
+      await messages.updateOne({ _id: message._id }, { $addToSet: { [field]: username } })
+    }
+
+    return messages.findOne({ _id: message._id })
+  }
+
+  /**
+   * Convierte las reacciones de un mensaje en la lista que enviamos a los clientes:
+   * cada emoji con cuántos usuarios han reaccionado y quiénes son.
+   * @param {object} message - El documento de MongoDB.
+   * @returns {{ emoji: string, count: number, users: string[] }[]}
+   */
+  static toPublicReactions (message) {
+    return Object.entries(message.reactions ?? {})
+      .map(([emoji, users]) => ({ emoji, count: users.length, users }))
+      .filter(({ count }) => count > 0)
+  }
+
+  /**
+   * Cuenta los mensajes de una sala posteriores a `after` que no escribió `excludeUser`.
+   * Se usa para calcular los mensajes "no leídos" de un usuario.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala.
+   * @param {ObjectId|null} params.after - El ID del último mensaje leído (`null` cuenta todos).
+   * @param {string} params.excludeUser - El usuario cuyos propios mensajes no cuentan.
+   * @returns {Promise<number>}
+   */
+  static async countAfter ({ roomId, after, excludeUser }) {
+    // Las respuestas de los hilos no cuentan: no aparecen en el historial de la sala.
+    const query = { roomId, parentId: null, user: { $ne: excludeUser } }
+    if (after) query._id = { $gt: after }
+    return messages.countDocuments(query)
+  }
+
+  /**
+   * Elimina un mensaje.
+   * @param {ObjectId} messageId - El ID del mensaje.
+   * @param {object} [options]
+   * @param {boolean} [options.forgetClientId=false] - Si su `clientId` se puede volver a usar: cuando el mensaje
+   *   no llegó a publicarse (falló al guardar sus adjuntos) y el cliente lo va a reintentar.
+   * @returns {Promise<boolean>} - `false` si ya no existía (por ejemplo, porque otro proceso se adelantó).
+   */
+  static async remove (messageId, { forgetClientId = false } = {}) {
+    const removed = await messages.findOneAndDelete({ _id: messageId })
+    if (!removed) return false
+    // Recordamos su `clientId`: si su autor lo reenvía (la bandeja de salida no llegó a ver la
+    // confirmación), `create` lo reconoce y no lo vuelve a publicar.
+    if (removed.user && removed.clientId && !forgetClientId) {
+      await removedClientIds.updateOne(
+        { user: removed.user, clientId: removed.clientId },
+        { $setOnInsert: { removedAt: new Date() } },
+        { upsert: true }
+      )
+    }
+    return true
+  }
+
+  /**
+   * Devuelve un lote de mensajes que hay que retirar del chat: los que se autodestruyen y ya han
+   * caducado y, si hay retención, los escritos antes de `olderThan`. Las lápidas no: se quitan
+   * solas cuando se borra la última respuesta de su hilo.
+   * @param {object} params
+   * @param {Date} params.now - La hora de referencia para la caducidad.
+   * @param {Date|null} params.olderThan - El límite de la retención (`null` si no hay retención).
+   * @param {number} params.limit - Cuántos mensajes como mucho.
+   * @returns {Promise<object[]>}
+   */
+  static async findExpired ({ now, olderThan, limit }) {
+    const conditions = [{ expiresAt: { $lte: now } }]
+    if (olderThan) conditions.push({ timestamp: { $lt: olderThan } })
+    return messages.find({ deleted: { $ne: true }, $or: conditions }).limit(limit).toArray()
+  }
+
+  /**
+   * Copia un mensaje, tal cual, a la colección de archivo (antes de retirarlo del chat).
+   * Si ya estaba archivado (un intento anterior que falló a medias), se sustituye.
+   * @param {object} message - El documento del mensaje.
+   */
+  static async archive (message) {
+    await archivedMessages.replaceOne({ _id: message._id }, { ...message, archivedAt: new Date() }, { upsert: true })
+  }
+
+  /**
+   * Devuelve todos los mensajes (no borrados) de un usuario, en todas las salas.
+   * Se usa al borrar una cuenta junto con sus mensajes.
+   * @param {string} username - El autor.
+   * @returns {Promise<object[]>}
+   */
+  static async findByUser (username) {
+    return messages.find({ user: username, deleted: { $ne: true } }).toArray()
+  }
+
+  /**
+   * Cambia el nombre de un usuario en todos los mensajes: los que escribió,
+   * sus reacciones y las menciones que le hicieron.
+   * @param {object} params
+   * @param {string} params.from - El nombre anterior.
+   * @param {string} params.to - El nombre nuevo.
+   */
+  static async renameUser ({ from, to }) {
+    await messages.updateMany({ user: from }, { $set: { user: to } })
+    await removedClientIds.updateMany({ user: from }, { $set: { user: to } })
+    await messages.updateMany({ mentions: from }, { $set: { 'mentions.$[name]': to } }, { arrayFilters: [{ name: from }] })
+    await messages.updateMany({ reactions: { $exists: true } }, mapReactionUsers(users => ({
+      $map: { input: users, as: 'name', in: { $cond: [{ $eq: ['$$name', from] }, to, '$$name'] } }
+    })))
+  }
+
+  /**
+   * Anonimiza los mensajes de un usuario que borra su cuenta: dejan de tener autor (`user: null`)
+   * y se quitan sus reacciones y las menciones que le hicieron.
+   * @param {string} username - El usuario.
+   */
+  static async anonymizeUser (username) {
+    await messages.updateMany({ user: username }, { $set: { user: null } })
+    await removedClientIds.deleteMany({ user: username })
+    await messages.updateMany({ mentions: username }, { $pull: { mentions: username } })
+    await messages.updateMany({ reactions: { $exists: true } }, mapReactionUsers(users => ({
+      $filter: { input: users, as: 'name', cond: { $ne: ['$$name', username] } }
+    })))
+  }
+
+  /**
+   * Abre un cursor con los mensajes que se van a exportar (ver `chat-export.js`), incluidas
+   * las respuestas y las lápidas, ordenados por sala y, dentro de cada sala, cronológicamente.
+   * Es un cursor y no un array: una exportación puede tener millones de mensajes
+   * y así se leen poco a poco, a medida que se escriben en la respuesta.
+   * @param {object} params
+   * @param {ObjectId[]|null} params.roomIds - Las salas a exportar (`null` exporta todas).
+   * @param {string} [params.author] - Solo mensajes de este usuario.
+   * @param {Date} [params.from] - Solo mensajes escritos a partir de esta fecha.
+   * @param {Date} [params.to] - Solo mensajes escritos antes de esta fecha.
+   * @returns {import('mongodb').FindCursor}
+   */
+  static findForExport ({ roomIds, author, from, to }) {
+    const query = {}
+    if (roomIds) query.roomId = { $in: roomIds }
+    if (author) query.user = author
+    if (from || to) {
+      query.timestamp = {}
+      if (from) query.timestamp.$gte = from
+      if (to) query.timestamp.$lt = to
+    }
+    return messages.find(query).sort({ roomId: 1, _id: 1 })
+  }
+
+  /**
+   * Comprueba si todavía no hay ningún mensaje guardado. La importación solo se permite así.
+   * @returns {Promise<boolean>}
+   */
+  static async isEmpty () {
+    return (await messages.countDocuments({}, { limit: 1 })) === 0
+  }
+
+  /**
+   * Guarda tal cual, con su `_id`, autor y fechas originales, un lote de mensajes importados
+   * (con la marca de su importación, `importId`: ver `commitImported` y `discardImported`).
+   * @param {object[]} docs - Los documentos, ya validados y con sus tipos (ver `chat-export.js`).
+   */
+  static async insertImported (docs) {
+    if (docs.length) await messages.insertMany(docs)
+  }
+
+  /**
+   * Confirma los mensajes de una importación que ha terminado bien: les quita la marca (`importId`).
+   * @param {ObjectId} importId - La marca de la importación.
+   */
+  static async commitImported (importId) {
+    await messages.updateMany({ importId }, { $unset: { importId: '' } })
+  }
+
+  /**
+   * Borra los mensajes de una importación que ha fallado.
+   * @param {ObjectId} importId - La marca de la importación.
+   */
+  static async discardImported (importId) {
+    await messages.deleteMany({ importId })
+  }
+
+  /**
+   * Convierte un documento de mensaje en el objeto que enviamos a los clientes.
+   * @param {object} message - El documento de MongoDB.
+   * @returns {object}
+   */
+  static toPublic (message) {
+    return {
+      id: message._id.toString(),
+      roomId: message.roomId.toString(),
+      parentId: message.parentId?.toString() ?? null,
+      replyCount: message.replyCount ?? 0,
+      deleted: message.deleted ?? false,
+      content: message.content,
+      user: message.user,
+      bot: message.bot ?? null,
+      action: message.action ?? false,
+      timestamp: message.timestamp,
+      editedAt: message.editedAt ?? null,
+      expiresAt: message.expiresAt ?? null,
+      clientId: message.clientId ?? null,
+      attachments: message.attachments ?? [],
+      mentions: message.mentions ?? [],
+      reactions: MessageRepository.toPublicReactions(message)
+    }
+  }
+}
+
+/**
+ * Recorta el texto de un mensaje alrededor de la primera coincidencia y lo trocea
+ * en partes que coinciden (`match: true`) o no con los términos buscados.
+ * @param {string} content - El texto del mensaje.
+ * @param {string[]} terms - Los términos a resaltar.
+ * @returns {{ text: string, match: boolean }[]}
+ */
+function buildSnippet (content, terms) {
+  if (!terms.length) return [{ text: content, match: false }]
+
+  // Escapamos los términos para usarlos dentro de una expresión regular.
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'giu')
+
+  const first = content.search(pattern)
+  const start = Math.max(0, first - SNIPPET_CONTEXT)
+  const end = Math.min(content.length, Math.max(first, 0) + SNIPPET_CONTEXT * 2)
+  const excerpt = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`
+
+  // `split` con un grupo de captura intercala las coincidencias (posiciones impares) con el resto.
+  return excerpt
+    .split(pattern)
+    .map((text, index) => ({ text, match: index % 2 === 1 }))
+    .filter(({ text }) => text)
+}
+
+/**
+ * Construye una actualización (pipeline de agregación) que transforma la lista de usernames de
+ * cada reacción de un mensaje. Las reacciones son un objeto con claves variables (los emojis),
+ * así que hay que pasarlas a array, transformarlas y volver a montarlas.
+ * Las reacciones que se quedan sin usuarios desaparecen.
+ * @param {(users: string) => object} transform - Recibe la expresión con la lista de una reacción
+ *   y devuelve la expresión con la lista nueva.
+ * @returns {object[]}
+ */
+function mapReactionUsers (transform) {
+  const mapped = {
+    $map: {
+      input: { $objectToArray: '$reactions' },
+      as: 'reaction',
+      in: { k: '$$reaction.k', v: transform('$$reaction.v') }
+    }
+  }
+  return [{
+    $set: {
+      reactions: { $arrayToObject: { $filter: { input: mapped, cond: { $gt: [{ $size: '$$this.v' }, 0] } } } }
+    }
+  }]
+}
+
+/**
+ * Saca los nombres que aparecen mencionados (`@usuario`) en el texto de un mensaje, sin repetir.
+ * No cuenta lo que hay dentro de bloques o fragmentos de código ni dentro de enlaces,
+ * igual que el cliente al pintar el mensaje. No comprueba que los usuarios existan.
+ * @param {string} content - El texto del mensaje.
+ * @returns {string[]} - Como mucho `MAX_MENTIONS_PER_MESSAGE` nombres.
+ */
+export function extractMentions (content) {
+  if (typeof content !== 'string') return []
+  const text = content
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`[^`\n]+`/g, ' ')
+    .replace(/\]\([^()\s]+\)/g, '] ')
+    .replace(/https?:\/\/[^\s<>"]+/g, ' ')
+  const names = [...text.matchAll(MENTION_PATTERN)].map(match => match[1])
+  return [...new Set(names)].slice(0, MAX_MENTIONS_PER_MESSAGE)
+}
+
+/**
+ * Reglas de validación de los datos de un mensaje.
+ */
+class Validation {
+  /**
+   * Valida el contenido del mensaje.
+   * @param {string} content - El texto a validar.
+   * @param {object} [options]
+   * @param {boolean} [options.allowEmpty=false] - Si el texto puede estar vacío (mensajes con adjuntos).
+   */
+  static content (content, { allowEmpty = false } = {}) {
+    if (typeof content !== 'string') throw new Error('El mensaje debe ser un texto.')
+    if (!allowEmpty && !content.trim()) throw new Error('El mensaje no puede estar vacío.')
+    if (content.length > maxMessageLength) throw new Error(`El mensaje no puede superar los ${maxMessageLength} caracteres.`)
+  }
+
+  /**
+   * Valida el ID que el cliente da a un mensaje (`null`: no lo dio).
+   * @param {string|null} clientId - El ID a validar.
+   */
+  static clientId (clientId) {
+    if (clientId === null) return
+    if (typeof clientId !== 'string' || !clientId || clientId.length > MAX_CLIENT_ID_LENGTH) {
+      throw new Error('El identificador del mensaje no es válido.')
+    }
+  }
+
+  /**
+   * Valida el tiempo de vida de un mensaje que se autodestruye (`null`: no se autodestruye).
+   * @param {number|null} expiresIn - Los segundos a validar.
+   */
+  static expiresIn (expiresIn) {
+    if (expiresIn === null) return
+    if (!Number.isInteger(expiresIn) || expiresIn < MIN_EXPIRY_SECONDS || expiresIn > MAX_EXPIRY_SECONDS) {
+      throw new Error(`Un mensaje puede autodestruirse entre ${MIN_EXPIRY_SECONDS} segundos y ${MAX_EXPIRY_SECONDS / 86400} días después de enviarlo.`)
+    }
+  }
+
+  /**
+   * Valida un emoji de reacción. Solo se admiten emojis (incluidos los compuestos, como 👍🏽 o 👨‍👩‍👧),
+   * nunca texto libre: el emoji se usa como nombre de campo en MongoDB.
+   * @param {string} emoji - El emoji a validar.
+   */
+  static emoji (emoji) {
+    if (typeof emoji !== 'string' || emoji.length > 16 || !/^(\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u.test(emoji) || /^[\d#*]+$/.test(emoji)) {
+      throw new Error('La reacción debe ser un emoji.')
+    }
+  }
+
+  /**
+   * Valida los parámetros de una búsqueda.
+   * @param {object} params - El texto, la frase y la página a validar.
+   */
+  static search ({ text, phrase, page }) {
+    if (typeof text !== 'string' || typeof phrase !== 'string') throw new Error('La búsqueda debe ser un texto.')
+    if (!text.trim() && !phrase.replaceAll('"', '').trim()) throw new Error('Escribe algo que buscar.')
+    if (text.length + phrase.length > 200) throw new Error('La búsqueda no puede superar los 200 caracteres.')
+    if (!Number.isInteger(page) || page < 1) throw new Error('La página de resultados no es válida.')
+  }
+}
@@ -0,0 +1,188 @@
+// --- Métricas (Formato de Prometheus) ---
+
+// Cuenta lo que pasa en el servidor para que un sistema de monitorización (Prometheus, Grafana...)
+// lo lea periódicamente en `/metrics`. El formato es el de texto de Prometheus:
+//
+//   # HELP chat_messages_sent_total Mensajes publicados.
+//   # TYPE chat_messages_sent_total counter
+//   chat_messages_sent_total{source="user"} 42
+//
+// Hay tres tipos de métricas:
+// - Contador (`Counter`): solo sube (mensajes enviados, logins...). Prometheus calcula los ritmos.
+// - Indicador (`Gauge`): un valor que sube y baja (sockets conectados).
+// - Histograma (`Histogram`): reparte las observaciones (la duración de las peticiones) en "cubos".
+//
+// Como los límites de frecuencia, los valores viven en memoria y son de este proceso: con varias
+// instancias, Prometheus lee cada una por separado y suma. Se reinician al reiniciar el servidor.
+
+// Todas las métricas creadas, en el orden en que se muestran.
+const registry = []
+
+/**
+ * Escapa el valor de una etiqueta: las barras, las comillas y los saltos de línea.
+ * @param {*} value - El valor.
+ * @returns {string}
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+/**
+ * Convierte unas etiquetas en el texto que va entre llaves (vacío si no hay ninguna).
+ * @param {object} labels - `{ nombre: valor }`.
+ * @returns {string}
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Base de todas las métricas: el nombre, la ayuda y un valor por cada combinación de etiquetas.
+ */
+class Metric {
+  /**
+   * @param {object} params
+   * @param {string} params.name - El nombre (por convención, con el sufijo de su unidad: `_total`, `_seconds`...).
+   * @param {string} params.help - Qué mide.
+   * @param {string[]} [params.labelNames] - Las etiquetas que la dividen (por ejemplo `['result']`).
+   */
+  constructor ({ name, help, labelNames = [] }) {
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    // etiquetas en JSON -> { labels, value }
+    this.values = new Map()
+    registry.push(this)
+  }
+
+  /**
+   * Devuelve la entrada de unas etiquetas, creándola si hace falta.
+   * Solo se tienen en cuenta las etiquetas declaradas, en su orden.
+   * @param {object} labels - `{ nombre: valor }`.
+   * @param {Function} initial - Crea el valor inicial.
+   * @returns {{ labels: object, value: * }}
+   */
+  entry (labels, initial) {
+    const picked = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']))
+    const key = JSON.stringify(picked)
+    if (!this.values.has(key)) this.values.set(key, { labels: picked, value: initial() })
+    return this.values.get(key)
+  }
+
+  /**
+   * Las líneas de la métrica en el formato de Prometheus.
+   * @returns {string[]}
+   */
+  render () {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+    for (const { labels, value } of this.values.values()) lines.push(...this.renderValue(labels, value))
+    return lines
+  }
+
+  /**
+   * Las líneas de un valor. Por defecto, una sola: `nombre{etiquetas} valor`.
+   * @param {object} labels - Sus etiquetas.
+   * @param {number} value - El valor.
+   * @returns {string[]}
+   */
+  renderValue (labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`]
+  }
+}
+
+export class Counter extends Metric {
+  type = 'counter'
+
+  /**
+   * Suma al contador.
+   * @param {object} [labels] - Sus etiquetas.
+   * @param {number} [amount=1] - Cuánto sumar.
+   */
+  inc (labels = {}, amount = 1) {
+    this.entry(labels, () => 0).value += amount
+  }
+}
+
+export class Gauge extends Metric {
+  type = 'gauge'
+
+  /**
+   * Fija el valor del indicador.
+   * @param {object} labels - Sus etiquetas (`{}` si no tiene).
+   * @param {number} value - El valor.
+   */
+  set (labels, value) {
+    this.entry(labels, () => 0).value = value
+  }
+}
+
+export class Histogram extends Metric {
+  type = 'histogram'
+
+  /**
+   * @param {object} params - Como en `Metric`, más:
+   * @param {number[]} params.buckets - Los límites superiores de los cubos, de menor a mayor.
+   */
+  constructor ({ buckets, ...params }) {
+    super(params)
+    this.buckets = buckets
+  }
+
+  /**
+   * Anota una observación.
+   * @param {object} labels - Sus etiquetas.
+   * @param {number} value - Lo observado (por ejemplo, segundos).
+   */
+  observe (labels, value) {
+    const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value
+    this.buckets.forEach((bucket, i) => { if (value <= bucket) entry.counts[i]++ })
+    entry.sum += value
+    entry.count++
+  }
+
+  /**
+   * Un histograma se muestra como un contador por cubo (acumulado, con la etiqueta `le`), la suma y el total.
+   */
+  renderValue (labels, { counts, sum, count }) {
+    return [
+      ...this.buckets.map((bucket, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]
+  }
+}
+
+/**
+ * Devuelve todas las métricas en el formato de texto de Prometheus.
+ * @returns {string}
+ */
+export const renderMetrics = () => registry.map(metric => metric.render().join('\n')).join('\n\n') + '\n'
+
+// --- Las Métricas del Chat ---
+
+export const metrics = {
+  socketsConnected: new Gauge({
+    name: 'chat_sockets_connected',
+    help: 'Sockets conectados a este proceso.'
+  }),
+  messagesSent: new Counter({
+    name: 'chat_messages_sent_total',
+    help: 'Mensajes publicados, por origen (user: personas; bot: bots, comandos del sistema y webhooks de entrada).',
+    labelNames: ['source']
+  }),
+  messagesDeleted: new Counter({
+    name: 'chat_messages_deleted_total',
+    help: 'Mensajes borrados (incluidos los que quedan como lápida de su hilo).'
+  }),
+  logins: new Counter({
+    name: 'chat_logins_total',
+    help: 'Intentos de inicio de sesión, por resultado (success, failure o blocked por el límite de intentos).',
+    labelNames: ['result']
+  }),
+  httpRequestDuration: new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duración de las peticiones HTTP, por método, ruta y código de respuesta.',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+  })
+}
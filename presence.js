@@ -0,0 +1,73 @@
+// --- Presencia de Usuarios (Quién Está en Línea) ---
+
+// Lleva la cuenta, en memoria, de qué sockets tiene abiertos cada usuario.
+// Un usuario puede tener varios a la vez (varias pestañas o dispositivos): está "en línea"
+// mientras le quede al menos uno, y solo pasa a "desconectado" cuando se cierra el último.
+//
+// Para evitar parpadeos (desconectado -> conectado) en recargas de página o reconexiones
+// rápidas, el paso a "desconectado" se retrasa `PRESENCE_GRACE_MS` milisegundos: si en ese
+// tiempo el usuario abre un socket nuevo, nadie llega a enterarse de que se fue.
+//
+// La cuenta es de este proceso. Con varias instancias (ver `socket-adapter.js`), `index.js`
+// comprueba además los sockets de las demás antes de dar a alguien por desconectado.
+
+import { PRESENCE_GRACE_MS } from './config.js'
+
+// username -> Set con los IDs de sus sockets abiertos.
+const socketsByUser = new Map()
+
+// username -> temporizador pendiente de anunciar su desconexión.
+const pendingOffline = new Map()
+
+export class Presence {
+  /**
+   * Registra un socket nuevo de un usuario.
+   * @param {string} username - El usuario.
+   * @param {string} socketId - El ID del socket.
+   * @returns {boolean} - `true` si el usuario acaba de pasar a estar en línea (hay que anunciarlo).
+   */
+  static connect (username, socketId) {
+    // Si estaba a punto de anunciarse su desconexión, la cancelamos: para los demás nunca se fue.
+    const wasPendingOffline = pendingOffline.has(username)
+    clearTimeout(pendingOffline.get(username))
+    pendingOffline.delete(username)
+
+    const sockets = socketsByUser.get(username) ?? new Set()
+    const wasOnline = sockets.size > 0 || wasPendingOffline
+    sockets.add(socketId)
+    socketsByUser.set(username, sockets)
+
+    return !wasOnline
+  }
+
+  /**
+   * Registra que se ha cerrado un socket de un usuario.
+   * Si era el último, programa el aviso de desconexión tras el periodo de gracia.
+   * @param {string} username - El usuario.
+   * @param {string} socketId - El ID del socket.
+   * @param {Function} onOffline - Se llama (con la fecha de desconexión) si el usuario no vuelve a tiempo.
+   *   La fecha es la del cierre del socket, no la del final del periodo de gracia.
+   */
+  static disconnect (username, socketId, onOffline) {
+    const disconnectedAt = new Date()
+    const sockets = socketsByUser.get(username)
+    if (!sockets) return
+
+    sockets.delete(socketId)
+    if (sockets.size > 0) return
+
+    socketsByUser.delete(username)
+    pendingOffline.set(username, setTimeout(() => {
+      pendingOffline.delete(username)
+      onOffline(disconnectedAt)
+    }, Number(PRESENCE_GRACE_MS)))
+  }
+
+  /**
+   * Devuelve los usuarios en línea (incluidos los que están dentro del periodo de gracia).
+   * @returns {string[]}
+   */
+  static onlineUsers () {
+    return [...new Set([...socketsByUser.keys(), ...pendingOffline.keys()])]
+  }
+}
@@ -2,19 +2,33 @@
 // --- LÓGICA DEL CLIENTE PARA EL CHAT ---
 // Este archivo maneja toda la interactividad del lado del cliente:
 // 1. Conexión con el servidor de WebSockets (Socket.IO).
-// 2. Envío y recepción de mensajes de chat en tiempo real.
-// 3. Renderizado de mensajes en el DOM.
-// 4. Manejo de la eliminación de mensajes.
-// 5. Lógica para cerrar la sesión del usuario.
+// 2. Listado, creación, cambio y archivado de salas (canales).
+//    Conversaciones privadas con otros usuarios y sus contadores de no leídos.
+// 3. Envío y recepción de mensajes de chat en tiempo real, con confirmación de entrega
+//    (enviando/enviado/error) y avisos de lectura ("visto por...").
+//    Archivos adjuntos, con vista previa de las imágenes, y reacciones con emojis.
+//    Hilos de respuestas, que se abren en un panel lateral.
+// 4. Renderizado de mensajes en el DOM, con carga paginada del historial.
+//    El texto admite Markdown y menciones (`@usuario`), pintados sin `innerHTML` (ver `markdown.js`).
+// 5. Manejo de la edición (con historial de versiones) y eliminación de mensajes.
+//    Controles de moderación para moderadores y administradores.
+// 6. Lista de usuarios en línea e indicadores de "está escribiendo...".
+// 7. Búsqueda de mensajes y salto a un resultado en su contexto.
+// 8. Renovación de la sesión y lógica para cerrar la sesión del usuario (o todas sus sesiones).
 // =============================================================================
 
-import { io } from 'https://cdn.socket.io/4.3.2/socket.io.esm.min.js'
+import { io } from 'https://cdn.socket.io/4.8.1/socket.io.esm.min.js'
+import { renderMarkdown } from './markdown.js'
 
 // --- Obtención de Datos del Usuario desde el DOM ---
 // El servidor (usando EJS) ha renderizado la página del chat y ha "inyectado"
 // el nombre del usuario autenticado en un atributo `data-username` de un elemento HTML.
 const userInfo = document.getElementById('user-info')
 const username = userInfo.dataset.username // Leemos el nombre de usuario.
+const role = userInfo.dataset.role // Y su rol ('member', 'moderator' o 'admin').
+
+// Moderadores y administradores pueden borrar mensajes ajenos (el servidor lo vuelve a comprobar).
+const isModerator = role === 'moderator' || role === 'admin'
 
 // --- Conexión al Servidor de Socket.IO ---
 // Al llamar a `io()`, el cliente intenta establecer una conexión WebSocket con el servidor.
@@ -24,9 +38,12 @@ const username = userInfo.dataset.username // Leemos el nombre de usuario.
 const socket = io({
   // El objeto `auth` se envía al servidor durante el handshake.
   auth: {
+    // `roomId` es la sala que estamos viendo. Empieza en `null`: el servidor nos
+    // meterá en la sala por defecto y nos lo dirá con el evento 'room joined'.
+    roomId: null,
     // `serverOffset` es parte de la función de recuperación de estado de conexión.
     // Lo inicializamos en 0. El cliente le dice al servidor cuál fue el último
-    // mensaje que recibió, y el servidor le reenvía los que se haya perdido.
+    // mensaje que recibió en la sala, y el servidor le reenvía los que se haya perdido.
     serverOffset: 0
   }
 })
@@ -34,19 +51,428 @@ const socket = io({
 // --- Selección de Elementos del DOM ---
 const form = document.getElementById('form')
 const input = document.getElementById('input')
+const fileInput = document.getElementById('file-input')
+const attachLabel = document.getElementById('attach-label')
+const expirySelect = document.getElementById('expiry-select')
 const messages = document.getElementById('messages')
+const roomList = document.getElementById('room-list')
+const roomTitle = document.getElementById('room-title')
+const archiveRoomButton = document.getElementById('archive-room-button')
+const createRoomForm = document.getElementById('create-room-form')
+const createRoomInput = document.getElementById('create-room-input')
+const conversationList = document.getElementById('conversation-list')
+const startConversationForm = document.getElementById('start-conversation-form')
+const startConversationInput = document.getElementById('start-conversation-input')
+const notice = document.getElementById('notice')
+const presenceList = document.getElementById('presence-list')
+const typingIndicator = document.getElementById('typing-indicator')
+const jumpLatestButton = document.getElementById('jump-latest-button')
+const threadPanel = document.getElementById('thread-panel')
+const threadParent = document.getElementById('thread-parent')
+const threadMessages = document.getElementById('thread-messages')
+const threadForm = document.getElementById('thread-form')
+const threadInput = document.getElementById('thread-input')
+const closeThreadButton = document.getElementById('close-thread-button')
 
 // Guardamos el nombre de usuario propio en una variable para poder identificar
 // fácilmente qué mensajes son nuestros y aplicarles un estilo diferente.
 const selfUsername = username
 
-// --- Manejo de Eventos de Socket.IO ---
+// La sala que estamos viendo ahora mismo (el objeto que nos envía el servidor).
+let currentRoom = null
 
-// `socket.on(eventName, callback)`: Escucha eventos provenientes del servidor.
+// Estado de la paginación del historial: si quedan mensajes más antiguos por cargar
+// y si ya hay una petición en curso (para no pedir la misma página dos veces).
+let hasOlderMessages = false
+let loadingOlder = false
+
+// Al saltar a un mensaje antiguo (desde la búsqueda) vemos un trozo del historial que no llega
+// hasta el presente: `hasNewerMessages` indica que faltan mensajes más recientes por cargar.
+// Mientras tanto, los mensajes nuevos que llegan no se pintan (dejarían un hueco en medio).
+let hasNewerMessages = false
+let loadingNewer = false
+
+// Hasta qué mensaje ha leído cada usuario la sala actual: username -> ID del último mensaje leído.
+const readMarkers = new Map()
+
+// Tiempo máximo que esperamos la confirmación del servidor antes de volver a enviar un mensaje.
+const SEND_TIMEOUT_MS = 10000
+
+// El ID del mensaje cuyo hilo está abierto en el panel lateral (o `null` si no hay ninguno).
+let openThreadId = null
+
+// --- Barra Lateral de Salas ---
+
+/**
+ * Devuelve el texto con el que mostramos una sala.
+ * Los canales se muestran con su nombre; las conversaciones privadas, con el resto de participantes.
+ * @param {object} room - La sala.
+ * @returns {string}
+ */
+const roomLabel = (room) => room.type === 'direct'
+  ? `@ ${room.members.filter(member => member !== selfUsername).join(', ')}`
+  : `# ${room.name}`
+
+/**
+ * Añade una sala a la barra lateral (si no estaba ya).
+ * @param {object} room - La sala ({ id, name, createdBy, archived }).
+ */
+const addRoomToSidebar = (room) => {
+  if (roomList.querySelector(`li[data-room-id="${room.id}"]`)) return
+
+  const item = document.createElement('li')
+  item.dataset.roomId = room.id
+  item.textContent = roomLabel(room)
+  if (room.isDefault) item.dataset.default = ''
+  if (currentRoom?.id === room.id) item.classList.add('active')
+  roomList.appendChild(item)
+}
+
+/**
+ * Añade una conversación privada a la barra lateral (si no estaba ya), con su contador de no leídos.
+ * @param {object} conversation - La conversación ({ id, members, unread }).
+ * @param {object} [options]
+ * @param {boolean} [options.prepend=false] - Si se coloca al principio de la lista (actividad reciente).
+ */
+const addConversationToSidebar = (conversation, { prepend = false } = {}) => {
+  if (conversationList.querySelector(`li[data-room-id="${conversation.id}"]`)) return
+
+  const item = document.createElement('li')
+  item.dataset.roomId = conversation.id
+
+  const label = document.createElement('span')
+  label.textContent = roomLabel(conversation)
+  const badge = document.createElement('span')
+  badge.classList.add('unread-badge')
+  item.append(label, badge)
+
+  if (currentRoom?.id === conversation.id) item.classList.add('active')
+  if (prepend) conversationList.prepend(item)
+  else conversationList.appendChild(item)
+  setUnread(conversation.id, conversation.unread)
+}
+
+/**
+ * Actualiza el contador de mensajes sin leer de una conversación.
+ * @param {string} roomId - El ID de la conversación.
+ * @param {number} count - El número de mensajes sin leer (0 oculta el contador).
+ */
+const setUnread = (roomId, count) => {
+  const item = conversationList.querySelector(`li[data-room-id="${roomId}"]`)
+  if (!item) return
+  item.dataset.unread = count
+  item.querySelector('.unread-badge').textContent = count > 0 ? count : ''
+}
+
+/**
+ * Marca en la barra lateral la sala activa y actualiza la cabecera de la sala.
+ */
+const renderCurrentRoom = () => {
+  document.querySelectorAll('#room-list li, #conversation-list li').forEach(item => {
+    item.classList.toggle('active', item.dataset.roomId === currentRoom.id)
+  })
+  roomTitle.textContent = roomLabel(currentRoom)
+  // Solo quien creó un canal puede archivarlo (el servidor lo vuelve a comprobar).
+  archiveRoomButton.hidden = currentRoom.type === 'direct' || currentRoom.createdBy !== selfUsername
+  // Una conversación privada archivada (otro miembro borró su cuenta) se puede leer, pero no escribir en ella.
+  const readOnly = Boolean(currentRoom.archived)
+  form.querySelectorAll('input, select, button').forEach(control => { control.disabled = readOnly })
+  input.placeholder = readOnly ? 'Esta conversación está cerrada: solo se puede leer.' : 'Escribe un mensaje...'
+}
+
+/**
+ * Pide al servidor el listado de salas y repinta la barra lateral.
+ */
+const loadRooms = () => {
+  socket.emit('list rooms', ({ rooms, error }) => {
+    if (error) return console.error(error)
+    roomList.innerHTML = ''
+    rooms.forEach(addRoomToSidebar)
+  })
+
+  socket.emit('list conversations', ({ conversations, error }) => {
+    if (error) return console.error(error)
+    conversationList.innerHTML = ''
+    conversations.forEach(conversation => addConversationToSidebar(conversation))
+  })
+
+  socket.emit('list presence', ({ users }) => {
+    presence.clear()
+    users.forEach(({ username: name, online, lastSeen, displayName, avatarUrl }) => {
+      presence.set(name, { online, lastSeen })
+      profiles.set(name, { displayName, avatarUrl })
+    })
+    renderPresence()
+    refreshAuthors()
+  })
+}
+
+// Temporizador para agrupar los avisos de lectura: si llegan muchos mensajes seguidos
+// (por ejemplo, al cargar el historial) solo avisamos al servidor una vez, con el último.
+let markReadTimeout = null
+
+/**
+ * Avisa al servidor (con un pequeño retraso) de que hemos leído la sala actual hasta `messageId`.
+ * @param {string} messageId - El ID del último mensaje visible.
+ */
+const scheduleMarkRead = (messageId) => {
+  clearTimeout(markReadTimeout)
+  const roomId = currentRoom.id
+  markReadTimeout = setTimeout(() => {
+    socket.emit('mark read', roomId, messageId)
+    setUnread(roomId, 0)
+  }, 500)
+}
+
+// --- Renderizado de Mensajes ---
+
+/**
+ * Devuelve todos los elementos que muestran un mensaje: en la lista de la sala y en el panel del hilo
+ * (un mensaje que abre un hilo aparece en los dos sitios).
+ * @param {string} id - El ID del mensaje.
+ * @returns {NodeListOf<HTMLLIElement>}
+ */
+const findMessageElements = (id) => document.querySelectorAll(`#messages > li[data-id="${id}"], #thread-parent > li[data-id="${id}"], #thread-messages > li[data-id="${id}"]`)
+
+/**
+ * Pinta (o repinta) el botón que abre el hilo de un mensaje, con su número de respuestas.
+ * @param {HTMLElement} messageContent - El contenedor `.message-content` del mensaje.
+ * @param {object} message - El mensaje ({ id, replyCount }).
+ */
+const renderThreadButton = (messageContent, { id, replyCount }) => {
+  messageContent.querySelector('.thread-button')?.remove()
+  const button = document.createElement('button')
+  button.classList.add('thread-button')
+  button.dataset.id = id
+  button.textContent = replyCount ? `💬 ${replyCount} ${replyCount === 1 ? 'respuesta' : 'respuestas'}` : '💬 Responder'
+  messageContent.appendChild(button)
+}
+
+// Emojis que ofrecemos al pulsar "añadir reacción".
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢']
+
+/**
+ * Pinta (o repinta) las reacciones de un mensaje: un botón por emoji con su contador.
+ * Al pasar el ratón se ve quién ha reaccionado; las nuestras se resaltan y al pulsarlas se quitan.
+ * @param {HTMLElement} messageContent - El contenedor `.message-content` del mensaje.
+ * @param {object} message - El mensaje ({ id, reactions }).
+ */
+const renderReactions = (messageContent, { id, reactions = [] }) => {
+  messageContent.querySelector('.reactions')?.remove()
+
+  const bar = document.createElement('div')
+  bar.classList.add('reactions')
+  reactions.forEach(({ emoji, count, users }) => {
+    const button = document.createElement('button')
+    button.classList.add('reaction')
+    button.classList.toggle('mine', users.includes(selfUsername))
+    button.dataset.id = id
+    button.dataset.emoji = emoji
+    button.title = users.join(', ')
+    button.textContent = `${emoji} ${count}`
+    bar.appendChild(button)
+  })
+
+  const addButton = document.createElement('button')
+  addButton.classList.add('add-reaction-button')
+  addButton.title = 'Añadir reacción'
+  addButton.textContent = '☺+'
+  bar.appendChild(addButton)
+
+  messageContent.appendChild(bar)
+}
+
+/**
+ * Muestra (o esconde) bajo las reacciones de un mensaje la paleta de emojis para reaccionar.
+ * @param {HTMLElement} addButton - El botón "añadir reacción" del mensaje.
+ */
+const toggleReactionPicker = (addButton) => {
+  const bar = addButton.closest('.reactions')
+  const opened = bar.querySelector('.reaction-picker')
+  if (opened) return opened.remove()
+
+  const picker = document.createElement('div')
+  picker.classList.add('reaction-picker')
+  REACTION_EMOJIS.forEach(emoji => {
+    const button = document.createElement('button')
+    button.classList.add('reaction')
+    button.dataset.id = addButton.closest('li[data-id]').dataset.id
+    button.dataset.emoji = emoji
+    button.textContent = emoji
+    picker.appendChild(button)
+  })
+  bar.appendChild(picker)
+}
+
+/**
+ * Pinta los archivos adjuntos de un mensaje: las imágenes como vista previa (que abre el
+ * original al pulsarla) y el resto como enlace de descarga.
+ * @param {HTMLElement} messageContent - El contenedor `.message-content` del mensaje.
+ * @param {object[]} attachments - Los adjuntos ({ id, name, size, isImage }).
+ */
+const renderAttachments = (messageContent, attachments) => {
+  if (!attachments?.length) return
+
+  const list = document.createElement('div')
+  list.classList.add('attachments')
+  attachments.forEach(({ id, name, size, isImage }) => {
+    const link = document.createElement('a')
+    link.href = `/attachments/${id}`
+    link.target = '_blank'
+    link.rel = 'noopener'
+    link.title = name
+    if (isImage) {
+      const image = document.createElement('img')
+      image.src = link.href
+      image.alt = name
+      image.loading = 'lazy'
+      link.appendChild(image)
+    } else {
+      link.textContent = `📎 ${name} (${Math.ceil(size / 1024)} KB)`
+    }
+    list.appendChild(link)
+  })
+  messageContent.appendChild(list)
+}
+
+// --- Perfiles (Nombre Visible y Avatar) ---
+
+// username -> { displayName, avatarUrl } de todos los usuarios. Se rellena con 'list presence'
+// y se actualiza con 'profile updated'.
+const profiles = new Map()
+
+/**
+ * Devuelve el nombre con el que mostramos a un usuario: su nombre visible o, si no tiene, su username.
+ * @param {string} name - El username.
+ * @returns {string}
+ */
+const displayNameOf = (name) => profiles.get(name)?.displayName || name
+
+/**
+ * Pinta (o repinta) el autor en la cabecera de un mensaje: su avatar y su nombre visible.
+ * El username queda en el `title`, porque el nombre visible no tiene por qué ser único.
+ * @param {HTMLElement} header - El `<header>` del mensaje (con `data-username`).
+ */
+const renderAuthor = (header) => {
+  const { username: name, bot } = header.dataset
+  const profile = profiles.get(name)
+
+  const strong = document.createElement('strong')
+  strong.textContent = bot ?? (name ? displayNameOf(name) : 'Usuario eliminado')
+  if (name) strong.title = `@${name}`
+
+  const nodes = [strong]
+  // Los bots no tienen perfil: los distinguimos con una etiqueta.
+  if (bot) {
+    const badge = document.createElement('span')
+    badge.classList.add('bot-badge')
+    badge.textContent = 'BOT'
+    nodes.push(badge)
+  }
+  if (profile?.avatarUrl) {
+    const avatar = document.createElement('img')
+    avatar.classList.add('avatar')
+    avatar.src = profile.avatarUrl
+    avatar.alt = ''
+    nodes.unshift(avatar)
+  }
+  header.querySelectorAll('.avatar, strong, .bot-badge').forEach(element => element.remove())
+  header.prepend(...nodes)
+}
+
+/**
+ * Repinta el autor de todos los mensajes de un usuario (o de todos, sin argumentos).
+ * @param {string} [name] - El username.
+ */
+const refreshAuthors = (name) => {
+  const selector = name ? `.message-header[data-username="${window.CSS.escape(name)}"]` : '.message-header'
+  document.querySelectorAll(selector).forEach(renderAuthor)
+}
+
+/**
+ * Crea el contenido básico de un mensaje: la cabecera (autor y hora) y el hueco para el texto.
+ * IMPORTANTE: Medida de seguridad. El nombre del autor lo elige el usuario, así que entra
+ * con `textContent`, nunca interpolado en HTML.
+ * @param {string} author - El username del autor.
+ * @param {string} [time] - La hora ya formateada (los mensajes pendientes no la tienen).
+ * @param {string} [bot] - Si lo ha escrito un bot, su nombre.
+ * @returns {HTMLDivElement} - El contenedor `.message-content`.
+ */
+const createMessageContent = (author, time, bot) => {
+  const messageContent = document.createElement('div')
+  messageContent.classList.add('message-content')
+
+  const header = document.createElement('header')
+  header.classList.add('message-header')
+  // Los mensajes de una cuenta borrada (y anonimizada) no tienen autor.
+  if (author) header.dataset.username = author
+  if (bot) header.dataset.bot = bot
+  renderAuthor(header)
+  if (time) {
+    const timeElement = document.createElement('time')
+    timeElement.textContent = time
+    header.appendChild(timeElement)
+  }
+
+  const text = document.createElement('div')
+  text.classList.add('message-text')
+  messageContent.append(header, text)
+  return messageContent
+}
+
+/**
+ * Pinta el texto de un mensaje y, si fue editado, la marca "(editado)".
+ * Se usa tanto al crear el mensaje como cuando llega una edición.
+ * @param {HTMLElement} messageContent - El contenedor `.message-content` del mensaje.
+ * @param {object} message - El mensaje ({ id, content, editedAt, mentions, action }).
+ */
+const renderMessageBody = (messageContent, { id, content, editedAt, mentions = [], action = false }) => {
+  // Guardamos el texto original para poder ofrecerlo al editar.
+  messageContent.dataset.content = content
+  const body = renderMarkdown(content, { mentions, selfUsername })
+  // Las acciones de `/me` se leen en tercera persona: "* Ana saluda".
+  if (action) body.prepend(`* ${displayNameOf(messageContent.querySelector('.message-header').dataset.username)} `)
+  messageContent.querySelector('.message-text').replaceChildren(body)
+  messageContent.closest('li')?.classList.toggle('action', action)
+  // Si nos mencionan, destacamos el mensaje entero.
+  messageContent.closest('li')?.classList.toggle('mentioned', mentions.includes(selfUsername))
+
+  // La marca es un botón: al pulsarlo se despliegan las versiones anteriores del mensaje.
+  if (editedAt && !messageContent.querySelector('.edited-marker')) {
+    const marker = document.createElement('button')
+    marker.classList.add('edited-marker')
+    marker.dataset.id = id
+    marker.title = 'Ver versiones anteriores'
+    marker.textContent = '(editado)'
+    messageContent.appendChild(marker)
+  }
+
+  // Si el historial de versiones estaba desplegado, lo cerramos: ya no está al día.
+  messageContent.querySelector('.revisions')?.remove()
+}
+
+/**
+ * Si el mensaje se autodestruye, añade a su cabecera un ⏳ con la hora a la que desaparecerá.
+ * @param {HTMLElement} messageContent - El contenedor `.message-content` del mensaje.
+ * @param {object} message - El mensaje ({ expiresAt }).
+ */
+const renderExpiry = (messageContent, { expiresAt }) => {
+  if (!expiresAt) return
+  const marker = document.createElement('span')
+  marker.classList.add('expiry-marker')
+  marker.textContent = '⏳'
+  marker.title = `Se autodestruye: ${new Date(expiresAt).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })}`
+  messageContent.querySelector('.message-header').appendChild(marker)
+}
+
+/**
+ * Crea el elemento `<li>` de un mensaje, listo para añadirlo a la lista.
+ * @param {object} message - El mensaje tal y como lo envía el servidor.
+ * @returns {HTMLLIElement}
+ */
+const createMessageElement = (message) => {
+  const { id: serverOffset, user: msgUsername, timestamp } = message
 
-// Se ejecuta cuando el servidor emite un evento 'chat message'.
-// Esto puede ser un mensaje nuevo de cualquier usuario o un mensaje antiguo recuperado.
-socket.on('chat message', (msg, serverOffset, msgUsername, timestamp) => {
   const item = document.createElement('li')
   const time = new Date(timestamp).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })
 
@@ -55,50 +481,726 @@ socket.on('chat message', (msg, serverOffset, msgUsername, timestamp) => {
   item.dataset.id = serverOffset
 
   // Creamos el contenido del mensaje de forma dinámica.
-  const messageContent = document.createElement('div')
-  messageContent.classList.add('message-content')
-  messageContent.innerHTML = `
-    <header class="message-header">
-      <strong>${msgUsername}</strong>
-      <time>${time}</time>
-    </header>
-    <p>${msg}</p>
-  `
+  const messageContent = createMessageContent(msgUsername, time, message.bot)
+  item.appendChild(messageContent)
+  // Un mensaje borrado que conserva su hilo ("lápida"): solo mostramos el aviso y el acceso al hilo.
+  if (message.deleted) {
+    item.classList.add('received', 'deleted')
+    messageContent.querySelector('.message-text').textContent = 'Mensaje eliminado'
+    renderThreadButton(messageContent, message)
+    return item
+  }
+
+  renderMessageBody(messageContent, message)
+  renderExpiry(messageContent, message)
+  renderAttachments(messageContent, message.attachments)
+  renderReactions(messageContent, message)
+  // Las respuestas no abren hilos propios: los hilos tienen un solo nivel.
+  if (!message.parentId) renderThreadButton(messageContent, message)
 
   // Comparamos el autor del mensaje con el usuario actual.
   if (msgUsername === selfUsername) {
     // Si somos los autores, añadimos la clase 'sent' para el estilo CSS.
     item.classList.add('sent')
 
-    // Creamos y añadimos un botón de borrar solo a nuestros propios mensajes.
+    // Creamos y añadimos los botones de borrar y editar solo a nuestros propios mensajes.
     const deleteButton = document.createElement('button')
     deleteButton.classList.add('delete-button')
     deleteButton.dataset.id = serverOffset // El botón también lleva el ID del mensaje.
     deleteButton.innerHTML = '🗑️'
-    item.appendChild(deleteButton)
-    item.appendChild(messageContent)
+    const editButton = document.createElement('button')
+    editButton.classList.add('edit-button')
+    editButton.dataset.id = serverOffset
+    editButton.innerHTML = '✏️'
+    item.prepend(deleteButton, editButton)
   } else {
     // Si es un mensaje de otro usuario, añadimos la clase 'received'.
     item.classList.add('received')
-    item.appendChild(messageContent)
+
+    // Los moderadores también pueden borrar los mensajes de los demás.
+    if (isModerator) {
+      const deleteButton = document.createElement('button')
+      deleteButton.classList.add('delete-button')
+      deleteButton.dataset.id = serverOffset
+      deleteButton.title = 'Borrar (moderación)'
+      deleteButton.innerHTML = '🗑️'
+      item.appendChild(deleteButton)
+    }
+  }
+
+  return item
+}
+
+// --- Estado de Entrega y Lectura ---
+
+/**
+ * Muestra (o actualiza) la línea de estado bajo un mensaje propio.
+ * @param {HTMLElement} item - El `<li>` del mensaje.
+ * @param {string} text - El texto del estado.
+ */
+const setMessageStatus = (item, text) => {
+  let status = item.querySelector('.message-status')
+  if (!status) {
+    status = document.createElement('small')
+    status.classList.add('message-status')
+    item.querySelector('.message-content').appendChild(status)
+  }
+  status.textContent = text
+}
+
+/**
+ * Actualiza el "visto por..." de nuestros mensajes en la sala actual.
+ * Un usuario ha visto un mensaje si su último mensaje leído es ese o uno posterior.
+ * Los IDs de MongoDB crecen con el tiempo y tienen siempre la misma longitud,
+ * así que basta con compararlos como texto.
+ */
+const renderSeenBy = () => {
+  messages.querySelectorAll('li.sent[data-id]').forEach(item => {
+    const seenBy = [...readMarkers]
+      .filter(([name, lastReadId]) => name !== selfUsername && lastReadId >= item.dataset.id)
+      .map(([name]) => name)
+    setMessageStatus(item, seenBy.length ? `Visto por ${seenBy.join(', ')}` : 'Enviado')
+  })
+}
+
+// Archivos elegidos para un mensaje pendiente que todavía no se han subido: clientId -> File[].
+// Se quitan de aquí en cuanto se suben, así un reintento no los vuelve a subir.
+const pendingFiles = new Map()
+
+/**
+ * Crea el `<li>` de un mensaje propio que todavía no ha confirmado el servidor.
+ * Lo identificamos por `clientId` hasta que nos llegue el mensaje definitivo.
+ * @param {string} clientId - El identificador generado por el cliente.
+ * @param {string} content - El texto del mensaje.
+ * @param {File[]} [files] - Los archivos que se adjuntan al mensaje.
+ * @param {number|null} [expiresIn] - Si se autodestruye, al cabo de cuántos segundos.
+ * @param {string|null} [parentId] - Si es una respuesta, el mensaje que abre su hilo.
+ * @returns {HTMLLIElement}
+ */
+const createPendingElement = (clientId, content, files = [], expiresIn = null, parentId = null) => {
+  const item = document.createElement('li')
+  item.classList.add('sent', 'pending')
+  item.dataset.clientId = clientId
+  item.dataset.roomId = currentRoom.id
+  if (expiresIn) item.dataset.expiresIn = expiresIn
+  if (parentId) item.dataset.parentId = parentId
+
+  // Mientras no lo confirme el servidor no sabemos qué menciones son válidas: lo pintamos sin ellas.
+  const messageContent = createMessageContent(selfUsername)
+  messageContent.querySelector('.message-text').replaceChildren(renderMarkdown(content))
+  messageContent.dataset.content = content
+  if (files.length) {
+    const names = document.createElement('small')
+    names.textContent = files.map(file => `📎 ${file.name}`).join(' ')
+    messageContent.appendChild(names)
+    pendingFiles.set(clientId, files)
+  }
+  item.appendChild(messageContent)
+  setMessageStatus(item, 'Enviando...')
+  return item
+}
+
+/**
+ * Marca un mensaje pendiente como no enviado, con un botón para reintentarlo.
+ * @param {HTMLLIElement} item - El `<li>` pendiente del mensaje.
+ * @param {string} error - El motivo.
+ */
+const markFailed = (item, error) => {
+  // Puede que el mensaje definitivo ya haya llegado por otra vía: entonces no hay nada que marcar.
+  if (!item.isConnected) return
+  item.classList.replace('pending', 'failed')
+  setMessageStatus(item, `No enviado: ${error} `)
+  const retryButton = document.createElement('button')
+  retryButton.classList.add('retry-button')
+  retryButton.textContent = 'Reintentar'
+  item.querySelector('.message-status').appendChild(retryButton)
+}
+
+/**
+ * Sube un archivo adjunto al servidor. El cuerpo de la petición es el propio archivo.
+ * @param {File} file - El archivo.
+ * @returns {Promise<object>} - El adjunto ({ id, name, ... }).
+ */
+const uploadAttachment = (file) => fetch(`/attachments?name=${encodeURIComponent(file.name)}`, {
+  method: 'POST',
+  headers: { 'Content-Type': file.type || 'application/octet-stream' },
+  body: file
+}).then(async res => {
+  const { attachment, error } = await res.json()
+  if (!res.ok) throw new Error(error)
+  return attachment
+})
+
+// --- Bandeja de Salida ---
+// Los mensajes que escribimos no se emiten directamente: entran en una "bandeja de salida" guardada
+// en `localStorage` (así sobreviven a una recarga de la página) y se envían de uno en uno, en orden,
+// cuando hay conexión. Mientras tanto se ven como pendientes. Un mensaje sale de la bandeja cuando
+// el servidor lo confirma o lo rechaza (entonces queda marcado como no enviado, para reintentarlo a mano).
+//
+// Si un envío se queda sin confirmar (por ejemplo, la conexión se corta justo después), el mensaje
+// sigue en la bandeja y se reenvía al reconectar. Es seguro: el servidor reconoce su `clientId`
+// y, si ya lo había guardado, confirma ese mismo mensaje sin guardarlo ni emitirlo otra vez.
+// Las pestañas abiertas comparten la bandeja, y por lo mismo no importa que dos envíen el mismo mensaje.
+//
+// Solo se envían los mensajes de la sala que estamos viendo: el servidor solo acepta mensajes de la
+// sala en la que está el socket. Los de otras salas esperan a que volvamos a ellas.
+// Los archivos adjuntos se suben antes de que el mensaje entre en la bandeja (ver `deliverMessage`).
+// Las respuestas de los hilos van por la misma bandeja, con su `parentId`, y se pintan en el panel del hilo.
+
+// Una bandeja por usuario: si otra persona inicia sesión en este navegador, no envía nuestros mensajes.
+const OUTBOX_KEY = `chat-outbox:${selfUsername}`
+
+/**
+ * Lee la bandeja de salida. Siempre de `localStorage`, no de una copia en memoria: otra pestaña puede haberla cambiado.
+ * @returns {object[]} - Los mensajes pendientes ({ clientId, roomId, content, attachmentIds, expiresIn, parentId }), en orden.
+ */
+const loadOutbox = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(OUTBOX_KEY)) ?? []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Guarda la bandeja de salida.
+ * @param {object[]} entries - Los mensajes pendientes.
+ */
+const saveOutbox = (entries) => window.localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries))
+
+/**
+ * Saca un mensaje de la bandeja de salida.
+ * @param {string} clientId - El `clientId` del mensaje.
+ */
+const removeFromOutbox = (clientId) => saveOutbox(loadOutbox().filter(entry => entry.clientId !== clientId))
+
+/**
+ * Busca el `<li>` pendiente de un mensaje, esté en la lista de la sala o en el panel del hilo.
+ * @param {string} clientId - El `clientId` del mensaje.
+ * @returns {HTMLLIElement|null}
+ */
+const findPendingElement = (clientId) => document.querySelector(`li[data-client-id="${clientId}"]`)
+
+/**
+ * Espera unos milisegundos.
+ * @param {number} ms - Cuánto esperar.
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Entrega un mensaje pendiente: primero sube sus adjuntos (si tiene y no se han subido ya)
+ * y después lo pone en la bandeja de salida.
+ * @param {HTMLLIElement} item - El `<li>` pendiente del mensaje.
+ */
+const deliverMessage = (item) => {
+  const files = pendingFiles.get(item.dataset.clientId)
+  if (!files) return queueMessage(item)
+
+  item.classList.remove('failed')
+  item.classList.add('pending')
+  setMessageStatus(item, 'Subiendo archivos...')
+  Promise.all(files.map(uploadAttachment))
+    .then(attachments => {
+      pendingFiles.delete(item.dataset.clientId)
+      item.dataset.attachmentIds = JSON.stringify(attachments.map(({ id }) => id))
+      queueMessage(item)
+    })
+    .catch(error => markFailed(item, error.message))
+}
+
+/**
+ * Pone un mensaje pendiente en la bandeja de salida y, si hay conexión, empieza a enviarla.
+ * @param {HTMLLIElement} item - El `<li>` pendiente del mensaje.
+ */
+const queueMessage = (item) => {
+  const { clientId, roomId } = item.dataset
+  const content = item.querySelector('.message-content').dataset.content
+  const attachmentIds = JSON.parse(item.dataset.attachmentIds ?? '[]')
+  const expiresIn = Number(item.dataset.expiresIn) || null
+  const parentId = item.dataset.parentId ?? null
+
+  item.classList.remove('failed')
+  item.classList.add('pending')
+  saveOutbox([...loadOutbox(), { clientId, roomId, content, attachmentIds, expiresIn, parentId }])
+  setMessageStatus(item, socket.connected ? 'Enviando...' : 'Sin conexión: se enviará al reconectar.')
+  flushOutbox()
+}
+
+/**
+ * Sustituye el mensaje pendiente por el definitivo, si lo tenemos pintado.
+ * @param {object} message - El mensaje confirmado por el servidor (con su `clientId`).
+ * @returns {boolean} - Si había un mensaje pendiente que sustituir.
+ */
+const confirmPending = (message) => {
+  if (!message.clientId) return false
+  const pending = findPendingElement(message.clientId)
+  if (!pending) return false
+  // Puede que el definitivo ya esté en su lista (llegó con el historial, tras recargar la página
+  // con el mensaje en la bandeja): entonces el pendiente sobra.
+  if (pending.parentElement.querySelector(`li[data-id="${message.id}"]`)) pending.remove()
+  else pending.replaceWith(createMessageElement(message))
+  return true
+}
+
+// Si la bandeja se está enviando ahora mismo (para no enviarla dos veces a la vez).
+let flushingOutbox = false
+
+/**
+ * Envía, de uno en uno y en orden, los mensajes de la bandeja de salida de la sala actual.
+ * Para si se pierde la conexión o un envío se queda sin confirmar: lo que quede se reenviará al
+ * reconectar (ver 'room history') o, si la conexión sigue abierta, al cabo de `SEND_TIMEOUT_MS`.
+ */
+const flushOutbox = async () => {
+  if (flushingOutbox) return
+  flushingOutbox = true
+  try {
+    let entry = loadOutbox().find(({ roomId }) => roomId === currentRoom?.id)
+    while (entry && socket.connected) {
+      if (!await sendOutboxEntry(entry)) {
+        setTimeout(flushOutbox, SEND_TIMEOUT_MS)
+        break
+      }
+      entry = loadOutbox().find(({ roomId }) => roomId === currentRoom?.id)
+    }
+  } finally {
+    flushingOutbox = false
+  }
+}
+
+/**
+ * Envía un mensaje de la bandeja de salida y espera la confirmación del servidor.
+ * @param {object} entry - El mensaje ({ clientId, roomId, content, attachmentIds, expiresIn, parentId }).
+ * @returns {Promise<boolean>} - `false` si no ha llegado la confirmación a tiempo (sigue en la bandeja).
+ */
+const sendOutboxEntry = async (entry) => {
+  const item = findPendingElement(entry.clientId)
+  if (item) setMessageStatus(item, 'Enviando...')
+
+  let response
+  try {
+    // `timeout()` hace que la promesa se rechace si el servidor no responde a tiempo.
+    response = await socket.timeout(SEND_TIMEOUT_MS).emitWithAck('chat message', entry)
+  } catch {
+    if (item) setMessageStatus(item, 'Sin confirmar: se volverá a enviar.')
+    return false
+  }
+
+  // Estamos enviando demasiado rápido (por ejemplo, al vaciar una bandeja llena): esperamos y se reintenta.
+  if (response.retryAfterMs) {
+    await wait(response.retryAfterMs)
+    return true
+  }
+
+  removeFromOutbox(entry.clientId)
+  if (response.error) {
+    if (item) markFailed(item, response.error)
+  } else if (!response.message) {
+    // Un comando que no publica nada en nuestro nombre (`/help`, `/who`...), o el reenvío de un mensaje
+    // que ya se guardó y después se borró (`duplicate`): el mensaje pendiente sobra.
+    item?.remove()
+  } else if (response.message.parentId) {
+    // Una respuesta: va al panel del hilo, si lo tenemos abierto (si no, el pendiente ya no está pintado).
+    if (response.message.parentId === openThreadId) appendThreadReply(response.message)
+  } else if (confirmPending(response.message)) {
+    // Normalmente el mensaje ya nos ha llegado por 'chat message'; si no, lo pintamos ahora.
+    renderSeenBy()
+  }
+  return true
+}
+
+/**
+ * Pinta al final de una lista los mensajes de la bandeja de salida de la sala actual que le tocan: tras
+ * recargar la página, o tras recibir los mensajes que nos perdimos, que van antes que los nuestros pendientes.
+ * @param {HTMLElement} list - La lista de la sala (`messages`) o la del hilo abierto (`threadMessages`).
+ * @param {string|null} [parentId] - En el hilo, el mensaje que lo abre: solo se pintan sus respuestas.
+ */
+const renderOutbox = (list, parentId = null) => {
+  for (const entry of loadOutbox()) {
+    const { clientId, roomId, content, attachmentIds, expiresIn } = entry
+    if (roomId !== currentRoom?.id || (entry.parentId ?? null) !== parentId) continue
+    let item = findPendingElement(clientId)
+    if (!item) {
+      item = createPendingElement(clientId, content, [], expiresIn, parentId)
+      item.dataset.attachmentIds = JSON.stringify(attachmentIds)
+      setMessageStatus(item, socket.connected ? 'Enviando...' : 'Sin conexión: se enviará al reconectar.')
+    }
+    list.appendChild(item)
+  }
+}
+
+/**
+ * Despliega (o recoge) debajo de un mensaje la lista de sus versiones anteriores.
+ * @param {HTMLElement} marker - El botón "(editado)" del mensaje.
+ */
+const toggleRevisions = (marker) => {
+  const messageContent = marker.closest('.message-content')
+  const opened = messageContent.querySelector('.revisions')
+  if (opened) return opened.remove()
+
+  socket.emit('message revisions', marker.dataset.id, ({ revisions, error }) => {
+    if (error) return window.alert(error)
+
+    const list = document.createElement('ol')
+    list.classList.add('revisions')
+    revisions.forEach(({ content, writtenAt }) => {
+      const item = document.createElement('li')
+      const time = new Date(writtenAt).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })
+      item.textContent = `${time}: ${content}`
+      list.appendChild(item)
+    })
+    messageContent.appendChild(list)
+  })
+}
+
+// Temporizador para ocultar el aviso actual.
+let noticeTimeout = null
+
+/**
+ * Muestra durante unos segundos un aviso dirigido solo a nosotros.
+ * @param {string} text - El texto del aviso.
+ */
+const showNotice = (text) => {
+  notice.textContent = text
+  notice.hidden = false
+  clearTimeout(noticeTimeout)
+  noticeTimeout = setTimeout(() => { notice.hidden = true }, 5000)
+}
+
+// --- Presencia y "Está Escribiendo..." ---
+
+// username -> { online, lastSeen } de todos los usuarios registrados.
+const presence = new Map()
+
+/**
+ * Repinta la lista de usuarios: primero los que están en línea, después el resto
+ * con la fecha de su última conexión.
+ */
+const renderPresence = () => {
+  presenceList.innerHTML = ''
+  const users = [...presence.entries()].sort(([nameA, a], [nameB, b]) =>
+    (b.online - a.online) || nameA.localeCompare(nameB))
+
+  users.forEach(([name, { online, lastSeen }]) => {
+    const item = document.createElement('li')
+    item.classList.toggle('online', online)
+    item.textContent = displayNameOf(name)
+    item.title = online
+      ? `@${name}`
+      : lastSeen
+        ? `@${name} · Visto por última vez: ${new Date(lastSeen).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })}`
+        : `@${name} · Nunca se ha conectado`
+    presenceList.appendChild(item)
+  })
+}
+
+// username -> temporizador que borra su indicador si deja de llegar 'typing'.
+const typingUsers = new Map()
+
+// Tiempo que mostramos "está escribiendo..." tras el último aviso recibido.
+const TYPING_TIMEOUT_MS = 3000
+
+// Intervalo mínimo entre dos avisos 'typing' nuestros (para no enviar uno por tecla).
+const TYPING_THROTTLE_MS = 2000
+let lastTypingSentAt = 0
+
+/**
+ * Pinta el indicador con los usuarios que están escribiendo en la sala actual.
+ */
+const renderTyping = () => {
+  const names = [...typingUsers.keys()].map(displayNameOf)
+  if (!names.length) typingIndicator.textContent = ''
+  else if (names.length === 1) typingIndicator.textContent = `${names[0]} está escribiendo…`
+  else typingIndicator.textContent = `${names.join(', ')} están escribiendo…`
+}
+
+/**
+ * Quita a un usuario del indicador de "está escribiendo...".
+ * @param {string} name - El usuario.
+ */
+const stopTyping = (name) => {
+  clearTimeout(typingUsers.get(name))
+  typingUsers.delete(name)
+  renderTyping()
+}
+
+// --- Manejo de Eventos de Socket.IO ---
+
+// `socket.on(eventName, callback)`: Escucha eventos provenientes del servidor.
+
+// Cada vez que (re)conectamos, recargamos el listado de salas.
+// Si teníamos un hilo abierto, pedimos las respuestas que nos hayamos perdido.
+// Si Socket.IO ha recuperado la conexión (`recovered`), seguimos en la sala y no llegará 'room history':
+// enviamos ya la bandeja de salida.
+socket.on('connect', () => {
+  loadRooms()
+  if (openThreadId) loadThread()
+  if (socket.recovered) flushOutbox()
+})
+
+// El servidor nos confirma en qué sala estamos: al conectar, al reconectar o al cambiar de sala.
+socket.on('room joined', (room) => {
+  // Si es una sala distinta a la que veíamos, empezamos con la lista de mensajes vacía.
+  // Si es la misma (una reconexión), conservamos los mensajes y solo llegarán los que faltan.
+  if (currentRoom?.id !== room.id) {
+    messages.innerHTML = ''
+    socket.auth.serverOffset = 0
+    readMarkers.clear()
+    closeThread()
+  }
+  currentRoom = room
+  socket.auth.roomId = room.id
+  // Los indicadores de "está escribiendo..." eran de la sala anterior.
+  typingUsers.forEach((timeout, name) => stopTyping(name))
+  // Si es una conversación privada que todavía no estaba en la barra lateral, la añadimos.
+  if (room.type === 'direct') addConversationToSidebar({ ...room, unread: 0 }, { prepend: true })
+  renderCurrentRoom()
+})
+
+// Alguien ha iniciado una conversación privada en la que participamos.
+socket.on('conversation created', (conversation) => {
+  addConversationToSidebar(conversation, { prepend: true })
+})
+
+// Alguien ha creado una sala nueva: la añadimos a la barra lateral.
+socket.on('room created', addRoomToSidebar)
+
+// Una sala ha sido archivada: la quitamos de la barra lateral y, si la estábamos viendo,
+// volvemos a la sala por defecto.
+socket.on('room archived', (roomId) => {
+  roomList.querySelector(`li[data-room-id="${roomId}"]`)?.remove()
+  if (currentRoom?.id === roomId) {
+    const defaultRoom = roomList.querySelector('li[data-default]')
+    if (defaultRoom) switchRoom(defaultRoom.dataset.roomId)
+  }
+})
+
+// Se ejecuta cuando el servidor nos envía un bloque del historial de la sala actual:
+// - mode 'replace': la página más reciente (al entrar en la sala). Sustituye todo lo que hubiera.
+// - mode 'append': los mensajes que nos perdimos durante una desconexión.
+// Si nos perdimos demasiados, el servidor no los envía todos: nos manda `gap: true` junto con
+// la página más reciente ('replace') y empezamos de nuevo desde ahí.
+// Si venimos de un resultado de búsqueda, `focusId` es el mensaje a resaltar y `hasNewer`
+// indica que quedan mensajes más recientes que los recibidos.
+socket.on('room history', ({ roomId, messages: page, hasMore, hasNewer, mode, gap, focusId }) => {
+  if (roomId !== currentRoom?.id) return
+
+  if (mode === 'replace') {
+    messages.innerHTML = ''
+    hasOlderMessages = hasMore
+  }
+  // Un 'append' trae todo lo que faltaba hasta el presente.
+  setHasNewerMessages(mode === 'replace' && Boolean(hasNewer))
+  if (gap) console.info('Te has perdido demasiados mensajes; se ha recargado el historial de la sala.')
+
+  page.forEach(message => messages.appendChild(createMessageElement(message)))
+  // Nuestros mensajes pendientes van detrás (salvo si estamos viendo un trozo antiguo del historial),
+  // y ya podemos enviarlos: el socket está en la sala.
+  if (!hasNewerMessages) renderOutbox(messages)
+  flushOutbox()
+  renderSeenBy()
+
+  if (page.length) {
+    const lastId = page[page.length - 1].id
+    socket.auth.serverOffset = lastId
+    scheduleMarkRead(lastId)
+  }
+
+  const focused = focusId && messages.querySelector(`li[data-id="${focusId}"]`)
+  if (focused) {
+    focused.classList.add('focused')
+    focused.scrollIntoView({ block: 'center' })
+  } else {
+    messages.scrollTop = messages.scrollHeight
+  }
+})
+
+// Se ejecuta cuando el servidor emite un evento 'chat message': un mensaje nuevo de cualquier usuario.
+socket.on('chat message', (message) => {
+  const { id: serverOffset, roomId, user: msgUsername } = message
+
+  // Las respuestas no van a la lista de la sala: solo al hilo, si lo tenemos abierto.
+  if (message.parentId) {
+    if (message.parentId === openThreadId) appendThreadReply(message)
+    return
+  }
+
+  // Los mensajes de otras salas no se pintan. Solo nos llegan de las conversaciones privadas
+  // en las que participamos (o justo mientras cambiamos de sala): subimos su contador de no leídos.
+  if (roomId !== currentRoom?.id) {
+    const item = conversationList.querySelector(`li[data-room-id="${roomId}"]`)
+    if (item && msgUsername !== selfUsername) {
+      setUnread(roomId, Number(item.dataset.unread || 0) + 1)
+      conversationList.prepend(item) // La conversación con actividad más reciente va arriba.
+    }
+    return
   }
 
-  messages.appendChild(item) // Añadimos el nuevo mensaje a la lista.
+  // Si es un mensaje nuestro que pintamos como pendiente, lo sustituimos por el definitivo.
+  // Si ya lo tenemos (llegó antes la confirmación), no lo repetimos.
+  // Si estamos viendo un trozo antiguo del historial, no lo pintamos: ya lo veremos al volver al presente.
+  if (!confirmPending(message)) {
+    if (hasNewerMessages) return
+    if (messages.querySelector(`li[data-id="${serverOffset}"]`)) return
+    messages.appendChild(createMessageElement(message)) // Añadimos el nuevo mensaje a la lista.
+  }
+  if (msgUsername === selfUsername) renderSeenBy()
   // Actualizamos nuestro `serverOffset` con el ID del último mensaje recibido.
   socket.auth.serverOffset = serverOffset
+  // Lo estamos viendo, así que lo damos por leído.
+  scheduleMarkRead(serverOffset)
   // Hacemos scroll automático para que el último mensaje siempre sea visible.
   messages.scrollTop = messages.scrollHeight
 })
 
 // Se ejecuta cuando el servidor confirma que un mensaje ha sido borrado.
 socket.on('message deleted', (messageId) => {
-  // Buscamos el elemento del mensaje en el DOM usando el `data-id` que guardamos.
-  const messageElement = document.querySelector(`li[data-id="${messageId}"]`)
-  if (messageElement) {
-    messageElement.remove() // Si lo encontramos, lo eliminamos del DOM.
+  // Buscamos los elementos del mensaje en el DOM usando el `data-id` que guardamos y los eliminamos.
+  findMessageElements(messageId).forEach(element => element.remove())
+  // Si era el mensaje que abre el hilo que estamos viendo, el hilo ya no existe.
+  if (messageId === openThreadId) closeThread()
+})
+
+// Se ha borrado un mensaje que tiene respuestas: lo sustituimos por su "lápida".
+socket.on('message tombstoned', (message) => {
+  findMessageElements(message.id).forEach(element => element.replaceWith(createMessageElement(message)))
+})
+
+// Ha cambiado el número de respuestas de un hilo.
+socket.on('thread updated', ({ id, replyCount }) => {
+  findMessageElements(id).forEach(element => {
+    renderThreadButton(element.querySelector('.message-content'), { id, replyCount })
+  })
+})
+
+// Al entrar en una sala, el servidor nos dice hasta dónde ha leído cada usuario.
+socket.on('read markers', ({ roomId, markers }) => {
+  if (roomId !== currentRoom?.id) return
+  readMarkers.clear()
+  markers.forEach(({ username: name, lastReadId }) => readMarkers.set(name, lastReadId))
+  renderSeenBy()
+})
+
+// Alguien ha avanzado su marcador de lectura.
+// Si somos nosotros desde otro dispositivo, esa sala ya no tiene mensajes sin leer.
+socket.on('read updated', ({ roomId, username: name, messageId }) => {
+  if (name === selfUsername) setUnread(roomId, 0)
+  if (roomId !== currentRoom?.id) return
+  readMarkers.set(name, messageId)
+  renderSeenBy()
+})
+
+// Un usuario se ha conectado o desconectado.
+socket.on('presence', ({ username: name, online, lastSeen }) => {
+  presence.set(name, { online, lastSeen: lastSeen ?? presence.get(name)?.lastSeen ?? null })
+  renderPresence()
+})
+
+// Alguien ha cambiado su nombre visible o su avatar.
+socket.on('profile updated', ({ username: name, displayName, avatarUrl }) => {
+  profiles.set(name, { displayName, avatarUrl })
+  refreshAuthors(name)
+  renderPresence()
+})
+
+// Alguien se ha cambiado el nombre de usuario: sus mensajes pasan a llevar el nuevo.
+socket.on('user renamed', ({ from, profile }) => {
+  const { username: to, displayName, avatarUrl } = profile
+  profiles.delete(from)
+  profiles.set(to, { displayName, avatarUrl })
+  if (presence.has(from)) {
+    presence.set(to, presence.get(from))
+    presence.delete(from)
+  }
+  document.querySelectorAll(`.message-header[data-username="${window.CSS.escape(from)}"]`).forEach(header => {
+    header.dataset.username = to
+    renderAuthor(header)
+  })
+  renderPresence()
+})
+
+// Alguien ha borrado su cuenta: sus mensajes que quedan se muestran sin autor.
+socket.on('user deleted', (name) => {
+  profiles.delete(name)
+  presence.delete(name)
+  document.querySelectorAll(`.message-header[data-username="${window.CSS.escape(name)}"]`).forEach(header => {
+    delete header.dataset.username
+    renderAuthor(header)
+  })
+  renderPresence()
+})
+
+// Alguien está escribiendo en la sala actual. Ignoramos nuestros propios avisos (de otras pestañas).
+socket.on('typing', ({ roomId, username: name }) => {
+  if (roomId !== currentRoom?.id || name === selfUsername) return
+  clearTimeout(typingUsers.get(name))
+  typingUsers.set(name, setTimeout(() => stopTyping(name), TYPING_TIMEOUT_MS))
+  renderTyping()
+})
+
+socket.on('stop typing', ({ roomId, username: name }) => {
+  if (roomId === currentRoom?.id) stopTyping(name)
+})
+
+// El servidor nos envía un aviso solo a nosotros (por ejemplo, que estamos silenciados).
+socket.on('notice', showNotice)
+
+// Respuesta a un comando que solo vemos nosotros (no se guarda en el historial).
+socket.on('command reply', ({ roomId, content }) => {
+  if (roomId !== currentRoom?.id) return showNotice(content)
+  const item = document.createElement('li')
+  item.classList.add('received', 'ephemeral')
+  const messageContent = createMessageContent(null, null, 'sistema')
+  messageContent.querySelector('.message-text').textContent = content
+  const hint = document.createElement('small')
+  hint.textContent = 'Solo tú puedes ver esto.'
+  messageContent.appendChild(hint)
+  item.appendChild(messageContent)
+  messages.appendChild(item)
+  messages.scrollTop = messages.scrollHeight
+})
+
+/**
+ * Salta al mensaje en el que nos han mencionado (abriendo su hilo si es una respuesta).
+ * @param {object} mention - El aviso que envía el servidor ({ messageId, parentId }).
+ */
+const jumpToMention = ({ messageId, parentId }) => {
+  socket.emit('jump to message', messageId, ({ error }) => {
+    if (error) return window.alert(error)
+    if (parentId) openThread(parentId)
+  })
+}
+
+// Alguien nos ha mencionado (`@usuario`) en un mensaje, en esta sala o en otra.
+// Si la pestaña no está a la vista y lo hemos permitido, avisamos también con una notificación del sistema.
+socket.on('mention', (mention) => {
+  const where = mention.roomName ? `#${mention.roomName}` : 'una conversación privada'
+  showNotice(`${mention.from} te ha mencionado en ${where}: ${mention.preview}`)
+
+  if (document.hidden && window.Notification?.permission === 'granted') {
+    const notification = new window.Notification(`${mention.from} te ha mencionado en ${where}`, { body: mention.preview, tag: mention.messageId })
+    notification.onclick = () => {
+      window.focus()
+      jumpToMention(mention)
+      notification.close()
+    }
   }
 })
 
+// Alguien ha puesto o quitado una reacción: repintamos las de ese mensaje.
+socket.on('reaction updated', ({ id, reactions }) => {
+  findMessageElements(id).forEach(element => {
+    renderReactions(element.querySelector('.message-content'), { id, reactions })
+  })
+})
+
+// Se ejecuta cuando alguien edita un mensaje: actualizamos su texto y mostramos la marca "(editado)".
+socket.on('message edited', (message) => {
+  findMessageElements(message.id).forEach(element => {
+    renderMessageBody(element.querySelector('.message-content'), message)
+  })
+})
+
 // --- Manejo de Eventos del DOM ---
 
 // `element.addEventListener(eventName, callback)`: Escucha eventos del usuario en el navegador.
@@ -107,24 +1209,424 @@ socket.on('message deleted', (messageId) => {
 form.addEventListener('submit', (e) => {
   e.preventDefault() // Prevenimos que la página se recargue.
 
-  if (input.value) {
-    // `socket.emit(eventName, data)`: Envía un evento al servidor.
-    // Enviamos el contenido del input en un evento 'chat message'.
-    socket.emit('chat message', input.value)
+  const files = [...fileInput.files]
+  if ((input.value || files.length) && currentRoom) {
+    // Pintamos el mensaje al instante como "enviando..." y lo enviamos al servidor.
+    // `clientId` nos permite reconocerlo cuando el servidor nos lo devuelva.
+    // La autodestrucción elegida se mantiene para los siguientes mensajes, hasta que se cambie.
+    const item = createPendingElement(crypto.randomUUID(), input.value, files, Number(expirySelect.value) || null)
+    messages.appendChild(item)
+    messages.scrollTop = messages.scrollHeight
+    deliverMessage(item)
+    socket.emit('stop typing', currentRoom.id)
+    lastTypingSentAt = 0
+    // El navegador solo deja pedir permiso para las notificaciones tras una acción del usuario:
+    // aprovechamos el primer mensaje que envía.
+    if (window.Notification?.permission === 'default') window.Notification.requestPermission()
     input.value = '' // Limpiamos el campo de texto.
+    fileInput.value = ''
+    attachLabel.classList.remove('has-files')
   }
 })
 
+// Al elegir archivos, marcamos el botón de adjuntar para que se vea que hay algo pendiente de enviar.
+fileInput.addEventListener('change', () => {
+  const names = [...fileInput.files].map(file => file.name)
+  attachLabel.classList.toggle('has-files', names.length > 0)
+  attachLabel.title = names.length ? names.join(', ') : 'Adjuntar archivos'
+})
+
+/**
+ * Pide al servidor la página de mensajes anterior al mensaje más antiguo que tenemos
+ * y la añade al principio de la lista, sin mover lo que el usuario está viendo.
+ */
+const loadOlderMessages = () => {
+  const oldest = messages.querySelector('li[data-id]')
+  if (!oldest) return
+
+  loadingOlder = true
+  const roomId = currentRoom.id
+  socket.emit('load older messages', roomId, oldest.dataset.id, ({ messages: page, hasMore, error }) => {
+    loadingOlder = false
+    // Si ha fallado o hemos cambiado de sala mientras tanto, descartamos la respuesta.
+    if (error || roomId !== currentRoom?.id) return
+
+    hasOlderMessages = hasMore
+    const previousHeight = messages.scrollHeight
+    const fragment = document.createDocumentFragment()
+    page.forEach(message => fragment.appendChild(createMessageElement(message)))
+    messages.prepend(fragment)
+    // Compensamos la altura añadida arriba para que la vista no "salte".
+    messages.scrollTop += messages.scrollHeight - previousHeight
+  })
+}
+
+/**
+ * Actualiza si faltan mensajes más recientes por cargar y muestra u oculta el botón para volver al presente.
+ * @param {boolean} value
+ */
+const setHasNewerMessages = (value) => {
+  hasNewerMessages = value
+  jumpLatestButton.hidden = !value
+}
+
+/**
+ * Pide al servidor la página de mensajes posterior al mensaje más reciente que tenemos
+ * y la añade al final de la lista. Solo se usa mientras vemos un trozo antiguo del historial.
+ */
+const loadNewerMessages = () => {
+  const newest = [...messages.querySelectorAll('li[data-id]')].pop()
+  if (!newest) return
+
+  loadingNewer = true
+  const roomId = currentRoom.id
+  socket.emit('load newer messages', roomId, newest.dataset.id, ({ messages: page, hasMore, error }) => {
+    loadingNewer = false
+    if (error || roomId !== currentRoom?.id) return
+
+    page.forEach(message => {
+      if (!messages.querySelector(`li[data-id="${message.id}"]`)) messages.appendChild(createMessageElement(message))
+    })
+    renderSeenBy()
+    if (page.length) {
+      const lastId = page[page.length - 1].id
+      socket.auth.serverOffset = lastId
+      scheduleMarkRead(lastId)
+    }
+    setHasNewerMessages(hasMore)
+  })
+}
+
+// Cuando el usuario llega (casi) arriba del todo de la lista, cargamos mensajes más antiguos;
+// si llega abajo del todo y estamos viendo un trozo antiguo del historial, los más recientes.
+messages.addEventListener('scroll', () => {
+  if (!currentRoom) return
+  if (messages.scrollTop <= 50 && hasOlderMessages && !loadingOlder) loadOlderMessages()
+
+  const nearBottom = messages.scrollHeight - messages.scrollTop - messages.clientHeight <= 50
+  if (nearBottom && hasNewerMessages && !loadingNewer) loadNewerMessages()
+})
+
+// Volver al presente: entramos de nuevo en la sala y el servidor nos envía la página más reciente.
+jumpLatestButton.addEventListener('click', () => {
+  socket.emit('join room', currentRoom.id, ({ error }) => {
+    if (error) window.alert(error)
+  })
+})
+
+// Mientras escribimos, avisamos a los demás (como mucho una vez cada `TYPING_THROTTLE_MS`).
+input.addEventListener('input', () => {
+  if (!currentRoom || !input.value) return
+  const now = Date.now()
+  if (now - lastTypingSentAt < TYPING_THROTTLE_MS) return
+  lastTypingSentAt = now
+  socket.emit('typing', currentRoom.id)
+})
+
 // Delegación de eventos para los botones de borrar.
 // En lugar de añadir un listener a cada botón (que pueden no existir aún),
-// añadimos un único listener al contenedor padre (`messages`).
-messages.addEventListener('click', (e) => {
+// añadimos un único listener a cada contenedor de mensajes (la sala y el panel del hilo).
+const onMessageListClick = (e) => {
   // Verificamos si el elemento clickeado (`e.target`) es un botón de borrar.
   if (e.target.classList.contains('delete-button')) {
     const messageId = e.target.dataset.id // Obtenemos el ID del mensaje del botón.
     // Emitimos un evento 'delete message' al servidor con el ID del mensaje a borrar.
     socket.emit('delete message', messageId)
   }
+
+  // Botón de editar: pedimos el nuevo texto partiendo del actual.
+  if (e.target.classList.contains('edit-button')) {
+    const messageId = e.target.dataset.id
+    const current = e.target.closest('li').querySelector('.message-content').dataset.content
+    const content = window.prompt('Editar mensaje:', current)
+    if (content === null || content === current || !content.trim()) return
+
+    socket.emit('edit message', messageId, content, ({ error }) => {
+      if (error) window.alert(error)
+    })
+  }
+
+  // Reacciones: un emoji existente (o de la paleta) pone o quita la nuestra.
+  // El repintado llega con 'reaction updated', igual que para los demás.
+  if (e.target.classList.contains('reaction')) {
+    socket.emit('toggle reaction', e.target.dataset.id, e.target.dataset.emoji, ({ error }) => {
+      if (error) window.alert(error)
+    })
+  }
+
+  if (e.target.classList.contains('add-reaction-button')) {
+    toggleReactionPicker(e.target)
+  }
+
+  // Botón de reintentar un mensaje que no se pudo enviar.
+  if (e.target.classList.contains('retry-button')) {
+    deliverMessage(e.target.closest('li'))
+  }
+
+  // Marca "(editado)": mostramos u ocultamos las versiones anteriores.
+  if (e.target.classList.contains('edited-marker')) {
+    toggleRevisions(e.target)
+  }
+
+  // Botón de respuestas: abrimos el hilo del mensaje en el panel lateral.
+  if (e.target.classList.contains('thread-button')) {
+    openThread(e.target.dataset.id)
+  }
+}
+
+messages.addEventListener('click', onMessageListClick)
+threadPanel.addEventListener('click', onMessageListClick)
+
+// --- Hilos de Respuestas ---
+
+/**
+ * Añade una respuesta al panel del hilo, si no la tenemos ya.
+ * @param {object} reply - La respuesta tal y como la envía el servidor.
+ */
+const appendThreadReply = (reply) => {
+  if (threadMessages.querySelector(`li[data-id="${reply.id}"]`)) return
+  // Si es una nuestra que aún estaba pendiente, la sustituimos por la definitiva.
+  if (confirmPending(reply)) return
+  threadMessages.appendChild(createMessageElement(reply))
+  threadMessages.scrollTop = threadMessages.scrollHeight
+}
+
+/**
+ * Pide al servidor las respuestas del hilo abierto posteriores a la última que tenemos
+ * (todas, si aún no tenemos ninguna) y sigue pidiendo mientras queden más.
+ */
+const loadThread = () => {
+  const parentId = openThreadId
+  const newest = [...threadMessages.querySelectorAll('li[data-id]')].pop()
+  socket.emit('load thread', parentId, newest?.dataset.id ?? null, ({ parent, replies, hasMore, error }) => {
+    if (parentId !== openThreadId) return
+    if (error) {
+      window.alert(error)
+      return closeThread()
+    }
+    threadParent.replaceChildren(createMessageElement(parent))
+    replies.forEach(appendThreadReply)
+    // Nuestras respuestas pendientes van detrás de todas las demás.
+    if (hasMore) loadThread()
+    else renderOutbox(threadMessages, parentId)
+  })
+}
+
+/**
+ * Abre el hilo de un mensaje en el panel lateral.
+ * @param {string} parentId - El ID del mensaje que abre el hilo.
+ */
+const openThread = (parentId) => {
+  if (parentId === openThreadId) return
+  openThreadId = parentId
+  threadParent.innerHTML = ''
+  threadMessages.innerHTML = ''
+  threadPanel.hidden = false
+  loadThread()
+}
+
+/**
+ * Cierra el panel del hilo.
+ */
+const closeThread = () => {
+  openThreadId = null
+  threadPanel.hidden = true
+}
+
+closeThreadButton.addEventListener('click', closeThread)
+
+// Responder en el hilo abierto. Como los mensajes de la sala, la respuesta se pinta como pendiente y
+// pasa por la bandeja de salida (ver `queueMessage`); nos llega de vuelta como 'chat message' (con `parentId`).
+threadForm.addEventListener('submit', (e) => {
+  e.preventDefault()
+  if (!threadInput.value || !openThreadId) return
+
+  const item = createPendingElement(crypto.randomUUID(), threadInput.value, [], null, openThreadId)
+  threadMessages.appendChild(item)
+  threadMessages.scrollTop = threadMessages.scrollHeight
+  queueMessage(item)
+  threadInput.value = ''
+})
+
+// --- Manejo de las Salas desde el DOM ---
+
+/**
+ * Cambia a otra sala sin recargar la página.
+ * @param {string} roomId - El ID de la sala a la que queremos entrar.
+ */
+const switchRoom = (roomId) => {
+  if (roomId === currentRoom?.id) return
+  // El servidor nos saca de la sala actual, nos mete en la nueva y nos envía
+  // 'room joined' seguido de su historial.
+  socket.emit('join room', roomId, ({ error }) => {
+    if (error) window.alert(error)
+  })
+}
+
+// Delegación de eventos: un único listener para todas las salas y otro para todas las conversaciones.
+const onSidebarClick = (e) => {
+  const item = e.target.closest('li[data-room-id]')
+  if (item) switchRoom(item.dataset.roomId)
+}
+roomList.addEventListener('click', onSidebarClick)
+conversationList.addEventListener('click', onSidebarClick)
+
+// Crear una sala nueva y entrar en ella.
+createRoomForm.addEventListener('submit', (e) => {
+  e.preventDefault()
+  const name = createRoomInput.value.trim()
+  if (!name) return
+
+  socket.emit('create room', name, ({ room, error }) => {
+    if (error) return window.alert(error)
+    createRoomInput.value = ''
+    addRoomToSidebar(room)
+    switchRoom(room.id)
+  })
+})
+
+// Iniciar una conversación privada. Se pueden indicar varios usuarios separados por comas
+// para crear un grupo pequeño.
+startConversationForm.addEventListener('submit', (e) => {
+  e.preventDefault()
+  const usernames = startConversationInput.value.split(',').map(name => name.trim()).filter(Boolean)
+  if (!usernames.length) return
+
+  socket.emit('start conversation', usernames, ({ room, error }) => {
+    if (error) return window.alert(error)
+    startConversationInput.value = ''
+    switchRoom(room.id)
+  })
+})
+
+// Archivar la sala actual.
+archiveRoomButton.addEventListener('click', () => {
+  if (!currentRoom || !window.confirm(`¿Archivar la sala # ${currentRoom.name}?`)) return
+
+  socket.emit('archive room', currentRoom.id, ({ error }) => {
+    if (error) window.alert(error)
+  })
+})
+
+// --- Búsqueda de Mensajes ---
+const searchForm = document.getElementById('search-form')
+const searchResults = document.getElementById('search-results')
+const searchMoreButton = document.getElementById('search-more-button')
+
+// Los parámetros de la última búsqueda y la página que mostramos, para pedir la siguiente.
+let searchParams = null
+let searchPage = 1
+
+/**
+ * Crea el elemento de un resultado de búsqueda. El fragmento llega troceado desde el servidor:
+ * las partes que coinciden con la búsqueda van dentro de `<mark>`. Todo se pinta con `textContent`.
+ * @param {object} result - El resultado ({ id, user, timestamp, room, snippet }).
+ * @returns {HTMLLIElement}
+ */
+const createSearchResultElement = ({ id, parentId, user, timestamp, room, snippet }) => {
+  const item = document.createElement('li')
+  item.dataset.id = id
+  // Si es una respuesta, al pulsarla abriremos también su hilo.
+  if (parentId) item.dataset.parentId = parentId
+
+  const header = document.createElement('small')
+  const time = new Date(timestamp).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })
+  header.textContent = `${roomLabel(room)} · ${user} · ${time}`
+
+  const body = document.createElement('p')
+  snippet.forEach(({ text, match }) => {
+    const part = document.createElement(match ? 'mark' : 'span')
+    part.textContent = text
+    body.appendChild(part)
+  })
+
+  item.append(header, body)
+  return item
+}
+
+/**
+ * Pide al servidor una página de resultados de la búsqueda actual y la añade a la lista.
+ */
+const runSearch = () => {
+  fetch(`/search?${new URLSearchParams({ ...searchParams, page: searchPage })}`)
+    .then(res => res.json())
+    .then(({ results, hasMore, error }) => {
+      if (error) return window.alert(error)
+      if (searchPage === 1 && !results.length) {
+        const empty = document.createElement('li')
+        empty.textContent = 'No hay resultados.'
+        searchResults.appendChild(empty)
+      }
+      results.forEach(result => searchResults.appendChild(createSearchResultElement(result)))
+      searchMoreButton.hidden = !hasMore
+    })
+    .catch(error => {
+      console.error('Error al buscar:', error)
+    })
+}
+
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault()
+  // Solo enviamos los filtros que se han rellenado.
+  searchParams = Object.fromEntries(
+    [...new FormData(searchForm)].filter(([, value]) => value.trim())
+  )
+  searchPage = 1
+  searchResults.innerHTML = ''
+  runSearch()
+})
+
+searchMoreButton.addEventListener('click', () => {
+  searchPage++
+  runSearch()
+})
+
+// Al pulsar un resultado saltamos a su sala y vemos el mensaje rodeado de los que lo acompañaban.
+searchResults.addEventListener('click', (e) => {
+  const item = e.target.closest('li[data-id]')
+  if (!item) return
+  socket.emit('jump to message', item.dataset.id, ({ error }) => {
+    if (error) return window.alert(error)
+    if (item.dataset.parentId) openThread(item.dataset.parentId)
+  })
+})
+
+// --- Panel de Moderación ---
+// Solo existe en la página si somos moderadores o administradores (lo decide el servidor al renderizar).
+const moderationForm = document.getElementById('moderation-form')
+const auditLogButton = document.getElementById('audit-log-button')
+const auditLog = document.getElementById('audit-log')
+
+moderationForm?.addEventListener('submit', (e) => {
+  e.preventDefault()
+  const target = document.getElementById('moderation-username').value.trim()
+  // El valor de cada opción es "acción" o "acción:argumento" (por ejemplo "mute:60" o "role:admin").
+  const [action, argument] = document.getElementById('moderation-action').value.split(':')
+
+  const onResult = ({ error }) => {
+    if (error) return window.alert(error)
+    showNotice(`Acción aplicada a ${target}.`)
+  }
+
+  if (action === 'mute') socket.emit('mute user', target, Number(argument), onResult)
+  if (action === 'unmute') socket.emit('unmute user', target, onResult)
+  if (action === 'ban') socket.emit('ban user', target, onResult)
+  if (action === 'unban') socket.emit('unban user', target, onResult)
+  if (action === 'role') socket.emit('set role', target, argument, onResult)
+})
+
+auditLogButton?.addEventListener('click', () => {
+  socket.emit('audit log', ({ entries, error }) => {
+    if (error) return window.alert(error)
+
+    auditLog.innerHTML = ''
+    entries.forEach(({ action, actor, target, createdAt }) => {
+      const item = document.createElement('li')
+      const time = new Date(createdAt).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })
+      item.textContent = `${time} · ${actor} → ${action} → ${target}`
+      auditLog.appendChild(item)
+    })
+  })
 })
 
 // --- Lógica para Cerrar Sesión ---
@@ -144,3 +1646,44 @@ logoutButton.addEventListener('click', () => {
     console.error('Error al cerrar sesión:', error)
   })
 })
+
+// Cerrar la sesión en todos los navegadores y dispositivos del usuario.
+const logoutAllButton = document.getElementById('logout-all-button')
+
+logoutAllButton.addEventListener('click', () => {
+  if (!window.confirm('¿Cerrar la sesión en todos tus dispositivos?')) return
+
+  fetch('/logout-all', {
+    method: 'POST'
+  }).then(res => {
+    if (res.ok) window.location.href = '/'
+  }).catch(error => {
+    console.error('Error al cerrar las sesiones:', error)
+  })
+})
+
+// --- Renovación de la Sesión ---
+
+// El JWT de acceso dura pocos minutos. Mientras el socket está abierto no importa, pero si se
+// reconecta con el JWT ya caducado el servidor rechaza el handshake ('connect_error').
+// En ese caso pedimos uno nuevo a `/refresh` (usando el refresh token de la cookie) y reconectamos.
+// Si la sesión ya no es válida (caducada o revocada), volvemos a la página de inicio de sesión.
+socket.on('connect_error', (error) => {
+  if (!error.message.startsWith('Error de autenticación')) return
+
+  fetch('/refresh', {
+    method: 'POST'
+  }).then(res => {
+    if (res.ok) socket.connect()
+    else window.location.href = '/'
+  }).catch(() => {
+    // Sin red: lo intentamos de nuevo en unos segundos.
+    setTimeout(() => socket.connect(), 5000)
+  })
+})
+
+// Si es el servidor quien nos desconecta (por ejemplo, porque la sesión se ha cerrado desde
+// otro dispositivo), no tiene sentido reconectar: volvemos a la página de inicio.
+socket.on('disconnect', (reason) => {
+  if (reason === 'io server disconnect') window.location.href = '/'
+})
@@ -0,0 +1,156 @@
+// =============================================================================
+// --- RENDERIZADO SEGURO DEL TEXTO DE LOS MENSAJES ---
+// Convierte el texto de un mensaje en nodos del DOM, con un subconjunto de Markdown:
+//   **negrita**, *cursiva* o _cursiva_, `código`, bloques de código entre ```,
+//   [texto](https://enlace) y enlaces automáticos para las URLs sueltas.
+// Además resalta las menciones (`@usuario`) que el servidor ha dado por buenas.
+//
+// IMPORTANTE: Medida de seguridad.
+// Nunca se usa `innerHTML`: todo el texto del usuario entra en el DOM con `createTextNode`,
+// así que escribir `<script>` o `<img onerror=...>` solo muestra ese texto tal cual.
+// Los enlaces solo se crean si su dirección es http(s) o mailto: un `javascript:` se queda como texto.
+// =============================================================================
+
+// Bloques de código: ``` (con un nombre de lenguaje opcional, que ignoramos) hasta el siguiente ```.
+const CODE_BLOCK = /```[^\n`]*\n?([\s\S]*?)```/g
+
+// Elementos en línea, en orden de prioridad. Cada alternativa tiene su propio grupo de captura:
+// 1. `código`  2. **negrita**  3. *cursiva*  4. _cursiva_  5-6. [texto](url)  7. URL suelta  8. @mención
+// La mención debe coincidir con `MENTION_PATTERN` de `message-repository.js`.
+const INLINE = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*(.+?)\\*\\*',
+  '\\*([^*\\s](?:[^*\\n]*[^*\\s])?)\\*',
+  '(?<![\\p{L}\\p{N}_])_([^_\\s](?:[^_\\n]*[^_\\s])?)_(?![\\p{L}\\p{N}_])',
+  '\\[([^\\]\\n]+)\\]\\(([^()\\s]+)\\)',
+  '(https?:\\/\\/[^\\s<>"]+)',
+  '(?<![\\p{L}\\p{N}_@])@([\\p{L}\\p{N}_-]+(?:\\.[\\p{L}\\p{N}_-]+)*)'
+].join('|'), 'gu')
+
+// Signos que suelen cerrar una frase y casi nunca forman parte de una URL escrita en un mensaje.
+const URL_TRAILING = /[.,;:!?)\]'"]+$/
+
+// Protocolos que se permiten en los enlaces.
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:']
+
+/**
+ * Devuelve la dirección de un enlace si es segura, o `null` si no lo es (o no es una URL absoluta).
+ * @param {string} url - La dirección escrita en el mensaje.
+ * @returns {string|null}
+ */
+const safeHref = (url) => {
+  try {
+    const parsed = new URL(url)
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Crea un enlace que se abre en otra pestaña sin dar acceso a esta (`noopener`).
+ * @param {string} href - La dirección, ya comprobada con `safeHref`.
+ * @param {Node[]|string} content - El texto del enlace.
+ * @returns {HTMLAnchorElement}
+ */
+const createLink = (href, content) => {
+  const link = document.createElement('a')
+  link.href = href
+  link.target = '_blank'
+  link.rel = 'noopener noreferrer nofollow'
+  link.append(...[].concat(content))
+  return link
+}
+
+/**
+ * Crea un elemento con los nodos indicados dentro.
+ * @param {string} tag - La etiqueta.
+ * @param {Node[]} children - El contenido.
+ * @returns {HTMLElement}
+ */
+const wrap = (tag, children) => {
+  const element = document.createElement(tag)
+  element.append(...children)
+  return element
+}
+
+/**
+ * Convierte una línea (o un trozo) de texto sin bloques de código en nodos.
+ * @param {string} text - El texto.
+ * @param {object} context - Las menciones válidas y el usuario actual (ver `renderMarkdown`).
+ * @param {boolean} [insideLink=false] - Dentro de un enlace no se crean otros enlaces ni menciones.
+ * @returns {Node[]}
+ */
+const renderInline = (text, context, insideLink = false) => {
+  const nodes = []
+  let last = 0
+
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, code, bold, italic, underscored, linkText, linkUrl, url, mention] = match
+    let node = null
+    let consumed = whole
+
+    if (code !== undefined) {
+      node = wrap('code', [code])
+    } else if (bold !== undefined) {
+      node = wrap('strong', renderInline(bold, context, insideLink))
+    } else if (italic !== undefined || underscored !== undefined) {
+      node = wrap('em', renderInline(italic ?? underscored, context, insideLink))
+    } else if (linkText !== undefined && !insideLink) {
+      const href = safeHref(linkUrl)
+      // Un enlace con una dirección no permitida se muestra como texto, sin enlace.
+      node = href ? createLink(href, renderInline(linkText, context, true)) : null
+    } else if (url !== undefined && !insideLink) {
+      consumed = url.replace(URL_TRAILING, '')
+      const href = safeHref(consumed)
+      node = href ? createLink(href, consumed) : null
+    } else if (mention !== undefined && !insideLink) {
+      const username = context.mentions.get(mention.toLowerCase())
+      if (username) {
+        node = wrap('span', [`@${mention}`])
+        node.classList.add('mention')
+        if (username === context.selfUsername) node.classList.add('mention-self')
+        node.title = username
+      }
+    }
+
+    if (!node) continue
+    if (match.index > last) nodes.push(document.createTextNode(text.slice(last, match.index)))
+    nodes.push(node)
+    last = match.index + consumed.length
+  }
+
+  if (last < text.length) nodes.push(document.createTextNode(text.slice(last)))
+  return nodes
+}
+
+/**
+ * Convierte el texto de un mensaje en nodos del DOM listos para añadir a la página.
+ * Los saltos de línea se respetan con CSS (`white-space: pre-wrap`).
+ * @param {string} text - El texto del mensaje, tal y como lo escribió su autor.
+ * @param {object} [options]
+ * @param {string[]} [options.mentions] - Los usuarios mencionados que ha validado el servidor.
+ *   Un `@nombre` que no esté aquí se muestra como texto normal.
+ * @param {string} [options.selfUsername] - El usuario actual, para resaltar sus menciones aparte.
+ * @returns {DocumentFragment}
+ */
+export const renderMarkdown = (text, { mentions = [], selfUsername = null } = {}) => {
+  const context = {
+    // Las menciones se comparan sin distinguir mayúsculas ("@Ana" es "ana").
+    mentions: new Map(mentions.map(username => [username.toLowerCase(), username])),
+    selfUsername
+  }
+  const fragment = document.createDocumentFragment()
+  let last = 0
+
+  for (const match of text.matchAll(CODE_BLOCK)) {
+    fragment.append(...renderInline(text.slice(last, match.index), context))
+    fragment.append(wrap('pre', [wrap('code', [match[1].replace(/\n$/, '')])]))
+    last = match.index + match[0].length
+    // El bloque ya ocupa su propia línea: el salto que lo sigue sobraría.
+    if (text[last] === '\n') last++
+  }
+  fragment.append(...renderInline(text.slice(last), context))
+
+  return fragment
+}
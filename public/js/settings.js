@@ -0,0 +1,198 @@
+// =============================================================================
+// --- LÓGICA DEL CLIENTE PARA LOS AJUSTES DE LA CUENTA ---
+// Cada formulario de `settings.ejs` llama a su ruta de `/account/...` y muestra el resultado
+// en su `.form-message`. El servidor vuelve a validarlo todo: aquí solo damos avisos rápidos.
+// =============================================================================
+
+const $ = (selector) => document.querySelector(selector)
+
+/**
+ * Muestra el resultado de una acción bajo su formulario.
+ * @param {HTMLFormElement} form - El formulario.
+ * @param {string} text - El mensaje.
+ * @param {boolean} [ok=true] - Si ha ido bien (verde) o mal (rojo).
+ */
+const showResult = (form, text, ok = true) => {
+  const span = form.querySelector('.form-message')
+  span.textContent = text
+  span.style.color = ok ? 'green' : 'red'
+}
+
+/**
+ * Hace una petición a la API de la cuenta y devuelve su respuesta en JSON.
+ * @param {string} url - La ruta.
+ * @param {object} options - Las opciones de `fetch`. Si `json` existe, se envía como cuerpo JSON.
+ * @returns {Promise<object>} - El cuerpo de la respuesta.
+ * @throws {Error} - Con el mensaje del servidor si la respuesta no es correcta.
+ */
+const request = async (url, { json, ...options }) => {
+  if (json) {
+    options.headers = { 'Content-Type': 'application/json' }
+    options.body = JSON.stringify(json)
+  }
+  const res = await fetch(url, options)
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(data.error ?? 'No se ha podido completar la acción.')
+  return data
+}
+
+// --- Perfil: nombre visible y avatar ---
+const profileForm = $('#profile-form')
+const avatarInput = $('#avatar-input')
+const avatarPreview = $('#avatar-preview')
+const removeAvatarButton = $('#remove-avatar-button')
+
+/**
+ * Pinta el avatar actual (o lo oculta si no hay).
+ * @param {object} profile - El perfil devuelto por el servidor ({ avatarUrl }).
+ */
+const renderAvatar = ({ avatarUrl }) => {
+  avatarPreview.hidden = !avatarUrl
+  removeAvatarButton.hidden = !avatarUrl
+  if (avatarUrl) avatarPreview.src = avatarUrl
+}
+
+profileForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  try {
+    // Si se ha elegido una imagen, la subimos primero: el cuerpo es el archivo tal cual.
+    const [file] = avatarInput.files
+    if (file) {
+      const { profile } = await request('/account/avatar', { method: 'PUT', headers: { 'Content-Type': file.type }, body: file })
+      renderAvatar(profile)
+      avatarInput.value = ''
+    }
+    await request('/account/profile', { method: 'PATCH', json: { displayName: $('#display-name').value } })
+    showResult(profileForm, 'Perfil guardado.')
+  } catch (error) {
+    showResult(profileForm, error.message, false)
+  }
+})
+
+removeAvatarButton.addEventListener('click', async () => {
+  try {
+    renderAvatar((await request('/account/avatar', { method: 'DELETE' })).profile)
+    showResult(profileForm, 'Avatar eliminado.')
+  } catch (error) {
+    showResult(profileForm, error.message, false)
+  }
+})
+
+// --- Contraseña ---
+const passwordForm = $('#password-form')
+
+passwordForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  const newPassword = $('#new-password').value
+  if (newPassword !== $('#confirm-password').value) return showResult(passwordForm, 'Las contraseñas no coinciden.', false)
+
+  try {
+    const { message } = await request('/account/password', {
+      method: 'POST',
+      json: { currentPassword: $('#current-password').value, newPassword }
+    })
+    passwordForm.reset()
+    showResult(passwordForm, message)
+  } catch (error) {
+    showResult(passwordForm, error.message, false)
+  }
+})
+
+// --- Verificación en dos pasos ---
+const twoFactorSetupForm = $('#two-factor-setup-form')
+const twoFactorEnableForm = $('#two-factor-enable-form')
+const twoFactorDisableForm = $('#two-factor-disable-form')
+
+twoFactorSetupForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  try {
+    const { secret, otpauthUri } = await request('/account/2fa/setup', {
+      method: 'POST',
+      json: { password: $('#two-factor-password').value }
+    })
+    // La URI `otpauth://` abre la app de autenticación en el móvil; en el ordenador se puede copiar la clave.
+    $('#two-factor-uri').href = otpauthUri
+    $('#two-factor-secret').textContent = secret.match(/.{1,4}/g).join(' ')
+    twoFactorSetupForm.reset()
+    twoFactorSetupForm.hidden = true
+    twoFactorEnableForm.hidden = false
+  } catch (error) {
+    showResult(twoFactorSetupForm, error.message, false)
+  }
+})
+
+twoFactorEnableForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  try {
+    const { recoveryCodes } = await request('/account/2fa/enable', {
+      method: 'POST',
+      json: { code: $('#two-factor-enable-code').value.trim() }
+    })
+    const list = $('#recovery-codes-list')
+    list.replaceChildren(...recoveryCodes.map(code => {
+      const item = document.createElement('li')
+      item.textContent = code
+      return item
+    }))
+    twoFactorEnableForm.reset()
+    twoFactorEnableForm.hidden = true
+    $('#recovery-codes').hidden = false
+    twoFactorDisableForm.hidden = false
+  } catch (error) {
+    showResult(twoFactorEnableForm, error.message, false)
+  }
+})
+
+twoFactorDisableForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  try {
+    const { message } = await request('/account/2fa/disable', {
+      method: 'POST',
+      json: { password: $('#two-factor-disable-password').value, code: $('#two-factor-disable-code').value.trim() }
+    })
+    twoFactorDisableForm.reset()
+    twoFactorDisableForm.hidden = true
+    $('#recovery-codes').hidden = true
+    twoFactorSetupForm.hidden = false
+    showResult(twoFactorSetupForm, message)
+  } catch (error) {
+    showResult(twoFactorDisableForm, error.message, false)
+  }
+})
+
+// --- Nombre de usuario ---
+const renameForm = $('#rename-form')
+
+renameForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  try {
+    const { message } = await request('/account/rename', {
+      method: 'POST',
+      json: { newUsername: $('#new-username').value.trim(), password: $('#rename-password').value }
+    })
+    showResult(renameForm, `${message} Recargando...`)
+    // La página muestra el nombre en varios sitios: la recargamos con la sesión nueva.
+    setTimeout(() => window.location.reload(), 1200)
+  } catch (error) {
+    showResult(renameForm, error.message, false)
+  }
+})
+
+// --- Borrar la cuenta ---
+const deleteForm = $('#delete-form')
+
+deleteForm.addEventListener('submit', async (e) => {
+  e.preventDefault()
+  const messages = new FormData(deleteForm).get('messages')
+  const warning = messages === 'remove'
+    ? '¿Seguro? Se borrarán tu cuenta y todos tus mensajes.'
+    : '¿Seguro? Se borrará tu cuenta y tus mensajes quedarán sin autor.'
+  if (!window.confirm(warning)) return
+
+  try {
+    await request('/account', { method: 'DELETE', json: { password: $('#delete-password').value, messages } })
+    window.location.href = '/'
+  } catch (error) {
+    showResult(deleteForm, error.message, false)
+  }
+})
@@ -0,0 +1,92 @@
+// --- Limitador de Frecuencia (Rate Limiting) ---
+
+// Cuenta cuántas veces ocurre algo por "clave" (un usuario, una IP, un socket...) dentro de una
+// ventana de tiempo y bloquea la clave cuando supera el límite, hasta que la ventana termina.
+// Se usa para frenar los ataques de fuerza bruta contra `/login`, los registros masivos y
+// el envío de mensajes en ráfaga.
+//
+// Los contadores viven en memoria: se pierden al reiniciar el servidor y no se comparten
+// entre procesos, lo que es suficiente para frenar abusos desde un mismo cliente.
+
+/**
+ * Error que se lanza cuando se supera un límite. `retryAfterMs` indica cuánto hay que esperar.
+ */
+export class TooManyAttemptsError extends Error {
+  /**
+   * @param {string} message - El mensaje para el usuario.
+   * @param {number} retryAfterMs - Milisegundos hasta que se pueda volver a intentar.
+   */
+  constructor (message, retryAfterMs) {
+    super(message)
+    this.name = 'TooManyAttemptsError'
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {object} params
+   * @param {number} params.limit - Cuántas veces se permite en cada ventana.
+   * @param {number} params.windowMs - Duración de la ventana, en milisegundos.
+   */
+  constructor ({ limit, windowMs }) {
+    this.limit = Number(limit)
+    this.windowMs = Number(windowMs)
+    // clave -> { count, resetAt }
+    this.entries = new Map()
+
+    // Cada cierto tiempo olvidamos las ventanas ya terminadas, para que el mapa no crezca sin fin.
+    // `unref` evita que este temporizador mantenga vivo el proceso.
+    setInterval(() => {
+      const now = Date.now()
+      for (const [key, entry] of this.entries) {
+        if (entry.resetAt <= now) this.entries.delete(key)
+      }
+    }, this.windowMs).unref()
+  }
+
+  /**
+   * Devuelve cuánto falta para que una clave pueda volver a intentarlo (0 si no está bloqueada).
+   * No cuenta como un intento.
+   * @param {string} key - La clave.
+   * @returns {number} - Milisegundos de espera.
+   */
+  retryAfter (key) {
+    const entry = this.entries.get(key)
+    if (!entry || entry.resetAt <= Date.now() || entry.count < this.limit) return 0
+    return entry.resetAt - Date.now()
+  }
+
+  /**
+   * Cuenta un intento para una clave. La ventana empieza con el primer intento.
+   * @param {string} key - La clave.
+   */
+  hit (key) {
+    const now = Date.now()
+    const entry = this.entries.get(key)
+    if (!entry || entry.resetAt <= now) {
+      this.entries.set(key, { count: 1, resetAt: now + this.windowMs })
+    } else {
+      entry.count++
+    }
+  }
+
+  /**
+   * Cuenta un intento y lanza `TooManyAttemptsError` si la clave ya había agotado su límite.
+   * @param {string} key - La clave.
+   * @param {string} message - El mensaje del error.
+   */
+  consume (key, message) {
+    const retryAfterMs = this.retryAfter(key)
+    if (retryAfterMs) throw new TooManyAttemptsError(message, retryAfterMs)
+    this.hit(key)
+  }
+
+  /**
+   * Olvida los intentos de una clave (por ejemplo, tras un login correcto).
+   * @param {string} key - La clave.
+   */
+  reset (key) {
+    this.entries.delete(key)
+  }
+}
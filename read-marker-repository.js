@@ -0,0 +1,84 @@
+// --- Repositorio de Marcadores de Lectura ---
+
+// Guarda, para cada usuario y cada sala, el ID del último mensaje que ese usuario ha leído.
+// Como vive en MongoDB (y no en el navegador), los contadores de "no leídos" son
+// correctos aunque el usuario abra el chat desde otro dispositivo.
+// Los mismos marcadores sirven para mostrar "visto por..." en los mensajes: un mensaje
+// lo ha visto todo usuario cuyo `lastReadId` es igual o posterior a él.
+
+import { ObjectId } from 'mongodb'
+import { db } from './db.js'
+
+const readMarkers = db.collection('read_markers')
+
+export class ReadMarkerRepository {
+  /**
+   * Crea los índices de la colección. Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    // Un único marcador por usuario y sala.
+    await readMarkers.createIndex({ roomId: 1, username: 1 }, { unique: true })
+  }
+
+  /**
+   * Marca como leídos todos los mensajes de una sala hasta `messageId` (incluido).
+   * El marcador nunca retrocede: si ya habíamos leído un mensaje posterior, no cambia.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala.
+   * @param {string} params.username - El usuario que ha leído.
+   * @param {string} params.messageId - El ID del último mensaje leído.
+   * @returns {Promise<boolean>} - `true` si el marcador ha avanzado (hay que avisar a los demás).
+   */
+  static async markRead ({ roomId, username, messageId }) {
+    if (!ObjectId.isValid(messageId)) return false
+
+    const result = await readMarkers.updateOne(
+      { roomId, username },
+      // `$max` solo actualiza si el nuevo ID es mayor (los ObjectId crecen con el tiempo).
+      { $max: { lastReadId: new ObjectId(messageId) } },
+      { upsert: true }
+    )
+    // `$max` no modifica nada si el marcador ya estaba en ese mensaje o en uno posterior.
+    return result.modifiedCount > 0 || result.upsertedCount > 0
+  }
+
+  /**
+   * Devuelve los marcadores de lectura de todos los usuarios de una sala.
+   * @param {ObjectId} roomId - La sala.
+   * @returns {Promise<{ username: string, lastReadId: string }[]>}
+   */
+  static async listForRoom (roomId) {
+    const markers = await readMarkers.find({ roomId }).toArray()
+    return markers.map(({ username, lastReadId }) => ({ username, lastReadId: lastReadId.toString() }))
+  }
+
+  /**
+   * Devuelve el ID del último mensaje leído por un usuario en una sala, o `null` si no ha leído nada.
+   * @param {object} params
+   * @param {ObjectId} params.roomId - La sala.
+   * @param {string} params.username - El usuario.
+   * @returns {Promise<ObjectId|null>}
+   */
+  static async findLastRead ({ roomId, username }) {
+    const marker = await readMarkers.findOne({ roomId, username })
+    return marker?.lastReadId ?? null
+  }
+
+  /**
+   * Cambia el nombre de un usuario en sus marcadores.
+   * @param {object} params
+   * @param {string} params.from - El nombre anterior.
+   * @param {string} params.to - El nombre nuevo.
+   */
+  static async renameUser ({ from, to }) {
+    await readMarkers.updateMany({ username: from }, { $set: { username: to } })
+  }
+
+  /**
+   * Borra todos los marcadores de un usuario (al borrar su cuenta).
+   * @param {string} username - El usuario.
+   */
+  static async removeUser (username) {
+    await readMarkers.deleteMany({ username })
+  }
+}
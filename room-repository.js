@@ -0,0 +1,368 @@
+// --- Repositorio de Salas de Chat (Canales y Conversaciones Privadas) ---
+
+// Igual que `user-repository.js`, este archivo encapsula el acceso a los datos,
+// en este caso de las salas del chat, que viven en MongoDB.
+// `index.js` nunca consulta la colección `rooms` directamente: siempre pasa por aquí.
+//
+// Hay dos tipos de sala:
+// - 'channel': un canal público con nombre, visible para todos los usuarios.
+// - 'direct': una conversación privada entre 2 o más usuarios concretos (`members`).
+//   Solo sus miembros pueden leerla o escribir en ella.
+
+import { ObjectId } from 'mongodb'
+import { db } from './db.js'
+import { UserRepository } from './user-repository.js'
+
+const rooms = db.collection('rooms')
+
+// Nombre de la sala que existe siempre y a la que entra un usuario por defecto.
+export const DEFAULT_ROOM_NAME = 'general'
+
+// Número máximo de participantes de una conversación privada (incluido quien la inicia).
+export const MAX_DIRECT_MEMBERS = 8
+
+/**
+ * Devuelve el nombre del "canal" de Socket.IO asociado a una sala.
+ * Todos los sockets que están dentro de una sala se unen a este canal,
+ * así podemos emitir con `io.to(roomChannel(id))` solo a quienes la están viendo.
+ * @param {string|ObjectId} roomId - El ID de la sala.
+ * @returns {string} - El nombre del canal, por ejemplo `room:64f0c2...`.
+ */
+export const roomChannel = (roomId) => `room:${roomId}`
+
+export class RoomRepository {
+  /**
+   * Prepara la colección: crea los índices y se asegura de que exista la sala por defecto.
+   * Se llama una sola vez al arrancar el servidor.
+   * @returns {Promise<object>} - La sala por defecto.
+   */
+  static async init () {
+    // Las salas creadas antes de que existieran las conversaciones privadas son todas canales.
+    await rooms.updateMany({ type: { $exists: false } }, { $set: { type: 'channel' } })
+
+    // El nombre de un canal es único sin distinguir mayúsculas ("General" y "general" son el mismo).
+    // Las conversaciones privadas no tienen nombre, por eso el índice solo se aplica a los canales.
+    await rooms.createIndex(
+      { name: 1 },
+      { unique: true, collation: { locale: 'en', strength: 2 }, partialFilterExpression: { type: 'channel' } }
+    )
+
+    // Entre los mismos participantes solo puede existir una conversación privada.
+    await rooms.createIndex(
+      { memberKey: 1 },
+      { unique: true, partialFilterExpression: { type: 'direct' } }
+    )
+    await rooms.createIndex({ members: 1, lastMessageAt: -1 })
+
+    // `upsert` crea la sala 'general' solo si todavía no existe.
+    await rooms.updateOne(
+      { type: 'channel', name: DEFAULT_ROOM_NAME },
+      { $setOnInsert: { createdBy: null, createdAt: new Date(), archived: false } },
+      { upsert: true }
+    )
+
+    return RoomRepository.findDefault()
+  }
+
+  /**
+   * Devuelve la sala por defecto ('general').
+   * @returns {Promise<object>}
+   */
+  static async findDefault () {
+    return rooms.findOne({ type: 'channel', name: DEFAULT_ROOM_NAME })
+  }
+
+  /**
+   * Busca una sala por su ID. Devuelve `null` si el ID no es válido o la sala no existe.
+   * @param {string} roomId - El ID de la sala.
+   * @returns {Promise<object|null>}
+   */
+  static async findById (roomId) {
+    if (!ObjectId.isValid(roomId)) return null
+    return rooms.findOne({ _id: new ObjectId(roomId) })
+  }
+
+  /**
+   * Lista los canales públicos, ordenados por nombre.
+   * @param {object} [params]
+   * @param {boolean} [params.includeArchived=false] - Si se deben incluir los canales archivados.
+   * @returns {Promise<object[]>}
+   */
+  static async list ({ includeArchived = false } = {}) {
+    const query = includeArchived ? { type: 'channel' } : { type: 'channel', archived: false }
+    return rooms.find(query).sort({ name: 1 }).toArray()
+  }
+
+  /**
+   * Lista las conversaciones privadas en las que participa un usuario,
+   * empezando por las que tienen actividad más reciente.
+   * @param {string} username - El usuario.
+   * @returns {Promise<object[]>}
+   */
+  static async listDirect (username) {
+    return rooms.find({ type: 'direct', members: username }).sort({ lastMessageAt: -1 }).toArray()
+  }
+
+  /**
+   * Lista todas las salas que un usuario puede ver: los canales no archivados
+   * y las conversaciones privadas en las que participa.
+   * @param {string} username - El usuario.
+   * @returns {Promise<object[]>}
+   */
+  static async listAccessible (username) {
+    return rooms.find({
+      $or: [{ type: 'channel', archived: false }, { type: 'direct', members: username }]
+    }).toArray()
+  }
+
+  /**
+   * Lista todas las salas, de cualquier tipo y también las archivadas.
+   * Solo para la exportación que hace un administrador.
+   * @returns {Promise<object[]>}
+   */
+  static async listAll () {
+    return rooms.find().toArray()
+  }
+
+  /**
+   * Restaura una sala de una exportación (ver `chat-export.js`). Si ya existe una equivalente
+   * (un canal con el mismo nombre, como 'general', que se crea al arrancar, o una conversación
+   * con los mismos participantes), se usa esa; si no, se crea con su `_id` original.
+   * @param {object} room - El documento de la sala exportada.
+   * @param {object} params
+   * @param {ObjectId} params.importId - La marca de la importación: la llevan las salas creadas, hasta
+   *   que se confirma (`commitImported`) o se deshace (`discardImported`).
+   * @returns {Promise<ObjectId>} - El ID de la sala en esta base de datos.
+   */
+  static async restore (room, { importId }) {
+    const existing = room.type === 'direct'
+      ? await rooms.findOne({ type: 'direct', memberKey: room.memberKey })
+      : await rooms.findOne({ type: 'channel', name: room.name }, { collation: { locale: 'en', strength: 2 } })
+    if (existing) return existing._id
+
+    await rooms.insertOne({ ...room, importId })
+    return room._id
+  }
+
+  /**
+   * Confirma las salas creadas por una importación que ha terminado bien: les quita la marca.
+   * @param {ObjectId} importId - La marca de la importación.
+   */
+  static async commitImported (importId) {
+    await rooms.updateMany({ importId }, { $unset: { importId: '' } })
+  }
+
+  /**
+   * Borra las salas creadas por una importación que ha fallado (las que ya existían no se tocan).
+   * @param {ObjectId} importId - La marca de la importación.
+   */
+  static async discardImported (importId) {
+    await rooms.deleteMany({ importId })
+  }
+
+  /**
+   * Comprueba si un usuario puede leer y escribir en una sala.
+   * Los canales son públicos; las conversaciones privadas, solo para sus miembros.
+   * @param {object} room - El documento de la sala.
+   * @param {string} username - El usuario.
+   * @returns {boolean}
+   */
+  static canAccess (room, username) {
+    if (room.type === 'direct') return room.members.includes(username)
+    return true
+  }
+
+  /**
+   * Comprueba si un usuario puede entrar en una sala para leerla. Como `canAccess`, pero además:
+   * - Un canal archivado ya no se puede abrir.
+   * - Una conversación privada archivada (cerrada al borrarse la cuenta de un miembro, ver `removeMember`)
+   *   sí: los que quedan pueden seguir leyéndola, aunque ya no escribir en ella.
+   * @param {object} room - El documento de la sala.
+   * @param {string} username - El usuario.
+   * @returns {boolean}
+   */
+  static canRead (room, username) {
+    if (room.archived && room.type !== 'direct') return false
+    return RoomRepository.canAccess(room, username)
+  }
+
+  /**
+   * Crea una nueva sala.
+   * @param {object} params
+   * @param {string} params.name - El nombre de la sala.
+   * @param {string} params.createdBy - El username de quien la crea.
+   * @returns {Promise<object>} - La sala recién creada.
+   */
+  static async create ({ name, createdBy }) {
+    Validation.name(name)
+
+    const room = { type: 'channel', name: name.trim(), createdBy, createdAt: new Date(), archived: false }
+
+    try {
+      const result = await rooms.insertOne(room)
+      return { _id: result.insertedId, ...room }
+    } catch (error) {
+      // 11000 es el código de MongoDB para "clave duplicada" (viola el índice único del nombre).
+      if (error.code === 11000) throw new Error(`La sala '${room.name}' ya existe.`)
+      throw error
+    }
+  }
+
+  /**
+   * Devuelve la conversación privada entre un grupo de usuarios, creándola si todavía no existe.
+   * @param {object} params
+   * @param {string} params.createdBy - El username de quien inicia la conversación.
+   * @param {string[]} params.usernames - Los demás participantes.
+   * @returns {Promise<{ room: object, created: boolean }>} - La conversación y si se acaba de crear.
+   */
+  static async findOrCreateDirect ({ createdBy, usernames }) {
+    Validation.usernames(usernames)
+
+    // 1. Todos los participantes deben ser usuarios registrados. Nos quedamos con el nombre tal y como
+    //    está guardado: algunos almacenes de usuarios no distinguen mayúsculas ("Ana" es "ana").
+    const found = []
+    const missing = []
+    for (const username of new Set(usernames)) {
+      const user = await UserRepository.findByUsername(username)
+      if (user) found.push(user.username)
+      else missing.push(username)
+    }
+    if (missing.length) throw new Error(`No existen los usuarios: ${missing.join(', ')}.`)
+
+    // 2. Normalizamos la lista: sin duplicados, incluyendo a quien la inicia y siempre en el mismo orden.
+    //    Así "ana + luis" y "luis + ana" son la misma conversación.
+    const members = [...new Set([createdBy, ...found])].sort()
+    if (members.length < 2) throw new Error('Una conversación necesita al menos otro participante.')
+    if (members.length > MAX_DIRECT_MEMBERS) throw new Error(`Una conversación admite como máximo ${MAX_DIRECT_MEMBERS} participantes.`)
+
+    // 3. `memberKey` identifica de forma única a este grupo de participantes.
+    const memberKey = members.join(',')
+    const existing = await rooms.findOne({ type: 'direct', memberKey })
+    if (existing) return { room: existing, created: false }
+
+    const room = { type: 'direct', members, memberKey, createdBy, createdAt: new Date(), lastMessageAt: new Date(), archived: false }
+    try {
+      const result = await rooms.insertOne(room)
+      return { room: { _id: result.insertedId, ...room }, created: true }
+    } catch (error) {
+      // Si otra petición la creó justo a la vez, el índice único lo impide: devolvemos la existente.
+      if (error.code === 11000) return { room: await rooms.findOne({ type: 'direct', memberKey }), created: false }
+      throw error
+    }
+  }
+
+  /**
+   * Registra que una sala acaba de recibir un mensaje (sirve para ordenar las conversaciones).
+   * @param {ObjectId} roomId - El ID de la sala.
+   */
+  static async touch (roomId) {
+    await rooms.updateOne({ _id: roomId }, { $set: { lastMessageAt: new Date() } })
+  }
+
+  /**
+   * Archiva una sala. Una sala archivada deja de aparecer en el listado y ya no admite mensajes,
+   * pero su historial se conserva.
+   * @param {object} params
+   * @param {string} params.roomId - El ID de la sala.
+   * @param {string} params.username - El usuario que intenta archivarla.
+   * @returns {Promise<object>} - La sala archivada.
+   */
+  static async archive ({ roomId, username }) {
+    const room = await RoomRepository.findById(roomId)
+    if (!room) throw new Error('La sala no existe.')
+    if (room.type === 'direct') throw new Error('Las conversaciones privadas no se pueden archivar.')
+    if (room.name === DEFAULT_ROOM_NAME) throw new Error('La sala por defecto no se puede archivar.')
+    if (room.createdBy !== username) throw new Error('Solo quien creó la sala puede archivarla.')
+    if (room.archived) return room
+
+    const archivedAt = new Date()
+    await rooms.updateOne({ _id: room._id }, { $set: { archived: true, archivedAt } })
+    return { ...room, archived: true, archivedAt }
+  }
+
+  /**
+   * Cambia el nombre de un usuario en las salas: en las que creó y en sus conversaciones privadas.
+   * @param {object} params
+   * @param {string} params.from - El nombre anterior.
+   * @param {string} params.to - El nombre nuevo.
+   */
+  static async renameMember ({ from, to }) {
+    await rooms.updateMany({ createdBy: from }, { $set: { createdBy: to } })
+
+    // `members` se guarda ordenado y `memberKey` depende de ese orden: hay que recalcularlos sala a sala.
+    // El nombre nuevo no estaba en uso, así que no puede chocar con otra conversación existente.
+    const direct = await rooms.find({ type: 'direct', members: from }).toArray()
+    for (const room of direct) {
+      const members = room.members.map(member => member === from ? to : member).sort()
+      // Las conversaciones cerradas por el borrado de una cuenta conservan su clave (ver `removeMember`).
+      const update = room.archived ? { members } : { members, memberKey: members.join(',') }
+      await rooms.updateOne({ _id: room._id }, { $set: update })
+    }
+  }
+
+  /**
+   * Saca de las salas a un usuario que ha borrado su cuenta.
+   * - Sus conversaciones privadas quedan archivadas (los demás pueden leerlas, pero no escribir)
+   *   y sin él entre sus miembros, para que nadie que se registre después con su nombre pueda leerlas.
+   *   Les damos una `memberKey` propia: los que quedan pueden empezar una conversación nueva entre ellos.
+   * - Los canales que creó se quedan sin creador, como la sala por defecto.
+   * @param {string} username - El usuario.
+   */
+  static async removeMember (username) {
+    await rooms.updateMany({ type: 'channel', createdBy: username }, { $set: { createdBy: null } })
+
+    const direct = await rooms.find({ type: 'direct', members: username }).toArray()
+    for (const room of direct) {
+      await rooms.updateOne(
+        { _id: room._id },
+        {
+          $pull: { members: username },
+          $set: { memberKey: `closed:${room._id}`, archived: true, archivedAt: room.archivedAt ?? new Date() }
+        }
+      )
+    }
+  }
+
+  /**
+   * Convierte un documento de sala en el objeto que enviamos a los clientes.
+   * @param {object} room - El documento de MongoDB.
+   * @returns {object}
+   */
+  static toPublic (room) {
+    return {
+      id: room._id.toString(),
+      type: room.type,
+      name: room.name,
+      members: room.members,
+      createdBy: room.createdBy,
+      archived: room.archived,
+      isDefault: room.type === 'channel' && room.name === DEFAULT_ROOM_NAME
+    }
+  }
+}
+
+/**
+ * Reglas de validación de los datos de una sala.
+ */
+class Validation {
+  /**
+   * Valida el nombre de la sala.
+   * @param {string} name - El nombre a validar.
+   */
+  static name (name) {
+    if (typeof name !== 'string') throw new Error('El nombre de la sala debe ser un texto.')
+    const trimmed = name.trim()
+    if (trimmed.length < 2 || trimmed.length > 30) throw new Error('El nombre de la sala debe tener entre 2 y 30 caracteres.')
+    if (!/^[\p{L}\p{N}_-]+$/u.test(trimmed)) throw new Error('El nombre de la sala solo puede contener letras, números, guiones y guiones bajos.')
+  }
+
+  /**
+   * Valida la lista de participantes de una conversación privada.
+   * @param {string[]} usernames - Los usernames a validar.
+   */
+  static usernames (usernames) {
+    if (!Array.isArray(usernames) || !usernames.every(username => typeof username === 'string')) {
+      throw new Error('Los participantes deben ser una lista de nombres de usuario.')
+    }
+  }
+}
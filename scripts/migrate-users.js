@@ -0,0 +1,43 @@
+// --- Migración de Usuarios: db-local -> MongoDB ---
+
+// Copia todos los usuarios guardados con `db-local` (carpeta `./db`) a la colección `users` de MongoDB,
+// conservando su `_id` y el hash de su contraseña: nadie tiene que volver a registrarse ni cambiar
+// la contraseña. Se ejecuta una vez, con el servidor parado:
+//
+//   npm run migrate:users
+//
+// y después se arranca el servidor con `USER_STORE=mongodb`.
+// Se puede repetir sin peligro: los usuarios que ya existen en MongoDB se dejan como están.
+// Tampoco borra nada de `./db`, así que para volver atrás basta con quitar `USER_STORE=mongodb`.
+
+import { client, connect } from '../db.js'
+import { DbLocalUserStore } from '../user-stores/db-local.js'
+import { MongoUserStore } from '../user-stores/mongodb.js'
+
+// Los campos que se copian. Los documentos de `db-local` llevan además métodos propios (`save`, `update`...).
+const FIELDS = ['_id', 'username', 'password', 'role', 'banned', 'mutedUntil', 'lastSeenAt', 'displayName', 'avatarId',
+  'totpEnabled', 'totpSecret', 'totpLastStep', 'recoveryCodes']
+
+await connect()
+await MongoUserStore.init()
+
+const users = await DbLocalUserStore.list()
+let copied = 0
+const skipped = []
+
+for (const user of users) {
+  const doc = Object.fromEntries(FIELDS.filter(field => user[field] !== undefined).map(field => [field, user[field]]))
+  try {
+    await MongoUserStore.insert(doc)
+    copied++
+  } catch (error) {
+    // Ya existe (de una ejecución anterior, o un nombre que solo se diferencia en mayúsculas).
+    if (!error.message.includes('ya está registrado')) throw error
+    skipped.push(user.username)
+  }
+}
+
+console.log(`Usuarios copiados a MongoDB: ${copied} de ${users.length}.`)
+if (skipped.length) console.log(`Ya existían y no se han tocado: ${skipped.join(', ')}.`)
+
+await client.close()
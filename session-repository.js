@@ -0,0 +1,162 @@
+// --- Repositorio de Sesiones (Refresh Tokens) ---
+
+// Cada vez que un usuario inicia sesión creamos una "sesión" en MongoDB.
+// El JWT de acceso (`access_token`) dura pocos minutos y lleva dentro el ID de la sesión (`sid`);
+// el refresh token (`refresh_token`) dura días y sirve para pedir un JWT de acceso nuevo.
+//
+// Guardar las sesiones en el servidor nos permite:
+// 1. Revocarlas: al cerrar sesión (o "cerrar todas mis sesiones") la sesión queda marcada
+//    como revocada y sus JWT dejan de aceptarse aunque todavía no hayan caducado.
+// 2. Rotar el refresh token: cada vez que se usa, se sustituye por uno nuevo. Si alguien
+//    presenta uno ya usado, es señal de que fue robado y revocamos la sesión entera.
+//
+// Del refresh token solo guardamos su hash (SHA-256), igual que nunca guardamos contraseñas en claro.
+
+import crypto from 'crypto'
+import { ObjectId } from 'mongodb'
+import { db } from './db.js'
+import { REFRESH_TOKEN_TTL_DAYS } from './config.js'
+
+const sessions = db.collection('sessions')
+
+// Duración de una sesión sin usarse, en milisegundos.
+const SESSION_TTL_MS = Number(REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000
+
+// Margen durante el cual se sigue aceptando el refresh token anterior a una rotación.
+// Cubre peticiones simultáneas (por ejemplo, dos pestañas) que salieron con el token viejo.
+const ROTATION_GRACE_MS = 30 * 1000
+
+/**
+ * Calcula el hash que guardamos en lugar del refresh token.
+ * Un SHA-256 es suficiente aquí (no hace falta bcrypt) porque el token es aleatorio y largo.
+ * @param {string} secret - La parte secreta del refresh token.
+ * @returns {string}
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+/**
+ * Genera la parte secreta de un refresh token.
+ * @returns {string}
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('base64url')
+
+export class SessionRepository {
+  /**
+   * Crea los índices de la colección. Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    await sessions.createIndex({ username: 1 })
+    // Índice TTL: MongoDB borra solo las sesiones caducadas (`expiresAt` en el pasado).
+    await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+  }
+
+  /**
+   * Crea una sesión nueva para un usuario que acaba de autenticarse.
+   * @param {object} params
+   * @param {string} params.userId - El ID del usuario.
+   * @param {string} params.username - El nombre de usuario.
+   * @param {string} [params.userAgent] - El navegador desde el que inicia sesión.
+   * @param {string} [params.ip] - La IP desde la que inicia sesión.
+   * @returns {Promise<{ session: object, refreshToken: string }>} - La sesión y su refresh token en claro
+   *   (la única vez que lo tenemos: hay que enviarlo al cliente en este momento).
+   */
+  static async create ({ userId, username, userAgent, ip }) {
+    const secret = generateSecret()
+    const now = new Date()
+    const session = {
+      userId,
+      username,
+      refreshTokenHash: hashToken(secret),
+      userAgent,
+      ip,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+      revokedAt: null
+    }
+
+    const result = await sessions.insertOne(session)
+    // El refresh token es "<ID de la sesión>.<secreto>": el ID nos dice qué sesión buscar.
+    return { session: { _id: result.insertedId, ...session }, refreshToken: `${result.insertedId}.${secret}` }
+  }
+
+  /**
+   * Valida un refresh token y lo sustituye por uno nuevo (rotación).
+   * @param {string} refreshToken - El refresh token que presenta el cliente.
+   * @returns {Promise<{ session: object, refreshToken: string|null }>} - La sesión y el nuevo refresh token.
+   *   `refreshToken` es `null` cuando otra petición acaba de rotarlo (el cliente ya tiene el nuevo).
+   */
+  static async rotate (refreshToken) {
+    const [sid, secret] = String(refreshToken).split('.')
+    if (!ObjectId.isValid(sid) || !secret) throw new Error('El refresh token no es válido.')
+
+    // 1. La sesión debe existir, no estar revocada y no haber caducado.
+    const session = await sessions.findOne({ _id: new ObjectId(sid) })
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw new Error('La sesión ha caducado o ha sido cerrada.')
+    }
+
+    // 2. El token debe ser el vigente. Si es el anterior y la rotación es muy reciente, lo aceptamos
+    //    sin volver a rotar. Cualquier otro caso es la reutilización de un token robado.
+    const hash = hashToken(secret)
+    if (hash !== session.refreshTokenHash) {
+      if (hash === session.previousTokenHash && Date.now() - session.rotatedAt < ROTATION_GRACE_MS) {
+        return { session, refreshToken: null }
+      }
+      await SessionRepository.revoke(session._id)
+      throw new Error('Se ha reutilizado un refresh token antiguo: la sesión se ha cerrado por seguridad.')
+    }
+
+    // 3. Rotamos: guardamos el hash del token nuevo y alargamos la vida de la sesión.
+    //    Filtramos por el hash actual para que, si dos peticiones rotan a la vez, solo gane una.
+    const newSecret = generateSecret()
+    const now = new Date()
+    const rotated = await sessions.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash },
+      {
+        $set: {
+          refreshTokenHash: hashToken(newSecret),
+          previousTokenHash: hash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+        }
+      },
+      { returnDocument: 'after' }
+    )
+    if (!rotated) return { session, refreshToken: null }
+
+    return { session: rotated, refreshToken: `${sid}.${newSecret}` }
+  }
+
+  /**
+   * Comprueba si una sesión sigue activa (existe, no está revocada y no ha caducado).
+   * @param {string} sid - El ID de la sesión (viene dentro del JWT de acceso).
+   * @returns {Promise<boolean>}
+   */
+  static async isActive (sid) {
+    if (!ObjectId.isValid(sid)) return false
+    const session = await sessions.findOne({ _id: new ObjectId(sid), revokedAt: null, expiresAt: { $gt: new Date() } })
+    return Boolean(session)
+  }
+
+  /**
+   * Revoca una sesión. Sus JWT de acceso y su refresh token dejan de aceptarse.
+   * @param {string|ObjectId} sid - El ID de la sesión.
+   */
+  static async revoke (sid) {
+    if (!ObjectId.isValid(sid)) return
+    await sessions.updateOne({ _id: new ObjectId(sid), revokedAt: null }, { $set: { revokedAt: new Date() } })
+  }
+
+  /**
+   * Revoca todas las sesiones activas de un usuario ("cerrar sesión en todos mis dispositivos").
+   * @param {string} username - El usuario.
+   * @returns {Promise<string[]>} - Los IDs de las sesiones revocadas.
+   */
+  static async revokeAllForUser (username) {
+    const active = await sessions.find({ username, revokedAt: null }, { projection: { _id: 1 } }).toArray()
+    await sessions.updateMany({ username, revokedAt: null }, { $set: { revokedAt: new Date() } })
+    return active.map(session => session._id.toString())
+  }
+}
@@ -0,0 +1,41 @@
+// --- Adaptador de Socket.IO para Varias Instancias ---
+
+// Con un solo proceso, Socket.IO guarda en memoria qué sockets hay en cada canal y `io.emit`
+// solo llega a los sockets de ese proceso. Para poder arrancar varias instancias del servidor detrás
+// de un balanceador, con `SOCKET_ADAPTER=mongodb` los eventos se reparten a través de MongoDB
+// (`@socket.io/mongo-adapter`): cada instancia escribe en la colección `socket.io-adapter-events`
+// lo que emite y las demás lo leen con un change stream. Así funcionan entre instancias:
+// - Las emisiones a canales (`io.to(...)`), como los mensajes nuevos, los borrados o la presencia.
+// - `fetchSockets()` y `disconnectSockets()` (por ejemplo, al revocar las sesiones de un usuario).
+// - La recuperación de la conexión (`connectionStateRecovery`), aunque el cliente vuelva a otra instancia.
+//
+// Sigue habiendo cosas propias de cada proceso: los límites de frecuencia (ver `rate-limiter.js`),
+// los reintentos pendientes de los webhooks y el periodo de gracia de la presencia.
+//
+// El balanceador debe mantener a cada cliente en la misma instancia mientras dure su conexión
+// ("sticky sessions"): el long-polling de Socket.IO hace varias peticiones HTTP por conexión.
+
+import { createAdapter } from '@socket.io/mongo-adapter'
+import { db } from './db.js'
+import { SOCKET_ADAPTER } from './config.js'
+
+const COLLECTION = 'socket.io-adapter-events'
+
+// Cuánto se guardan los eventos en la colección. Solo hacen falta unos segundos para repartirlos,
+// pero la recuperación de la conexión necesita los de los últimos minutos.
+const EVENTS_TTL_SECONDS = 60 * 60
+
+/**
+ * Crea el adaptador de Socket.IO configurado en `SOCKET_ADAPTER`.
+ * @returns {Promise<Function|null>} - El adaptador para `io.adapter(...)`, o `null` para usar el de memoria.
+ */
+export async function createSocketAdapter () {
+  if (SOCKET_ADAPTER === 'memory') return null
+  if (SOCKET_ADAPTER !== 'mongodb') throw new Error(`SOCKET_ADAPTER debe ser 'memory' o 'mongodb', no '${SOCKET_ADAPTER}'.`)
+
+  // Los eventos se borran solos con un índice TTL (en lugar de una colección limitada "capped"),
+  // así el adaptador también puede borrar las sesiones ya recuperadas.
+  const events = db.collection(COLLECTION)
+  await events.createIndex({ createdAt: 1 }, { expireAfterSeconds: EVENTS_TTL_SECONDS })
+  return createAdapter(events, { addCreatedAtField: true })
+}
@@ -0,0 +1,94 @@
+import { describe, test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupMongo } from './helpers/mongo.js'
+
+const { db, teardown } = await setupMongo()
+const { exportMessages, importMessages } = await import('../chat-export.js')
+const { ObjectId } = await import('mongodb')
+
+/**
+ * Exporta en 'jsonl' y devuelve las líneas del archivo, como las leería `readline` al importarlo.
+ * @param {object[]} rooms - Las salas.
+ * @param {object[]} messages - Los mensajes.
+ * @returns {Promise<string[]>}
+ */
+const exportLines = async (rooms, messages) => {
+  let text = ''
+  for await (const chunk of exportMessages({ format: 'jsonl', rooms, messages, meta: { exportedBy: 'admin', filters: {} } })) text += chunk
+  return text.split('\n')
+}
+
+describe('exportar e importar el historial (jsonl)', () => {
+  after(teardown)
+
+  const at = (iso) => new Date(iso)
+  const general = { _id: new ObjectId(), type: 'channel', name: 'general', createdBy: 'admin', createdAt: at('2024-01-01T10:00:00Z'), archived: false }
+  const direct = { _id: new ObjectId(), type: 'direct', members: ['ana', 'luis'], memberKey: 'ana,luis', createdAt: at('2024-01-02T10:00:00Z'), lastMessageAt: at('2024-01-02T11:00:00Z') }
+  const parent = {
+    _id: new ObjectId(),
+    roomId: general._id,
+    parentId: null,
+    content: 'hola **a todos**',
+    user: 'ana',
+    attachments: [{ id: new ObjectId().toString(), name: 'foto.png', contentType: 'image/png', size: 1234 }],
+    mentions: ['luis'],
+    timestamp: at('2024-01-01T10:05:00Z'),
+    editedAt: at('2024-01-01T10:06:00Z'),
+    revisions: [{ content: 'hola', writtenAt: at('2024-01-01T10:05:00Z') }],
+    replyCount: 1,
+    lastReplyAt: at('2024-01-01T10:07:00Z'),
+    reactions: { '👍': ['luis'] }
+  }
+  const reply = { _id: new ObjectId(), roomId: general._id, parentId: parent._id, content: 'hola, Ana', user: 'luis', attachments: [], mentions: [], timestamp: at('2024-01-01T10:07:00Z') }
+  const tombstone = { _id: new ObjectId(), roomId: general._id, parentId: null, content: '', user: null, attachments: [], mentions: [], timestamp: at('2024-01-01T10:08:00Z'), deleted: true, deletedAt: at('2024-01-01T10:09:00Z') }
+  const expiring = { _id: new ObjectId(), roomId: direct._id, parentId: null, content: 'esto se borra solo', user: 'luis', attachments: [], mentions: [], timestamp: at('2024-01-02T11:00:00Z'), expiresAt: at('2030-01-01T00:00:00Z'), clientId: 'c1' }
+  const messages = [parent, reply, tombstone, expiring]
+
+  let lines
+  before(async () => { lines = await exportLines([general, direct], messages) })
+
+  test('la exportación empieza por la cabecera, seguida de las salas y los mensajes', () => {
+    const kinds = lines.filter(Boolean).map(line => JSON.parse(line).kind)
+    assert.deepEqual(kinds, ['export', 'room', 'room', 'message', 'message', 'message', 'message'])
+  })
+
+  test('al importarla se recuperan las salas y los mensajes tal cual, con sus IDs, fechas y tipos', async () => {
+    assert.deepEqual(await importMessages(lines), { rooms: 2, messages: 4 })
+
+    assert.deepEqual(await db.collection('rooms').find().sort({ createdAt: 1 }).toArray(), [general, direct])
+    assert.deepEqual(await db.collection('messages').find().sort({ _id: 1 }).toArray(), messages)
+  })
+
+  test('no se puede importar sobre un historial que ya tiene mensajes', async () => {
+    await assert.rejects(importMessages(lines), /sin mensajes/)
+  })
+
+  test('rechaza los archivos que no son una exportación', async () => {
+    await db.collection('messages').deleteMany({})
+    await assert.rejects(importMessages(['{"kind":"message"}']), /no es una exportación/)
+    await assert.rejects(importMessages(['', '{"kind":"message"}']), /no es una exportación/)
+    await assert.rejects(importMessages(['no es json']), /no es JSON válido/)
+    await assert.rejects(importMessages(['']), /no es una exportación/)
+  })
+
+  test('la cabecera puede venir después de líneas en blanco', async () => {
+    await db.collection('messages').deleteMany({})
+    assert.deepEqual(await importMessages(['', '  ', ...lines]), { rooms: 2, messages: 4 })
+  })
+
+  test('si una línea falla, no queda nada de la importación (aunque ya se hubieran guardado lotes)', async () => {
+    await db.collection('messages').deleteMany({})
+    await db.collection('rooms').deleteMany({})
+    // Un canal que ya existía se reutiliza, y no se borra al deshacer la importación.
+    await db.collection('rooms').insertOne({ ...general, _id: new ObjectId() })
+
+    const header = lines[0]
+    const room = (doc) => JSON.stringify({ kind: 'room', ...doc })
+    const message = (i) => JSON.stringify({ kind: 'message', ...reply, _id: new ObjectId(), parentId: null, content: `mensaje ${i}` })
+    const many = Array.from({ length: 1200 }, (_, i) => message(i))
+
+    await assert.rejects(importMessages([header, room(general), room(direct), ...many, 'no es json']), /línea 1204 no es JSON válido/)
+    assert.equal(await db.collection('messages').countDocuments(), 0)
+    assert.deepEqual((await db.collection('rooms').find().toArray()).map(({ name }) => name), ['general'])
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupMongo } from './helpers/mongo.js'
+
+const { db, teardown } = await setupMongo()
+const { CommandResultRepository } = await import('../command-result-repository.js')
+
+describe('CommandResultRepository: comandos reenviados (`clientId`)', () => {
+  before(() => CommandResultRepository.init())
+  after(teardown)
+
+  test('solo el primer envío se ejecuta; los reenvíos reciben su resultado', async () => {
+    const key = { user: 'ana', clientId: 'c1' }
+    assert.deepEqual(await CommandResultRepository.claim(key), { claimed: true })
+    // Mientras se ejecuta, un reenvío no tiene resultado todavía.
+    assert.deepEqual(await CommandResultRepository.claim(key), { claimed: false, result: undefined })
+
+    await CommandResultRepository.complete({ ...key, result: { command: true } })
+    assert.deepEqual(await CommandResultRepository.claim(key), { claimed: false, result: { command: true } })
+  })
+
+  test('de dos envíos simultáneos solo uno se ejecuta', async () => {
+    const claims = await Promise.all([
+      CommandResultRepository.claim({ user: 'ana', clientId: 'c2' }),
+      CommandResultRepository.claim({ user: 'ana', clientId: 'c2' })
+    ])
+    assert.equal(claims.filter(claim => claim.claimed).length, 1)
+  })
+
+  test('el mismo `clientId` de otro usuario es otro comando', async () => {
+    await CommandResultRepository.claim({ user: 'ana', clientId: 'c3' })
+    assert.equal((await CommandResultRepository.claim({ user: 'luis', clientId: 'c3' })).claimed, true)
+  })
+
+  test('un comando que falla se puede volver a intentar', async () => {
+    const key = { user: 'ana', clientId: 'c4' }
+    await CommandResultRepository.claim(key)
+    await CommandResultRepository.release(key)
+    assert.equal((await CommandResultRepository.claim(key)).claimed, true)
+  })
+
+  test('un comando reclamado que no terminó a tiempo se puede volver a reclamar', async () => {
+    const key = { user: 'ana', clientId: 'c5' }
+    await CommandResultRepository.claim(key)
+    await db.collection('command_results').updateOne({ _id: key }, { $set: { claimedAt: new Date(Date.now() - 5 * 60 * 1000) } })
+    assert.equal((await CommandResultRepository.claim(key)).claimed, true)
+    // Y el nuevo dueño lo tiene reservado otra vez.
+    assert.equal((await CommandResultRepository.claim(key)).claimed, false)
+  })
+
+  test('rechaza los `clientId` que no son válidos', async () => {
+    await assert.rejects(CommandResultRepository.claim({ user: 'ana', clientId: 'x'.repeat(65) }), /no es válido/)
+    await assert.rejects(CommandResultRepository.claim({ user: 'ana', clientId: 42 }), /no es válido/)
+  })
+})
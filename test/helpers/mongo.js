@@ -0,0 +1,35 @@
+// --- MongoDB para los Tests ---
+
+// Los tests de los repositorios necesitan un MongoDB de verdad (índices únicos, `findOneAndUpdate`...).
+// Si `TEST_MONGODB_URI` apunta a uno, se usa ese; si no, se arranca uno en memoria con
+// `mongodb-memory-server` (la primera vez descarga el binario de MongoDB y lo guarda en caché).
+// Si no hay ninguno disponible, los tests fallan: no se saltan.
+//
+// Cada archivo de tests usa su propia base de datos, que se borra al terminar.
+
+import crypto from 'node:crypto'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+
+/**
+ * Prepara un MongoDB y conecta `db.js` a él. Hay que llamarla (y esperarla) antes de importar
+ * cualquier módulo que use `db.js`, porque la configuración se lee al importarlo.
+ * @returns {Promise<{ db: import('mongodb').Db, teardown: Function }>} - La base de datos y la
+ *   función que la borra y lo cierra todo (para el `after` del archivo).
+ */
+export async function setupMongo () {
+  const server = process.env.TEST_MONGODB_URI ? null : await MongoMemoryServer.create()
+  process.env.MONGODB_URI = process.env.TEST_MONGODB_URI ?? server.getUri()
+  process.env.MONGODB_DB = `chat-test-${crypto.randomUUID()}`
+
+  const { client, db, connect } = await import('../../db.js')
+  await connect()
+
+  return {
+    db,
+    teardown: async () => {
+      await db.dropDatabase()
+      await client.close()
+      await server?.stop()
+    }
+  }
+}
@@ -0,0 +1,75 @@
+import { describe, test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupMongo } from './helpers/mongo.js'
+
+const { db, teardown } = await setupMongo()
+const { MessageRepository } = await import('../message-repository.js')
+const { ObjectId } = await import('mongodb')
+
+describe('MessageRepository: mensajes reenviados (`clientId`)', () => {
+  const roomId = new ObjectId()
+
+  before(() => MessageRepository.init({ defaultRoomId: roomId }))
+  after(teardown)
+
+  test('un reenvío del mismo autor con el mismo `clientId` no se guarda otra vez', async () => {
+    const original = await MessageRepository.create({ roomId, content: 'hola', user: 'ana', clientId: 'c1' })
+    assert.ok(original)
+    assert.equal(await MessageRepository.create({ roomId, content: 'hola', user: 'ana', clientId: 'c1' }), null)
+
+    const found = await MessageRepository.findByClientId({ user: 'ana', clientId: 'c1' })
+    assert.ok(found._id.equals(original._id))
+    assert.equal(MessageRepository.toPublic(found).clientId, 'c1')
+    assert.equal(await db.collection('messages').countDocuments({ user: 'ana', clientId: 'c1' }), 1)
+  })
+
+  test('de dos envíos simultáneos solo se guarda uno', async () => {
+    const results = await Promise.all([
+      MessageRepository.create({ roomId, content: 'a la vez', user: 'ana', clientId: 'c2' }),
+      MessageRepository.create({ roomId, content: 'a la vez', user: 'ana', clientId: 'c2' })
+    ])
+    assert.equal(results.filter(Boolean).length, 1)
+  })
+
+  test('el mismo `clientId` de otro autor es otro mensaje', async () => {
+    await MessageRepository.create({ roomId, content: 'hola', user: 'ana', clientId: 'c3' })
+    assert.ok(await MessageRepository.create({ roomId, content: 'hola', user: 'luis', clientId: 'c3' }))
+  })
+
+  test('los mensajes sin autor (bots) no se deduplican', async () => {
+    assert.ok(await MessageRepository.create({ roomId, content: 'tic', user: null, bot: 'reloj', clientId: 'c4' }))
+    assert.ok(await MessageRepository.create({ roomId, content: 'tic', user: null, bot: 'reloj', clientId: 'c4' }))
+  })
+
+  test('sin `clientId` no se deduplica', async () => {
+    assert.ok(await MessageRepository.create({ roomId, content: 'hola', user: 'ana' }))
+    assert.ok(await MessageRepository.create({ roomId, content: 'hola', user: 'ana' }))
+  })
+
+  test('un reenvío de un mensaje eliminado no se vuelve a guardar', async () => {
+    const message = await MessageRepository.create({ roomId, content: 'adiós', user: 'ana', clientId: 'c5' })
+    assert.equal(await MessageRepository.remove(message._id), true)
+
+    assert.equal(await MessageRepository.create({ roomId, content: 'adiós', user: 'ana', clientId: 'c5' }), null)
+    assert.equal(await MessageRepository.findByClientId({ user: 'ana', clientId: 'c5' }), null)
+    assert.equal(await db.collection('messages').countDocuments({ user: 'ana', clientId: 'c5' }), 0)
+  })
+
+  test('un mensaje que no llegó a publicarse se puede reintentar con el mismo `clientId`', async () => {
+    const message = await MessageRepository.create({ roomId, content: 'con adjunto', user: 'ana', clientId: 'c6' })
+    await MessageRepository.remove(message._id, { forgetClientId: true })
+    assert.ok(await MessageRepository.create({ roomId, content: 'con adjunto', user: 'ana', clientId: 'c6' }))
+  })
+
+  test('el `clientId` eliminado sigue al usuario si cambia de nombre', async () => {
+    const message = await MessageRepository.create({ roomId, content: 'hola', user: 'ana', clientId: 'c7' })
+    await MessageRepository.remove(message._id)
+    await MessageRepository.renameUser({ from: 'ana', to: 'anita' })
+    assert.equal(await MessageRepository.create({ roomId, content: 'hola', user: 'anita', clientId: 'c7' }), null)
+  })
+
+  test('rechaza los `clientId` que no son válidos', async () => {
+    await assert.rejects(MessageRepository.create({ roomId, content: 'hola', user: 'ana', clientId: 'x'.repeat(65) }))
+    await assert.rejects(MessageRepository.findByClientId({ user: 'ana', clientId: 42 }))
+  })
+})
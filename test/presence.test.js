@@ -0,0 +1,33 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+process.env.PRESENCE_GRACE_MS = '50'
+const { Presence } = await import('../presence.js')
+
+describe('Presence', () => {
+  test('solo avisa de la desconexión al cerrarse el último socket, con la fecha del cierre', async () => {
+    assert.equal(Presence.connect('ana', 's1'), true)
+    assert.equal(Presence.connect('ana', 's2'), false)
+
+    let lastSeen = null
+    Presence.disconnect('ana', 's1', () => assert.fail('Todavía le queda un socket.'))
+    const before = Date.now()
+    Presence.disconnect('ana', 's2', (date) => { lastSeen = date })
+    const after = Date.now()
+
+    await sleep(100)
+    // La fecha es la del cierre, no la del final del periodo de gracia.
+    assert.ok(lastSeen.getTime() >= before && lastSeen.getTime() <= after)
+    assert.deepEqual(Presence.onlineUsers(), [])
+  })
+
+  test('si vuelve dentro del periodo de gracia, no se avisa de nada', async () => {
+    Presence.connect('luis', 's1')
+    Presence.disconnect('luis', 's1', () => assert.fail('Ha vuelto a tiempo.'))
+    assert.equal(Presence.connect('luis', 's2'), false)
+
+    await sleep(100)
+    assert.deepEqual(Presence.onlineUsers(), ['luis'])
+  })
+})
@@ -0,0 +1,42 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { RateLimiter, TooManyAttemptsError } from '../rate-limiter.js'
+
+describe('RateLimiter', () => {
+  test('bloquea una clave al agotar su límite, y solo esa', () => {
+    const limiter = new RateLimiter({ limit: 3, windowMs: 60 * 1000 })
+    for (let i = 0; i < 3; i++) limiter.consume('ana', 'Demasiados intentos.')
+
+    assert.throws(() => limiter.consume('ana', 'Demasiados intentos.'), (error) => {
+      assert.ok(error instanceof TooManyAttemptsError)
+      assert.equal(error.message, 'Demasiados intentos.')
+      assert.ok(error.retryAfterMs > 0 && error.retryAfterMs <= 60 * 1000)
+      return true
+    })
+    assert.equal(limiter.retryAfter('luis'), 0)
+  })
+
+  test('retryAfter no cuenta como un intento', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 60 * 1000 })
+    for (let i = 0; i < 5; i++) assert.equal(limiter.retryAfter('ana'), 0)
+    limiter.hit('ana')
+    assert.ok(limiter.retryAfter('ana') > 0)
+  })
+
+  test('reset desbloquea la clave', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 60 * 1000 })
+    limiter.hit('ana')
+    limiter.reset('ana')
+    assert.equal(limiter.retryAfter('ana'), 0)
+  })
+
+  test('la clave se desbloquea al terminar la ventana', async () => {
+    // Las variables de entorno llegan como texto: el limitador las convierte.
+    const limiter = new RateLimiter({ limit: '1', windowMs: '50' })
+    limiter.hit('ana')
+    assert.ok(limiter.retryAfter('ana') > 0)
+    await sleep(60)
+    assert.equal(limiter.retryAfter('ana'), 0)
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { setupMongo } from './helpers/mongo.js'
+
+const { db, teardown } = await setupMongo()
+const { SessionRepository } = await import('../session-repository.js')
+
+describe('SessionRepository.rotate', () => {
+  before(() => SessionRepository.init())
+  after(teardown)
+
+  /**
+   * Hace como si la última rotación de una sesión hubiera sido hace un rato (fuera del margen para peticiones simultáneas).
+   * @param {object} session - La sesión.
+   */
+  const ageRotation = (session) => db.collection('sessions').updateOne(
+    { _id: session._id },
+    { $set: { rotatedAt: new Date(Date.now() - 60 * 1000) } }
+  )
+
+  test('sustituye el refresh token por uno nuevo', async () => {
+    const { session, refreshToken } = await SessionRepository.create({ userId: 'u1', username: 'ana' })
+    const rotated = await SessionRepository.rotate(refreshToken)
+
+    assert.ok(rotated.session._id.equals(session._id))
+    assert.notEqual(rotated.refreshToken, refreshToken)
+    assert.ok(rotated.refreshToken.startsWith(`${session._id}.`))
+
+    // Y el nuevo también se puede rotar.
+    const again = await SessionRepository.rotate(rotated.refreshToken)
+    assert.ok(again.refreshToken)
+    assert.equal(await SessionRepository.isActive(session._id.toString()), true)
+  })
+
+  test('acepta el token anterior justo después de rotarlo, sin volver a rotar', async () => {
+    const { refreshToken } = await SessionRepository.create({ userId: 'u1', username: 'ana' })
+    const rotated = await SessionRepository.rotate(refreshToken)
+
+    const concurrent = await SessionRepository.rotate(refreshToken)
+    assert.equal(concurrent.refreshToken, null)
+    // El token vigente sigue siendo el de la primera rotación.
+    assert.ok((await SessionRepository.rotate(rotated.refreshToken)).refreshToken)
+  })
+
+  test('si se reutiliza un token antiguo, revoca la sesión entera', async () => {
+    const { session, refreshToken } = await SessionRepository.create({ userId: 'u1', username: 'ana' })
+    const rotated = await SessionRepository.rotate(refreshToken)
+    await ageRotation(session)
+
+    await assert.rejects(SessionRepository.rotate(refreshToken), /reutilizado/)
+    assert.equal(await SessionRepository.isActive(session._id.toString()), false)
+    // Tampoco sirve ya el token vigente (quizá lo tenga quien lo robó).
+    await assert.rejects(SessionRepository.rotate(rotated.refreshToken), /caducado o ha sido cerrada/)
+  })
+
+  test('un token que nunca fue de la sesión también cuenta como reutilizado', async () => {
+    const { session } = await SessionRepository.create({ userId: 'u1', username: 'ana' })
+    await assert.rejects(SessionRepository.rotate(`${session._id}.inventado`), /reutilizado/)
+    assert.equal(await SessionRepository.isActive(session._id.toString()), false)
+  })
+
+  test('rechaza los tokens mal formados y las sesiones cerradas', async () => {
+    await assert.rejects(SessionRepository.rotate('no-es-un-token'), /no es válido/)
+    const { session, refreshToken } = await SessionRepository.create({ userId: 'u1', username: 'ana' })
+    await SessionRepository.revoke(session._id)
+    await assert.rejects(SessionRepository.rotate(refreshToken), /caducado o ha sido cerrada/)
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { Totp } from '../totp.js'
+
+// Vectores de prueba del RFC 6238 (SHA-1): el secreto es '12345678901234567890' en Base32
+// y los códigos son los 6 últimos dígitos de los de 8 del RFC.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+const at = (seconds) => seconds * 1000
+
+describe('Totp.verify', () => {
+  test('acepta los códigos del RFC y devuelve su paso de tiempo', () => {
+    assert.equal(Totp.verify({ secret: SECRET, code: '287082', now: at(59) }), 1)
+    assert.equal(Totp.verify({ secret: SECRET, code: '081804', now: at(1111111109) }), 37037036)
+    assert.equal(Totp.verify({ secret: SECRET, code: '005924', now: at(1234567890) }), 41152263)
+  })
+
+  test('ignora los espacios y las minúsculas del secreto', () => {
+    assert.equal(Totp.verify({ secret: SECRET.toLowerCase(), code: '287 082', now: at(59) }), 1)
+  })
+
+  test('acepta un paso de desfase, pero no más', () => {
+    assert.equal(Totp.verify({ secret: SECRET, code: '287082', now: at(59 + 30) }), 1)
+    assert.equal(Totp.verify({ secret: SECRET, code: '287082', now: at(59 + 60) }), null)
+  })
+
+  test('no acepta dos veces el mismo código', () => {
+    const step = Totp.verify({ secret: SECRET, code: '287082', now: at(59) })
+    assert.equal(Totp.verify({ secret: SECRET, code: '287082', lastStep: step, now: at(59) }), null)
+  })
+
+  test('rechaza los códigos incorrectos o mal formados', () => {
+    assert.equal(Totp.verify({ secret: SECRET, code: '287083', now: at(59) }), null)
+    assert.equal(Totp.verify({ secret: SECRET, code: '28708', now: at(59) }), null)
+    assert.equal(Totp.verify({ secret: SECRET, code: 'abcdef', now: at(59) }), null)
+    assert.equal(Totp.verify({ secret: SECRET, code: undefined, now: at(59) }), null)
+  })
+})
+
+describe('Totp.generateSecret y Totp.uri', () => {
+  test('genera secretos de 160 bits en Base32', () => {
+    const secret = Totp.generateSecret()
+    assert.match(secret, /^[A-Z2-7]{32}$/)
+    assert.notEqual(secret, Totp.generateSecret())
+  })
+
+  test('construye la URI otpauth:// que esperan las apps', () => {
+    const uri = new URL(Totp.uri({ secret: SECRET, account: 'ana', issuer: 'Chat' }))
+    assert.equal(uri.protocol, 'otpauth:')
+    assert.equal(uri.host, 'totp')
+    assert.equal(decodeURIComponent(uri.pathname), '/Chat:ana')
+    assert.equal(uri.searchParams.get('secret'), SECRET)
+    assert.equal(uri.searchParams.get('digits'), '6')
+    assert.equal(uri.searchParams.get('period'), '30')
+  })
+})
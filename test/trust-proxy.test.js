@@ -0,0 +1,61 @@
+import { describe, test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { parseTrustProxy } from '../trust-proxy.js'
+import { RateLimiter, TooManyAttemptsError } from '../rate-limiter.js'
+
+describe('parseTrustProxy', () => {
+  test('convierte el texto de TRUST_PROXY en lo que espera Express', () => {
+    assert.equal(parseTrustProxy(''), false)
+    assert.equal(parseTrustProxy(undefined), false)
+    assert.equal(parseTrustProxy('false'), false)
+    assert.equal(parseTrustProxy('true'), true)
+    assert.equal(parseTrustProxy('1'), 1)
+    assert.equal(parseTrustProxy(' 2 '), 2)
+    assert.equal(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8')
+  })
+})
+
+describe('límites por IP detrás de un proxy', () => {
+  const servers = []
+  after(() => servers.forEach(server => server.close()))
+
+  /**
+   * Arranca una app con un límite de un registro por IP, como el de `/register`.
+   * @param {string} trustProxy - El valor de TRUST_PROXY.
+   * @returns {Promise<Function>} - Una función que hace un registro "desde" una IP (vía X-Forwarded-For)
+   *   y devuelve el código de estado.
+   */
+  const startApp = async (trustProxy) => {
+    const app = express()
+    app.set('trust proxy', parseTrustProxy(trustProxy))
+    const limiter = new RateLimiter({ limit: 1, windowMs: 60 * 1000 })
+    app.post('/register', (req, res) => {
+      try {
+        limiter.consume(req.ip, 'Demasiados registros.')
+        res.json({ ip: req.ip })
+      } catch (e) {
+        if (!(e instanceof TooManyAttemptsError)) throw e
+        res.status(429).json({ error: e.message })
+      }
+    })
+
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)) })
+    servers.push(server)
+    const url = `http://127.0.0.1:${server.address().port}/register`
+    return async (ip) => (await fetch(url, { method: 'POST', headers: { 'X-Forwarded-For': ip } })).status
+  }
+
+  test('con TRUST_PROXY, dos clientes detrás del mismo proxy tienen límites separados', async () => {
+    const register = await startApp('loopback')
+    assert.equal(await register('203.0.113.1'), 200)
+    assert.equal(await register('203.0.113.2'), 200)
+    assert.equal(await register('203.0.113.1'), 429)
+  })
+
+  test('sin TRUST_PROXY no se hace caso de X-Forwarded-For (se podría falsificar)', async () => {
+    const register = await startApp('')
+    assert.equal(await register('203.0.113.1'), 200)
+    assert.equal(await register('203.0.113.2'), 429)
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+// Los usuarios se guardan con `db-local` en `./db`: trabajamos en una carpeta temporal.
+const originalCwd = process.cwd()
+const workDir = await mkdtemp(path.join(tmpdir(), 'chat-test-'))
+process.chdir(workDir)
+process.env.USER_STORE = 'db-local'
+process.env.LOGIN_MAX_FAILURES = '3'
+process.env.LOGIN_MAX_FAILURES_PER_IP = '100'
+const { UserRepository } = await import('../user-repository.js')
+const { TooManyAttemptsError } = await import('../rate-limiter.js')
+
+before(async () => {
+  await UserRepository.create({ username: 'bloqueada', password: 'correcta' })
+  await UserRepository.create({ username: 'libre', password: 'correcta' })
+})
+after(async () => {
+  process.chdir(originalCwd)
+  await rm(workDir, { recursive: true, force: true })
+})
+
+/**
+ * Falla el login a propósito.
+ * @param {string} username - El usuario.
+ * @param {string} ip - La IP.
+ */
+const failLogin = (username, ip) => assert.rejects(
+  UserRepository.login({ username, password: 'incorrecta', ip }),
+  (error) => !(error instanceof TooManyAttemptsError)
+)
+
+describe('bloqueo del login por intentos fallidos', () => {
+  test('la contraseña correcta funciona', async () => {
+    const user = await UserRepository.login({ username: 'libre', password: 'correcta', ip: '203.0.113.1' })
+    assert.equal(user.username, 'libre')
+    assert.equal(user.password, undefined)
+  })
+
+  test('bloquea la cuenta tras LOGIN_MAX_FAILURES fallos, aunque vengan de IPs distintas', async () => {
+    await failLogin('bloqueada', '203.0.113.1')
+    await failLogin('bloqueada', '203.0.113.2')
+    await failLogin('bloqueada', '203.0.113.3')
+
+    // Ni siquiera con la contraseña correcta, ni desde una IP nueva.
+    await assert.rejects(
+      UserRepository.login({ username: 'bloqueada', password: 'correcta', ip: '203.0.113.4' }),
+      (error) => error instanceof TooManyAttemptsError && error.retryAfterMs > 0 && /Demasiados intentos/.test(error.message)
+    )
+  })
+
+  test('el bloqueo de una cuenta no afecta a las demás', async () => {
+    const user = await UserRepository.login({ username: 'libre', password: 'correcta', ip: '203.0.113.1' })
+    assert.equal(user.username, 'libre')
+  })
+
+  test('un login correcto olvida los fallos anteriores', async () => {
+    await failLogin('libre', '203.0.113.1')
+    await failLogin('libre', '203.0.113.1')
+    await UserRepository.login({ username: 'libre', password: 'correcta', ip: '203.0.113.1' })
+    await failLogin('libre', '203.0.113.1')
+    await failLogin('libre', '203.0.113.1')
+    await UserRepository.login({ username: 'libre', password: 'correcta', ip: '203.0.113.1' })
+  })
+
+  test('los intentos con usuarios que no existen no bloquean ninguna cuenta', async () => {
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(UserRepository.login({ username: 'fantasma', password: 'incorrecta', ip: '203.0.113.9' }), /no existe/)
+    }
+    await UserRepository.login({ username: 'libre', password: 'correcta', ip: '203.0.113.1' })
+  })
+})
@@ -0,0 +1,141 @@
+import { describe, test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import dns from 'node:dns'
+import { createServer } from 'node:http'
+
+// El receptor de prueba escucha en 127.0.0.1, que normalmente no se puede usar (ver `assertExternalUrl`).
+// `receptor.test` es un nombre inventado (permitido) que en los tests resolvemos a 127.0.0.1.
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1, receptor.test'
+process.env.WEBHOOK_TIMEOUT_MS = '200'
+const { signPayload, sendWebhook, isRetryable } = await import('../webhook-dispatcher.js')
+const { assertExternalUrl } = await import('../webhook-repository.js')
+
+// El receptor responde con el código que se le pida en la ruta (`/status/503`); `/hang` no responde nunca.
+const received = []
+const receiver = createServer((req, res) => {
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body })
+    if (req.url === '/hang') return
+    const status = Number(req.url.split('/').pop())
+    if (status === 302) res.setHeader('Location', 'http://169.254.169.254/')
+    res.writeHead(status).end()
+  })
+})
+
+let baseUrl
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`
+})
+after(() => {
+  receiver.closeAllConnections()
+  receiver.close()
+})
+
+const webhook = (path) => ({ _id: 'wh1', url: `${baseUrl}${path}`, secret: 'secreto' })
+const body = JSON.stringify({ event: 'message.created', message: { id: 'm1', content: 'hola' } })
+
+describe('signPayload', () => {
+  test('es el HMAC-SHA256 de `<timestamp>.<cuerpo>` con el secreto', () => {
+    const expected = crypto.createHmac('sha256', 'secreto').update(`1700000000.${body}`).digest('hex')
+    assert.equal(signPayload('secreto', 1700000000, body), `sha256=${expected}`)
+  })
+})
+
+describe('sendWebhook', () => {
+  test('envía el cuerpo firmado, y el receptor puede comprobar la firma', async () => {
+    const result = await sendWebhook(webhook('/status/200'), 'm1', body)
+    assert.deepEqual(result, { status: 200, error: null })
+    assert.equal(isRetryable(result), false)
+
+    const { headers, body: receivedBody } = received.at(-1)
+    assert.equal(receivedBody, body)
+    assert.equal(headers['content-type'], 'application/json')
+    assert.equal(headers['x-webhook-delivery'], 'wh1:m1')
+    assert.equal(headers['x-webhook-signature'], signPayload('secreto', Number(headers['x-webhook-timestamp']), receivedBody))
+    assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 5)
+  })
+
+  test('reintenta los errores 5xx y 429', async () => {
+    for (const status of [500, 503, 429]) {
+      const result = await sendWebhook(webhook(`/status/${status}`), 'm1', body)
+      assert.deepEqual(result, { status, error: `Respuesta HTTP ${status}` })
+      assert.equal(isRetryable(result), true, `${status}`)
+    }
+  })
+
+  test('no reintenta los demás errores 4xx', async () => {
+    for (const status of [400, 401, 404, 410]) {
+      const result = await sendWebhook(webhook(`/status/${status}`), 'm1', body)
+      assert.equal(result.status, status)
+      assert.equal(isRetryable(result), false, `${status}`)
+    }
+  })
+
+  test('no sigue las redirecciones', async () => {
+    const sent = received.length
+    const result = await sendWebhook(webhook('/status/302'), 'm1', body)
+    assert.deepEqual(result, { status: 302, error: 'Respuesta HTTP 302' })
+    assert.equal(isRetryable(result), false)
+    assert.equal(received.length, sent + 1)
+  })
+
+  test('reintenta cuando el receptor no responde a tiempo', async () => {
+    const result = await sendWebhook(webhook('/hang'), 'm1', body)
+    assert.deepEqual(result, { status: null, error: 'Sin respuesta en 200 ms' })
+    assert.equal(isRetryable(result), true)
+  })
+
+  test('reintenta cuando no se puede conectar', async () => {
+    // Un puerto en el que ya no escucha nadie.
+    const closed = createServer()
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+    const { port } = closed.address()
+    await new Promise(resolve => closed.close(resolve))
+
+    const result = await sendWebhook({ _id: 'wh1', url: `http://127.0.0.1:${port}/`, secret: 'secreto' }, 'm1', body)
+    assert.equal(result.status, null)
+    assert.match(result.error, /ECONNREFUSED/)
+    assert.equal(isRetryable(result), true)
+  })
+
+  test('no envía nada a las direcciones internas que no están permitidas', async () => {
+    const sent = received.length
+    const result = await sendWebhook({ _id: 'wh1', url: `http://localhost:${receiver.address().port}/status/200`, secret: 'secreto' }, 'm1', body)
+    assert.equal(result.status, null)
+    assert.match(result.error, /dirección interna/)
+    assert.equal(received.length, sent)
+  })
+
+  test('un host que resuelve a una dirección interna al conectar no recibe nada, aunque pasara la comprobación (DNS rebinding)', async (t) => {
+    // La primera resolución (al crear el webhook) da una dirección pública; la siguiente, 127.0.0.1.
+    let lookups = 0
+    const resolve = () => [{ address: lookups++ === 0 ? '93.184.216.34' : '127.0.0.1', family: 4 }]
+    const check = t.mock.method(dns.promises, 'lookup', async () => resolve())
+    const connect = t.mock.method(dns, 'lookup', (hostname, options, callback) => process.nextTick(callback, null, resolve()))
+
+    const url = `http://rebind.example:${receiver.address().port}/status/200`
+    await assertExternalUrl(url)
+
+    const sent = received.length
+    const result = await sendWebhook({ _id: 'wh1', url, secret: 'secreto' }, 'm1', body)
+    assert.equal(result.status, null)
+    assert.match(result.error, /dirección interna/)
+    assert.equal(received.length, sent)
+    // Al enviar solo se resuelve una vez: al conectar, y esa es la dirección que se comprueba.
+    assert.equal(check.mock.callCount(), 1)
+    assert.equal(connect.mock.callCount(), 1)
+  })
+
+  test('la conexión usa la dirección que se ha comprobado', async (t) => {
+    // Sin el `lookup` de los webhooks, `receptor.test` no resolvería a ninguna parte.
+    const lookup = t.mock.method(dns, 'lookup', (hostname, options, callback) => process.nextTick(callback, null, [{ address: '127.0.0.1', family: 4 }]))
+
+    const result = await sendWebhook({ _id: 'wh1', url: `http://receptor.test:${receiver.address().port}/status/200`, secret: 'secreto' }, 'm1', body)
+    assert.deepEqual(result, { status: 200, error: null })
+    assert.equal(lookup.mock.calls[0].arguments[0], 'receptor.test')
+  })
+})
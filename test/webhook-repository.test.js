@@ -0,0 +1,42 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+
+process.env.WEBHOOK_ALLOWED_HOSTS = 'ci.interno, 10.0.0.5'
+const { assertExternalUrl } = await import('../webhook-repository.js')
+
+describe('assertExternalUrl', () => {
+  test('rechaza las direcciones locales, privadas y de enlace local', async () => {
+    for (const url of [
+      'http://127.0.0.1/',
+      'http://127.1.2.3:8080/hook',
+      'http://localhost/',
+      'http://0.0.0.0/',
+      'http://10.1.2.3/',
+      'http://172.16.0.1/',
+      'http://192.168.1.10/',
+      'http://100.64.0.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[fe80::1]/',
+      'http://[fd00::1]/'
+    ]) {
+      await assert.rejects(assertExternalUrl(url), /dirección interna/, url)
+    }
+  })
+
+  test('acepta las direcciones públicas', async () => {
+    await assertExternalUrl('https://8.8.8.8/hook')
+    await assertExternalUrl('http://[2001:4860:4860::8888]/')
+    await assertExternalUrl('http://172.32.0.1/')
+  })
+
+  test('acepta los hosts de WEBHOOK_ALLOWED_HOSTS, sin distinguir mayúsculas', async () => {
+    await assertExternalUrl('http://10.0.0.5:9000/hook')
+    await assertExternalUrl('https://CI.interno/hook')
+  })
+
+  test('rechaza los hosts que no existen', async () => {
+    await assert.rejects(assertExternalUrl('http://no-existe.invalid/'), /No se encuentra el host/)
+  })
+})
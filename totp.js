@@ -0,0 +1,114 @@
+// --- Códigos de un Solo Uso (TOTP) para la Verificación en Dos Pasos ---
+
+// Implementa TOTP (RFC 6238), el algoritmo de las apps de autenticación (Google Authenticator,
+// Authy, 1Password...): el servidor y la app comparten un secreto y, cada 30 segundos, ambos
+// calculan el mismo código de 6 dígitos a partir de ese secreto y de la hora actual.
+// Solo usa `node:crypto`: no hace falta ninguna librería externa.
+//
+// El secreto se intercambia en Base32 (RFC 4648), que es lo que esperan las apps,
+// normalmente dentro de una URI `otpauth://` que se puede escribir a mano o convertir en un QR.
+
+import crypto from 'crypto'
+
+// Parámetros estándar: los que usan por defecto todas las apps.
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+// Cuántos pasos de 30 s antes o después del actual aceptamos, por si el reloj del móvil no va en hora.
+const DRIFT_STEPS = 1
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * Codifica bytes en Base32, sin el relleno `=` (las apps no lo necesitan).
+ * @param {Buffer} buffer - Los bytes.
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = ''
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0')
+  let output = ''
+  for (let i = 0; i < bits.length; i += 5) output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+  return output
+}
+
+/**
+ * Decodifica un texto en Base32 (sin distinguir mayúsculas e ignorando espacios y relleno).
+ * @param {string} text - El texto.
+ * @returns {Buffer}
+ */
+const base32Decode = (text) => {
+  let bits = ''
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value === -1) throw new Error('El secreto no es Base32 válido.')
+    bits += value.toString(2).padStart(5, '0')
+  }
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  return Buffer.from(bytes)
+}
+
+/**
+ * Calcula el código HOTP (RFC 4226) de un contador. TOTP es HOTP usando como contador el paso de tiempo.
+ * @param {Buffer} key - El secreto.
+ * @param {number} counter - El contador.
+ * @returns {string} - El código, con ceros a la izquierda.
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac('sha1', key).update(message).digest()
+  // "Truncado dinámico": los 4 bits finales del HMAC dicen de dónde leer los 4 bytes del código.
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return String(code).padStart(DIGITS, '0')
+}
+
+export class Totp {
+  /**
+   * Genera un secreto nuevo (160 bits, el tamaño que recomienda el RFC para SHA-1).
+   * @returns {string} - El secreto en Base32.
+   */
+  static generateSecret () {
+    return base32Encode(crypto.randomBytes(20))
+  }
+
+  /**
+   * Construye la URI `otpauth://` que entienden las apps de autenticación (y los generadores de QR).
+   * @param {object} params
+   * @param {string} params.secret - El secreto en Base32.
+   * @param {string} params.account - El nombre de la cuenta (el username).
+   * @param {string} params.issuer - El nombre del servicio, tal y como aparecerá en la app.
+   * @returns {string}
+   */
+  static uri ({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`)
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS })
+    return `otpauth://totp/${label}?${params}`
+  }
+
+  /**
+   * Comprueba un código. Para que un mismo código no se pueda usar dos veces, solo se aceptan
+   * pasos de tiempo posteriores a `lastStep` (el del último código aceptado).
+   * @param {object} params
+   * @param {string} params.secret - El secreto en Base32.
+   * @param {string} params.code - El código que ha escrito el usuario.
+   * @param {number} [params.lastStep=0] - El paso del último código aceptado.
+   * @param {number} [params.now=Date.now()] - La hora actual (ms).
+   * @returns {number|null} - El paso de tiempo del código si es válido (hay que guardarlo como `lastStep`), o `null`.
+   */
+  static verify ({ secret, code, lastStep = 0, now = Date.now() }) {
+    const normalized = String(code ?? '').replace(/\s/g, '')
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null
+
+    const key = base32Decode(secret)
+    const current = Math.floor(now / 1000 / STEP_SECONDS)
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (step <= lastStep) continue
+      // Comparación en tiempo constante, como con los hashes de contraseñas.
+      if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) return step
+    }
+    return null
+  }
+}
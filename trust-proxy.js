@@ -0,0 +1,17 @@
+// --- Proxies de Confianza ---
+
+// Convierte `TRUST_PROXY` (ver `config.js`) en el valor que espera la opción "trust proxy" de Express.
+// Las variables de entorno siempre llegan como texto, y Express no entiende 'true' ni '1' como texto:
+// 'true' lo tomaría por el nombre de una IP y '1' por una dirección, no por un número de saltos.
+
+/**
+ * @param {string} value - El valor de `TRUST_PROXY`.
+ * @returns {boolean|number|string} - `false`, `true`, el número de saltos o la lista de IPs y subredes.
+ */
+export function parseTrustProxy (value) {
+  const text = String(value ?? '').trim()
+  if (text === '' || text === 'false') return false
+  if (text === 'true') return true
+  if (/^\d+$/.test(text)) return Number(text)
+  return text
+}
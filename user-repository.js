@@ -3,27 +3,196 @@
 // Este archivo implementa el patrón de diseño "Repository".
 // El objetivo de un repositorio es encapsular la lógica de acceso a los datos,
 // separándola del resto de la lógica de la aplicación (la lógica de negocio).
-// De esta forma, si en el futuro quisiéramos cambiar de una base de datos local (DBLocal)
-// a una más robusta como MongoDB o PostgreSQL, solo tendríamos que modificar este archivo,
-// sin tocar el resto del código del servidor (como `index.js`).
+//
+// Dónde se guardan los usuarios lo decide un "almacén" (ver la carpeta `user-stores/`), elegido con
+// `USER_STORE` en `config.js`: archivos JSON locales (`db-local`) o MongoDB (`mongodb`).
+// Todos los almacenes tienen la misma interfaz, así que este archivo y el resto del servidor
+// (como `index.js`) no cambian al pasar de uno a otro.
 
-import DBLocal from 'db-local'
 import crypto from 'crypto'
 import bcrypt from 'bcrypt'
-import { SALT_ROUND } from './config.js'
+import { SALT_ROUND, ADMIN_USERNAMES, LOGIN_MAX_FAILURES, LOGIN_MAX_FAILURES_PER_IP, LOGIN_LOCKOUT_MINUTES, USER_STORE, TOTP_ISSUER } from './config.js'
+import { RateLimiter, TooManyAttemptsError } from './rate-limiter.js'
+import { Totp } from './totp.js'
+import { DbLocalUserStore } from './user-stores/db-local.js'
+import { MongoUserStore } from './user-stores/mongodb.js'
 
-// Inicializamos la base de datos local, que guardará los datos en un archivo dentro de la carpeta './db'.
-const { Schema } = new DBLocal({ path: './db' })
+// Almacenes disponibles, por el nombre con el que se eligen en `USER_STORE`.
+const STORES = { 'db-local': DbLocalUserStore, mongodb: MongoUserStore }
 
-// Definimos el "esquema" para nuestros usuarios.
-// Un esquema es la estructura que deben tener los objetos que guardamos en la base de datos.
-const User = Schema('User', {
-  _id: { type: String, required: true },
-  username: { type: String, required: true },
-  password: { type: String, required: true }
+const store = STORES[USER_STORE]
+if (!store) throw new Error(`USER_STORE debe ser uno de: ${Object.keys(STORES).join(', ')}.`)
+
+// Roles posibles, de menor a mayor nivel de permisos:
+// - member: usuario normal.
+// - moderator: además puede borrar cualquier mensaje y silenciar usuarios.
+// - admin: además puede suspender cuentas y cambiar el rol de otros usuarios.
+export const ROLES = ['member', 'moderator', 'admin']
+
+/**
+ * Comprueba si un usuario tiene, como mínimo, un rol determinado.
+ * Los usuarios creados antes de que existieran los roles no tienen `role`: cuentan como 'member'.
+ * @param {object} user - El usuario.
+ * @param {string} role - El rol mínimo necesario.
+ * @returns {boolean}
+ */
+export const hasRole = (user, role) => ROLES.indexOf(user?.role ?? 'member') >= ROLES.indexOf(role)
+
+/**
+ * Comprueba si `actor` puede aplicar una acción de moderación sobre `target`.
+ * Solo se puede moderar a usuarios con un rol inferior al propio (un moderador no puede
+ * silenciar a otro moderador ni a un administrador) y nunca a uno mismo.
+ * @param {object} actor - Quien modera.
+ * @param {object} target - El usuario moderado.
+ * @returns {boolean}
+ */
+export const canModerate = (actor, target) =>
+  actor.username !== target.username &&
+  ROLES.indexOf(actor.role ?? 'member') > ROLES.indexOf(target.role ?? 'member')
+
+// Intentos fallidos de login, por cuenta y por IP. Superar cualquiera de los dos límites
+// bloquea temporalmente los logins de esa cuenta o desde esa IP (aunque la contraseña sea correcta).
+const lockoutMs = Number(LOGIN_LOCKOUT_MINUTES) * 60 * 1000
+const failuresByAccount = new RateLimiter({ limit: LOGIN_MAX_FAILURES, windowMs: lockoutMs })
+const failuresByIp = new RateLimiter({ limit: LOGIN_MAX_FAILURES_PER_IP, windowMs: lockoutMs })
+
+/**
+ * Devuelve la clave de una cuenta en `failuresByAccount`: su `_id`, no el nombre tal y como se escribió.
+ * Con un almacén que no distingue mayúsculas, "ana", "Ana" y "ANA" son la misma cuenta y deben
+ * compartir el mismo límite de intentos (y el `_id` tampoco cambia si la cuenta se renombra).
+ * @param {object} user - El documento del usuario.
+ * @returns {string}
+ */
+const accountKey = (user) => String(user._id)
+
+/**
+ * Lanza un `TooManyAttemptsError` si la cuenta está bloqueada por demasiados fallos.
+ * @param {object} user - El documento del usuario.
+ */
+const ensureAccountNotLocked = (user) => {
+  const retryAfterMs = failuresByAccount.retryAfter(accountKey(user))
+  if (retryAfterMs) throw new TooManyAttemptsError('Demasiados intentos fallidos. Inténtalo de nuevo más tarde.', retryAfterMs)
+}
+
+/**
+ * Elimina la contraseña (incluso el hash) y los secretos de la verificación en dos pasos
+ * de un usuario antes de devolverlo.
+ * @param {object} user - El documento del usuario.
+ * @returns {object}
+ */
+const toPublicUser = ({ password: _, totpSecret, totpPendingSecret, totpLastStep, recoveryCodes, totpEnabled, ...publicUser }) => ({
+  role: 'member',
+  banned: false,
+  mutedUntil: 0,
+  lastSeenAt: 0,
+  displayName: null,
+  avatarId: null,
+  ...publicUser,
+  twoFactorEnabled: Boolean(totpEnabled)
+})
+
+// Cuántos códigos de recuperación se generan al activar la verificación en dos pasos.
+const RECOVERY_CODE_COUNT = 10
+
+/**
+ * Calcula el hash que guardamos de un código de recuperación. Como los refresh tokens, son aleatorios
+ * y largos, así que basta un SHA-256. Se normalizan para aceptarlos con o sin guion y en mayúsculas.
+ * @param {string} code - El código.
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^0-9a-f]/g, '')).digest('hex')
+
+/**
+ * Genera los códigos de recuperación de un usuario, con formato `xxxxx-xxxxx`.
+ * @returns {string[]} - Los códigos en claro (solo se muestran una vez).
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex')
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`
 })
 
+/**
+ * Comprueba el segundo factor de un usuario: un código TOTP de su app o uno de sus códigos de
+ * recuperación. Un código aceptado ya no vale más: el TOTP guarda su paso de tiempo y el de
+ * recuperación se borra.
+ * @param {object} user - El documento del usuario (con sus secretos).
+ * @param {string} code - El código que ha escrito.
+ * @returns {Promise<boolean>}
+ */
+const checkSecondFactor = async (user, code) => {
+  const step = Totp.verify({ secret: user.totpSecret, code, lastStep: user.totpLastStep ?? 0 })
+  if (step) {
+    await store.update(user.username, { totpLastStep: step })
+    return true
+  }
+
+  const hash = hashRecoveryCode(code)
+  if (typeof code === 'string' && code.trim() && (user.recoveryCodes ?? []).includes(hash)) {
+    await store.update(user.username, { recoveryCodes: user.recoveryCodes.filter(stored => stored !== hash) })
+    return true
+  }
+  return false
+}
+
+/**
+ * Devuelve lo que los demás usuarios ven de alguien en el chat: su nombre visible y su avatar.
+ * @param {object} user - El usuario (con o sin contraseña).
+ * @returns {{ username: string, displayName: string|null, avatarUrl: string|null }}
+ */
+export const toPublicProfile = (user) => ({
+  username: user.username,
+  displayName: user.displayName ?? null,
+  avatarUrl: user.avatarId ? `/avatars/${user.avatarId}` : null
+})
+
+/**
+ * Aplica cambios a un usuario existente y lo guarda.
+ * @param {string} username - El usuario.
+ * @param {object} values - Los campos a modificar.
+ * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+ */
+const updateUser = async (username, values) => {
+  const user = await store.update(username, values)
+  if (!user) throw new Error(`El usuario '${username}' no existe.`)
+  return toPublicUser(user)
+}
+
+/**
+ * Vuelve a pedir la contraseña antes de un cambio delicado en la cuenta (contraseña, nombre, borrado).
+ * Los fallos cuentan para el mismo bloqueo por cuenta que los del login: una sesión robada
+ * no sirve para adivinar la contraseña.
+ * @param {string} username - El usuario.
+ * @param {string} password - La contraseña actual, en texto plano.
+ * @returns {Promise<object>} - El documento del usuario (con el hash de la contraseña).
+ * @throws {TooManyAttemptsError} - Si la cuenta está bloqueada por demasiados fallos.
+ */
+const verifyPassword = async (username, password) => {
+  const user = await store.findByUsername(username)
+  if (!user) throw new Error(`El usuario '${username}' no existe.`)
+  ensureAccountNotLocked(user)
+  if (typeof password !== 'string' || !await bcrypt.compare(password, user.password)) {
+    failuresByAccount.hit(accountKey(user))
+    throw new Error('La contraseña actual es incorrecta.')
+  }
+  return user
+}
+
 export class UserRepository {
+  /**
+   * Prepara el almacén de usuarios (índices, etc.). Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    await store.init()
+  }
+
+  /**
+   * Comprueba que el almacén de usuarios responde (ver `/readyz`).
+   * @throws {Error} - Si no responde.
+   */
+  static async ping () {
+    await store.ping()
+  }
+
   /**
    * Crea un nuevo usuario en la base de datos.
    * @param {object} params - Los parámetros para crear el usuario.
@@ -37,7 +206,8 @@ export class UserRepository {
     Validation.password(password)
 
     // 2. Verificamos si el nombre de usuario ya existe para evitar duplicados.
-    const user = User.findOne({ username })
+    //    (El almacén lo vuelve a comprobar al guardar, por si dos registros llegan a la vez.)
+    const user = await store.findByUsername(username)
     if (user) throw new Error(`El usuario '${username}' ya está registrado.`)
 
     // 3. Generamos un ID único universal para el nuevo usuario.
@@ -48,11 +218,17 @@ export class UserRepository {
     const hashedPassword = await bcrypt.hash(password, SALT_ROUND)
 
     // 5. Creamos el nuevo usuario en la base de datos con el ID y la contraseña hasheada.
-    User.create({
+    //    Los usuarios listados en ADMIN_USERNAMES nacen como administradores.
+    const admins = ADMIN_USERNAMES.split(',').map(name => name.trim())
+    await store.insert({
       _id: id, // Usamos _id para mantener consistencia con MongoDB.
       username,
-      password: hashedPassword
-    }).save()
+      password: hashedPassword,
+      role: admins.includes(username) ? 'admin' : 'member',
+      banned: false,
+      mutedUntil: 0,
+      lastSeenAt: 0
+    })
 
     return id
   }
@@ -62,27 +238,283 @@ export class UserRepository {
    * @param {object} params - Los parámetros de login.
    * @param {string} params.username - El nombre de usuario.
    * @param {string} params.password - La contraseña en texto plano para comparar.
+   * @param {string} [params.ip] - La IP desde la que se intenta (para limitar los intentos por IP).
    * @returns {Promise<object>} - El objeto del usuario sin la contraseña.
+   * @throws {TooManyAttemptsError} - Si la cuenta o la IP están bloqueadas por demasiados fallos.
    */
-  static async login ({ username, password }) {
+  static async login ({ username, password, ip = 'desconocida' }) {
     // 1. Validamos las entradas.
     Validation.username(username)
     Validation.password(password)
 
     // 2. Buscamos al usuario por su nombre de usuario.
-    const user = User.findOne({ username })
-    if (!user) throw new Error('El usuario no existe en nuestra base de datos.')
+    const user = await store.findByUsername(username)
+
+    // 3. Si la cuenta o la IP acumulan demasiados fallos, ni siquiera comprobamos la contraseña:
+    //    así un atacante no puede seguir probando hasta que termine el bloqueo.
+    //    La cuenta se identifica por su `_id` (ver `accountKey`), no por cómo se escribió el nombre.
+    const retryAfterMs = Math.max(user ? failuresByAccount.retryAfter(accountKey(user)) : 0, failuresByIp.retryAfter(ip))
+    if (retryAfterMs) {
+      const minutes = Math.ceil(retryAfterMs / 60000)
+      throw new TooManyAttemptsError(`Demasiados intentos fallidos. Inténtalo de nuevo en ${minutes} ${minutes === 1 ? 'minuto' : 'minutos'}.`, retryAfterMs)
+    }
+    if (!user) {
+      failuresByIp.hit(ip)
+      throw new Error('El usuario no existe en nuestra base de datos.')
+    }
 
-    // 3. Comparamos la contraseña proporcionada con el hash almacenado.
+    // 4. Comparamos la contraseña proporcionada con el hash almacenado.
     //    `bcrypt.compare` es una función segura que previene ataques de temporización.
+    //    Cada fallo cuenta tanto para la cuenta como para la IP.
     const isValid = await bcrypt.compare(password, user.password)
-    if (!isValid) throw new Error('La contraseña es incorrecta.')
+    if (!isValid) {
+      failuresByAccount.hit(accountKey(user))
+      failuresByIp.hit(ip)
+      throw new Error('La contraseña es incorrecta.')
+    }
+    failuresByAccount.reset(accountKey(user))
 
-    // 4. Si la contraseña es válida, preparamos el objeto de usuario para devolverlo.
+    // 5. Una cuenta suspendida no puede iniciar sesión, aunque la contraseña sea correcta.
+    if (user.banned) throw new Error('Esta cuenta ha sido suspendida.')
+
+    // 6. Si la contraseña es válida, preparamos el objeto de usuario para devolverlo.
     //    Es una práctica de seguridad CRÍTICA eliminar la contraseña (incluso el hash)
     //    antes de enviar los datos del usuario a cualquier otra parte de la aplicación.
-    const { password: _, ...publicUser } = user
-    return publicUser
+    //    Si tiene activada la verificación en dos pasos (`twoFactorEnabled`), quien llama
+    //    todavía debe pedir el código y comprobarlo con `verifySecondFactor`.
+    return toPublicUser(user)
+  }
+
+  /**
+   * Segundo paso del login para las cuentas con verificación en dos pasos: comprueba el código
+   * de la app de autenticación (o un código de recuperación).
+   * Los fallos cuentan para el mismo bloqueo por cuenta que las contraseñas incorrectas.
+   * @param {object} params
+   * @param {string} params.username - El usuario (que ya ha superado el primer paso).
+   * @param {string} params.code - El código.
+   * @returns {Promise<object>} - El usuario sin la contraseña ni los secretos.
+   * @throws {TooManyAttemptsError} - Si la cuenta está bloqueada por demasiados fallos.
+   */
+  static async verifySecondFactor ({ username, code }) {
+    const user = await store.findByUsername(username)
+    if (!user?.totpEnabled) throw new Error('Esta cuenta no tiene activada la verificación en dos pasos.')
+    ensureAccountNotLocked(user)
+    if (user.banned) throw new Error('Esta cuenta ha sido suspendida.')
+
+    if (!await checkSecondFactor(user, code)) {
+      failuresByAccount.hit(accountKey(user))
+      throw new Error('El código no es correcto.')
+    }
+    failuresByAccount.reset(accountKey(user))
+    return toPublicUser(user)
+  }
+
+  /**
+   * Primer paso para activar la verificación en dos pasos: genera un secreto nuevo, que no
+   * se usa hasta que el usuario demuestre (con `enableTwoFactor`) que lo ha guardado en su app.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string} params.password - La contraseña actual.
+   * @returns {Promise<{ secret: string, otpauthUri: string }>} - El secreto y la URI para la app.
+   */
+  static async beginTwoFactorSetup ({ username, password }) {
+    const user = await verifyPassword(username, password)
+    if (user.totpEnabled) throw new Error('La verificación en dos pasos ya está activada.')
+
+    const secret = Totp.generateSecret()
+    await updateUser(username, { totpPendingSecret: secret })
+    return { secret, otpauthUri: Totp.uri({ secret, account: user.username, issuer: TOTP_ISSUER }) }
+  }
+
+  /**
+   * Segundo paso para activar la verificación en dos pasos: comprueba un código generado con el
+   * secreto pendiente y, si es correcto, lo activa y genera los códigos de recuperación.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string} params.code - Un código de la app de autenticación.
+   * @returns {Promise<string[]>} - Los códigos de recuperación en claro. Es la única vez que se pueden ver.
+   */
+  static async enableTwoFactor ({ username, code }) {
+    const user = await store.findByUsername(username)
+    if (!user) throw new Error(`El usuario '${username}' no existe.`)
+    if (user.totpEnabled) throw new Error('La verificación en dos pasos ya está activada.')
+    if (!user.totpPendingSecret) throw new Error('Primero hay que empezar la configuración.')
+
+    const step = Totp.verify({ secret: user.totpPendingSecret, code })
+    if (!step) throw new Error('El código no es correcto. Comprueba que la hora del dispositivo es la correcta.')
+
+    const recoveryCodes = generateRecoveryCodes()
+    await updateUser(username, {
+      totpEnabled: true,
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpLastStep: step,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+    })
+    return recoveryCodes
+  }
+
+  /**
+   * Desactiva la verificación en dos pasos. Pide la contraseña y un código (de la app o de recuperación):
+   * con solo una sesión abierta, o solo la contraseña, no basta.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string} params.password - La contraseña actual.
+   * @param {string} params.code - Un código de la app o de recuperación.
+   * @throws {TooManyAttemptsError} - Si la cuenta está bloqueada por demasiados fallos.
+   */
+  static async disableTwoFactor ({ username, password, code }) {
+    const user = await verifyPassword(username, password)
+    if (!user.totpEnabled) throw new Error('La verificación en dos pasos no está activada.')
+    if (!await checkSecondFactor(user, code)) {
+      failuresByAccount.hit(accountKey(user))
+      throw new Error('El código no es correcto.')
+    }
+
+    await updateUser(username, { totpEnabled: false, totpSecret: null, totpPendingSecret: null, totpLastStep: 0, recoveryCodes: [] })
+  }
+
+  /**
+   * Busca un usuario por su nombre de usuario.
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<object|null>} - El usuario sin la contraseña, o `null` si no existe.
+   */
+  static async findByUsername (username) {
+    if (typeof username !== 'string') return null
+    const user = await store.findByUsername(username)
+    return user ? toPublicUser(user) : null
+  }
+
+  /**
+   * Lista todos los usuarios registrados, ordenados por nombre.
+   * @returns {Promise<object[]>} - Los usuarios sin la contraseña.
+   */
+  static async list () {
+    const users = await store.list()
+    return users.map(toPublicUser).sort((a, b) => a.username.localeCompare(b.username))
+  }
+
+  /**
+   * Guarda el momento en que un usuario dejó de estar conectado.
+   * @param {string} username - El usuario.
+   * @param {number} [at=Date.now()] - Marca de tiempo (ms).
+   * @returns {Promise<boolean>} - `false` si el usuario ya no existe (se ha renombrado o ha borrado su cuenta).
+   */
+  static async touchLastSeen (username, at = Date.now()) {
+    return Boolean(await store.update(username, { lastSeenAt: at }))
+  }
+
+  /**
+   * Cambia el rol de un usuario.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string} params.role - El nuevo rol (uno de `ROLES`).
+   * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+   */
+  static async setRole ({ username, role }) {
+    if (!ROLES.includes(role)) throw new Error(`El rol debe ser uno de: ${ROLES.join(', ')}.`)
+    return updateUser(username, { role })
+  }
+
+  /**
+   * Suspende (banea) o reactiva una cuenta.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {boolean} params.banned - `true` para suspenderla, `false` para reactivarla.
+   * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+   */
+  static async setBanned ({ username, banned }) {
+    return updateUser(username, { banned: Boolean(banned) })
+  }
+
+  /**
+   * Silencia a un usuario hasta una fecha (o quita el silencio pasando `0`).
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {number} params.until - Marca de tiempo (ms) hasta la que no podrá escribir.
+   * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+   */
+  static async mute ({ username, until }) {
+    return updateUser(username, { mutedUntil: until })
+  }
+
+  /**
+   * Cambia el nombre visible de un usuario (el que se muestra en sus mensajes).
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string|null} params.displayName - El nombre visible. Vacío o `null` para usar el username.
+   * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+   */
+  static async updateProfile ({ username, displayName }) {
+    Validation.displayName(displayName)
+    return updateUser(username, { displayName: displayName?.trim() || null })
+  }
+
+  /**
+   * Cambia el avatar de un usuario.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string|null} params.avatarId - El ID de la imagen (ver `avatar-repository.js`), o `null` para quitarlo.
+   * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+   */
+  static async setAvatar ({ username, avatarId }) {
+    return updateUser(username, { avatarId })
+  }
+
+  /**
+   * Cambia la contraseña de un usuario, comprobando antes la actual.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string} params.currentPassword - La contraseña actual.
+   * @param {string} params.newPassword - La contraseña nueva.
+   */
+  static async changePassword ({ username, currentPassword, newPassword }) {
+    Validation.password(newPassword)
+    await verifyPassword(username, currentPassword)
+    await updateUser(username, { password: await bcrypt.hash(newPassword, SALT_ROUND) })
+  }
+
+  /**
+   * Cambia el nombre de usuario (con el que se inicia sesión), comprobando antes la contraseña.
+   * Solo cambia la cuenta: el resto de datos que guardan el username (mensajes, salas...)
+   * los actualiza quien llama.
+   * @param {object} params
+   * @param {string} params.username - El nombre actual.
+   * @param {string} params.newUsername - El nombre nuevo. No puede estar ocupado.
+   * @param {string} params.password - La contraseña actual.
+   * @returns {Promise<object>} - El usuario actualizado, sin la contraseña.
+   */
+  static async rename ({ username, newUsername, password }) {
+    Validation.username(newUsername)
+    await verifyPassword(username, password)
+    if (newUsername === username) throw new Error('El nombre nuevo es igual al actual.')
+    // El almacén vuelve a comprobar que está libre al guardar, por si otro lo ocupa a la vez.
+    const taken = await store.findByUsername(newUsername)
+    if (taken && taken.username !== username) throw new Error(`El usuario '${newUsername}' ya está registrado.`)
+    return updateUser(username, { username: newUsername })
+  }
+
+  /**
+   * Borra una cuenta, comprobando antes la contraseña.
+   * Igual que `rename`, los demás datos del usuario los borra o anonimiza quien llama.
+   * @param {object} params
+   * @param {string} params.username - El usuario.
+   * @param {string} params.password - La contraseña actual.
+   * @returns {Promise<object>} - El usuario borrado, sin la contraseña.
+   */
+  static async remove ({ username, password }) {
+    const user = await verifyPassword(username, password)
+    await store.remove(username)
+    return toPublicUser(user)
+  }
+
+  /**
+   * Comprueba si existe un usuario registrado con ese nombre.
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<boolean>}
+   */
+  static async exists (username) {
+    return Boolean(await UserRepository.findByUsername(username))
   }
 }
 
@@ -108,4 +540,15 @@ class Validation {
     if (typeof username !== 'string') throw new Error('El nombre de usuario debe ser un texto.')
     if (username.length < 3) throw new Error('El nombre de usuario debe tener al menos 3 caracteres.')
   }
+
+  /**
+   * Valida el nombre visible.
+   * @param {string|null} displayName - El nombre a validar (`null` o vacío para no tener ninguno).
+   */
+  static displayName (displayName) {
+    if (displayName === null || displayName === undefined) return
+    if (typeof displayName !== 'string') throw new Error('El nombre visible debe ser un texto.')
+    if (displayName.trim().length > 40) throw new Error('El nombre visible no puede superar los 40 caracteres.')
+    if (/\p{Cc}/u.test(displayName)) throw new Error('El nombre visible no puede contener caracteres de control.')
+  }
 }
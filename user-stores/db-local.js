@@ -0,0 +1,116 @@
+// --- Almacén de Usuarios: db-local (archivos JSON) ---
+
+// Guarda los usuarios en archivos JSON dentro de la carpeta `./db`, con la librería `db-local`.
+// Es el almacén original de la aplicación: no necesita ningún servidor, pero no escala ni admite
+// varios procesos escribiendo a la vez. Las búsquedas por nombre distinguen mayúsculas.
+//
+// Todos los almacenes de usuarios (ver `user-repository.js`) tienen la misma interfaz asíncrona:
+// `init`, `ping`, `findByUsername`, `insert`, `update`, `remove` y `list`. Los documentos que devuelven incluyen el
+// hash de la contraseña: es el repositorio quien lo quita antes de entregarlos al resto de la app.
+
+import DBLocal from 'db-local'
+import { access, constants } from 'node:fs/promises'
+
+const DB_PATH = './db'
+
+// Inicializamos la base de datos local, que guardará los datos en un archivo dentro de la carpeta './db'.
+const { Schema } = new DBLocal({ path: DB_PATH })
+
+// Definimos el "esquema" para nuestros usuarios.
+// Un esquema es la estructura que deben tener los objetos que guardamos en la base de datos.
+const User = Schema('User', {
+  _id: { type: String, required: true },
+  username: { type: String, required: true },
+  password: { type: String, required: true },
+  // Los valores posibles de `role` están en `ROLES` (user-repository.js).
+  role: { type: String, default: 'member' },
+  // Una cuenta suspendida (baneada) no puede iniciar sesión ni conectarse al chat.
+  banned: { type: Boolean, default: false },
+  // Marca de tiempo (ms) hasta la que el usuario no puede escribir mensajes. 0 = no silenciado.
+  mutedUntil: { type: Number, default: 0 },
+  // Marca de tiempo (ms) de la última vez que el usuario estuvo conectado al chat. 0 = nunca.
+  lastSeenAt: { type: Number, default: 0 },
+  // Perfil: el nombre que se muestra en los mensajes y el ID de su avatar (ver `avatar-repository.js`).
+  // `db-local` descarta los campos que no están en el esquema, así que hay que declararlos todos.
+  // Tampoco admite `null` en un campo de texto: "sin valor" se guarda como campo ausente (ver `update`).
+  displayName: { type: String },
+  avatarId: { type: String },
+  // Verificación en dos pasos (ver `totp.js`): el secreto activo, el que se está configurando,
+  // el paso de tiempo del último código aceptado y los hashes de los códigos de recuperación.
+  totpEnabled: { type: Boolean, default: false },
+  totpSecret: { type: String },
+  totpPendingSecret: { type: String },
+  totpLastStep: { type: Number, default: 0 },
+  recoveryCodes: { type: [String], default: () => [] }
+})
+
+export class DbLocalUserStore {
+  /**
+   * No hay nada que preparar: `db-local` crea la carpeta y los archivos al escribir.
+   */
+  static async init () {}
+
+  /**
+   * Comprueba que el almacén está disponible: que se puede leer y escribir en su carpeta.
+   * @throws {Error} - Si no se puede.
+   */
+  static async ping () {
+    await access(DB_PATH, constants.R_OK | constants.W_OK)
+  }
+
+  /**
+   * Busca un usuario por su nombre (distinguiendo mayúsculas).
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<object|null>}
+   */
+  static async findByUsername (username) {
+    return User.findOne({ username }) ?? null
+  }
+
+  /**
+   * Guarda un usuario nuevo.
+   * @param {object} user - El documento completo del usuario (con `_id` y el hash de la contraseña).
+   */
+  static async insert (user) {
+    if (User.findOne({ username: user.username })) throw new Error(`El usuario '${user.username}' ya está registrado.`)
+    User.create(user).save()
+  }
+
+  /**
+   * Modifica algunos campos de un usuario.
+   * @param {string} username - El nombre de usuario.
+   * @param {object} values - Los campos a modificar.
+   * @returns {Promise<object|null>} - El usuario actualizado, o `null` si no existe.
+   */
+  static async update (username, values) {
+    const user = User.findOne({ username })
+    if (!user) return null
+    // Al renombrar, el nombre nuevo puede estar ya ocupado (por otro usuario: cambiar solo
+    // las mayúsculas del propio nombre está permitido).
+    const taken = values.username && User.findOne({ username: values.username })
+    if (taken && taken._id !== user._id) throw new Error(`El usuario '${values.username}' ya está registrado.`)
+    // `null` significa "quitar el valor": para `db-local` es dejar el campo sin definir.
+    const cleaned = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value ?? undefined]))
+    return user.update(cleaned).save()
+  }
+
+  /**
+   * Borra un usuario.
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<boolean>} - `true` si existía.
+   */
+  static async remove (username) {
+    const user = User.findOne({ username })
+    if (!user) return false
+    user.remove()
+    return true
+  }
+
+  /**
+   * Devuelve todos los usuarios.
+   * @returns {Promise<object[]>}
+   */
+  static async list () {
+    return User.find()
+  }
+}
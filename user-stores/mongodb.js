@@ -0,0 +1,93 @@
+// --- Almacén de Usuarios: MongoDB ---
+
+// Guarda los usuarios en la colección `users` de la misma base de datos MongoDB que los mensajes.
+// A diferencia de `db-local`, admite varios procesos a la vez y no carga todos los usuarios en memoria.
+//
+// Los nombres de usuario no distinguen mayúsculas: "Ana" y "ana" son la misma cuenta. Para eso el
+// índice único y todas las consultas por nombre usan la misma "collation" (reglas de comparación)
+// con `strength: 2`, que ignora mayúsculas y minúsculas pero no los acentos.
+// La interfaz es la misma que la de `db-local.js`.
+
+import { db } from '../db.js'
+
+const users = db.collection('users')
+
+const caseInsensitive = { locale: 'en', strength: 2 }
+
+export class MongoUserStore {
+  /**
+   * Crea el índice único de nombres de usuario. Se llama una sola vez al arrancar.
+   */
+  static async init () {
+    await users.createIndex({ username: 1 }, { unique: true, collation: caseInsensitive })
+  }
+
+  /**
+   * Comprueba que el almacén está disponible: que MongoDB responde.
+   * @throws {Error} - Si no responde.
+   */
+  static async ping () {
+    await db.command({ ping: 1 })
+  }
+
+  /**
+   * Busca un usuario por su nombre (sin distinguir mayúsculas).
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<object|null>}
+   */
+  static async findByUsername (username) {
+    return users.findOne({ username }, { collation: caseInsensitive })
+  }
+
+  /**
+   * Guarda un usuario nuevo.
+   * @param {object} user - El documento completo del usuario (con `_id` y el hash de la contraseña).
+   */
+  static async insert (user) {
+    try {
+      await users.insertOne(user)
+    } catch (error) {
+      // 11000 es el código de MongoDB para "clave duplicada" (viola el índice único del nombre).
+      if (error.code === 11000) throw new Error(`El usuario '${user.username}' ya está registrado.`)
+      throw error
+    }
+  }
+
+  /**
+   * Modifica algunos campos de un usuario.
+   * @param {string} username - El nombre de usuario.
+   * @param {object} values - Los campos a modificar.
+   * @returns {Promise<object|null>} - El usuario actualizado, o `null` si no existe.
+   */
+  static async update (username, values) {
+    try {
+      return await users.findOneAndUpdate(
+        { username },
+        { $set: values },
+        { collation: caseInsensitive, returnDocument: 'after' }
+      )
+    } catch (error) {
+      // Al renombrar, el nombre nuevo puede estar ya ocupado.
+      if (error.code === 11000) throw new Error(`El usuario '${values.username}' ya está registrado.`)
+      throw error
+    }
+  }
+
+  /**
+   * Borra un usuario.
+   * @param {string} username - El nombre de usuario.
+   * @returns {Promise<boolean>} - `true` si existía.
+   */
+  static async remove (username) {
+    const result = await users.deleteOne({ username }, { collation: caseInsensitive })
+    return result.deletedCount > 0
+  }
+
+  /**
+   * Devuelve todos los usuarios.
+   * @returns {Promise<object[]>}
+   */
+  static async list () {
+    return users.find().toArray()
+  }
+}
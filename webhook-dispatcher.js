@@ -0,0 +1,155 @@
+// --- Entrega de los Webhooks de Salida ---
+
+// Envía cada mensaje nuevo de un canal a los webhooks de salida interesados (ver `webhook-repository.js`).
+// Cada envío es un POST con este cuerpo JSON:
+//
+//   { "event": "message.created", "room": { "id", "name" }, "message": { "id", "user", "content", ... } }
+//
+// y estas cabeceras, para que el receptor compruebe que viene de nosotros y no lo procese dos veces:
+// - `X-Webhook-Timestamp`: la hora del envío (segundos desde 1970).
+// - `X-Webhook-Signature`: `sha256=` + el HMAC-SHA256, con el secreto del webhook, de `<timestamp>.<cuerpo>`.
+// - `X-Webhook-Delivery`: un ID que se repite en los reintentos del mismo mensaje.
+//
+// Si el receptor no responde, tarda demasiado o responde con un error 5xx o 429, se reintenta con
+// esperas crecientes (ver `WEBHOOK_RETRY_BASE_MS`). Los demás errores 4xx no se reintentan:
+// repetir la misma petición daría el mismo resultado. Los reintentos pendientes viven en memoria,
+// así que se pierden si el servidor se reinicia; cada intento queda en el registro de entregas.
+//
+// Las conversaciones privadas nunca se envían, ni los mensajes de bots y webhooks de entrada:
+// así un sistema conectado en los dos sentidos no entra en un bucle. Tampoco los mensajes que se
+// autodestruyen: una copia en otro sistema ya no desaparecería.
+
+import crypto from 'crypto'
+import { Agent, fetch } from 'undici'
+import { WebhookRepository, assertExternalIp, lookupExternal } from './webhook-repository.js'
+import { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS, WEBHOOK_TIMEOUT_MS } from './config.js'
+
+// Las variables de entorno siempre llegan como texto: las convertimos a número una sola vez.
+const maxAttempts = Number(WEBHOOK_MAX_ATTEMPTS)
+const retryBaseMs = Number(WEBHOOK_RETRY_BASE_MS)
+const timeoutMs = Number(WEBHOOK_TIMEOUT_MS)
+
+// Las conexiones a los webhooks resuelven el host con `lookupExternal`, que rechaza las direcciones
+// internas: se comprueba la misma dirección a la que se conecta, no una resuelta antes.
+const agent = new Agent({ connect: { lookup: lookupExternal } })
+
+/**
+ * Calcula la firma de un envío. El receptor la recalcula con el mismo secreto y la compara.
+ * @param {string} secret - El secreto del webhook.
+ * @param {number} timestamp - La hora del envío (segundos).
+ * @param {string} body - El cuerpo, tal cual se envía.
+ * @returns {string} - El valor de la cabecera `X-Webhook-Signature`.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+
+export class WebhookDispatcher {
+  /**
+   * Envía un mensaje recién publicado a los webhooks de salida de su canal.
+   * No espera a las entregas: se hacen (y se reintentan) en segundo plano.
+   * @param {object} message - El mensaje publicado (ver `MessageRepository.toPublic`).
+   * @param {object} room - El documento de la sala.
+   */
+  static async dispatch (message, room) {
+    if (room.type !== 'channel' || message.bot || message.expiresAt) return
+
+    const body = JSON.stringify({
+      event: 'message.created',
+      room: { id: room._id.toString(), name: room.name },
+      message: {
+        id: message.id,
+        parentId: message.parentId,
+        user: message.user,
+        content: message.content,
+        action: message.action,
+        timestamp: message.timestamp,
+        attachments: message.attachments.map(({ name, contentType, size }) => ({ name, contentType, size }))
+      }
+    })
+
+    for (const webhook of await WebhookRepository.listOutgoingFor(room._id)) {
+      if (webhook.keyword && !message.content.toLowerCase().includes(webhook.keyword.toLowerCase())) continue
+      deliver(webhook, message.id, body, 1)
+    }
+  }
+}
+
+/**
+ * Envía (una vez, firmado) un cuerpo a un webhook de salida.
+ * @param {object} webhook - El documento del webhook (`_id`, `url` y `secret`).
+ * @param {string} messageId - El ID del mensaje.
+ * @param {string} body - El cuerpo JSON.
+ * @returns {Promise<{ status: number|null, error: string|null }>} - El código HTTP (`null` si no hubo
+ *   respuesta) y el error (`null` si el receptor respondió 2xx).
+ */
+export async function sendWebhook (webhook, messageId, body) {
+  const timestamp = Math.floor(Date.now() / 1000)
+  let status = null
+  let error = null
+
+  try {
+    // Lo comprobamos en cada envío, no solo al crearlo: el host puede resolver ahora a otra dirección.
+    // Los nombres se comprueban al conectar (ver `agent`); las direcciones IP no se resuelven, así que aquí.
+    assertExternalIp(webhook.url)
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'chat-webhooks/1.0',
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+        'X-Webhook-Delivery': `${webhook._id}:${messageId}`
+      },
+      body,
+      // No seguimos redirecciones: la URL la eligió un administrador, y solo esa.
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+      dispatcher: agent
+    })
+    status = res.status
+    // No nos interesa el cuerpo de la respuesta, pero hay que consumirlo para liberar la conexión.
+    await res.body?.cancel()
+    if (status < 200 || status >= 300) error = `Respuesta HTTP ${status}`
+  } catch (e) {
+    error = e.name === 'TimeoutError' ? `Sin respuesta en ${timeoutMs} ms` : (e.cause?.message ?? e.message)
+  }
+  return { status, error }
+}
+
+/**
+ * Decide si un envío fallido se reintenta: sí si no hubo respuesta, o si fue 429 o 5xx.
+ * @param {{ status: number|null, error: string|null }} result - El resultado de `sendWebhook`.
+ * @returns {boolean}
+ */
+export const isRetryable = ({ status, error }) => Boolean(error) && (status === null || status === 429 || status >= 500)
+
+/**
+ * Hace un intento de entrega, lo anota en el registro y, si falla y se puede reintentar, programa el siguiente.
+ * @param {object} webhook - El documento del webhook.
+ * @param {string} messageId - El ID del mensaje.
+ * @param {string} body - El cuerpo JSON.
+ * @param {number} attempt - El número de intento (empezando en 1).
+ */
+async function deliver (webhook, messageId, body, attempt) {
+  const startedAt = Date.now()
+  const { status, error } = await sendWebhook(webhook, messageId, body)
+  const nextAttemptAt = isRetryable({ status, error }) && attempt < maxAttempts ? new Date(Date.now() + retryBaseMs * 2 ** (attempt - 1)) : null
+
+  try {
+    await WebhookRepository.recordDelivery({ webhookId: webhook._id, messageId, attempt, status, error, durationMs: Date.now() - startedAt, nextAttemptAt })
+  } catch (e) {
+    console.error('Error al guardar la entrega del webhook:', e)
+  }
+
+  if (!nextAttemptAt) return
+  // `unref` evita que un reintento pendiente mantenga vivo el proceso al apagarlo.
+  setTimeout(async () => {
+    try {
+      // Puede que lo hayan borrado (o cambiado de URL) mientras esperábamos.
+      const current = await WebhookRepository.findById(webhook._id.toString())
+      if (current) await deliver(current, messageId, body, attempt + 1)
+    } catch (e) {
+      console.error('Error al reintentar el webhook:', e)
+    }
+  }, nextAttemptAt - Date.now()).unref()
+}
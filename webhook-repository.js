@@ -0,0 +1,336 @@
+// --- Repositorio de Webhooks ---
+
+// Los webhooks conectan el chat con otros sistemas. Los crea y los borra un administrador.
+// - De entrada ('incoming'): una URL secreta (`/hooks/<token>`) a la que otro sistema (la integración
+//   continua, las alertas...) envía un JSON y su texto se publica en una sala, firmado con el nombre del webhook.
+//   Del token, como de los refresh tokens, solo guardamos el hash: se muestra una única vez al crearlo.
+// - De salida ('outgoing'): cada mensaje nuevo de un canal (o de uno concreto) se envía por POST a una URL,
+//   firmado con HMAC (ver `webhook-dispatcher.js`). Opcionalmente, solo los que contienen una palabra clave.
+//   Aquí sí guardamos el secreto en claro: hace falta para firmar cada envío.
+//
+// Un webhook de salida no puede apuntar a la red interna (localhost, redes privadas, la dirección de
+// metadatos de la nube 169.254.169.254...): el servidor enviaría ahí cada mensaje y el registro de
+// entregas revelaría qué responde. Se comprueba al crearlo y en cada envío, al conectar: el DNS puede
+// cambiar, así que se comprueba la misma dirección a la que se conecta (ver `lookupExternal`).
+// Las excepciones, explícitas, van en `WEBHOOK_ALLOWED_HOSTS`.
+//
+// Cada intento de entrega de un webhook de salida queda en un registro (`webhook_deliveries`)
+// para poder ver qué ha fallado. Las entradas se borran solas al cabo de `DELIVERY_LOG_TTL_DAYS` días.
+
+import crypto from 'crypto'
+import dns from 'node:dns'
+import net from 'node:net'
+import { ObjectId } from 'mongodb'
+import { db } from './db.js'
+import { WEBHOOK_ALLOWED_HOSTS } from './config.js'
+
+const webhooks = db.collection('webhooks')
+const deliveries = db.collection('webhook_deliveries')
+
+// Días que se conservan las entradas del registro de entregas.
+const DELIVERY_LOG_TTL_DAYS = 30
+
+// Número máximo de entradas que devuelve una consulta del registro de entregas.
+const MAX_DELIVERIES = 100
+
+// Redes a las que no se envían webhooks de salida. Las reglas IPv4 valen también para las
+// direcciones IPv6 que las representan (`::ffff:127.0.0.1`).
+const INTERNAL_NETWORKS = new net.BlockList()
+for (const [address, prefix, type] of [
+  ['0.0.0.0', 8, 'ipv4'], // "Esta" red.
+  ['10.0.0.0', 8, 'ipv4'], // Privada.
+  ['100.64.0.0', 10, 'ipv4'], // NAT del operador.
+  ['127.0.0.0', 8, 'ipv4'], // Loopback.
+  ['169.254.0.0', 16, 'ipv4'], // Enlace local (incluye los metadatos de la nube).
+  ['172.16.0.0', 12, 'ipv4'], // Privada.
+  ['192.168.0.0', 16, 'ipv4'], // Privada.
+  ['::', 128, 'ipv6'], // Sin especificar.
+  ['::1', 128, 'ipv6'], // Loopback.
+  ['fc00::', 7, 'ipv6'], // Privada (ULA).
+  ['fe80::', 10, 'ipv6'] // Enlace local.
+]) INTERNAL_NETWORKS.addSubnet(address, prefix, type)
+
+// Hosts internos permitidos a propósito (en minúsculas).
+const allowedHosts = new Set(WEBHOOK_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean))
+
+/**
+ * Devuelve el host de una URL tal y como se resuelve: en minúsculas y, si es una dirección IPv6,
+ * sin los corchetes con los que llega (`http://[::1]/`).
+ * @param {string} url - La URL.
+ * @returns {string}
+ */
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase()
+
+/**
+ * Comprueba que ninguna de las direcciones a las que resuelve un host es interna (salvo que el host
+ * esté en `WEBHOOK_ALLOWED_HOSTS`).
+ * @param {string} host - El host, en minúsculas.
+ * @param {{ address: string, family: number }[]} addresses - Sus direcciones.
+ * @throws {Error} - Si alguna es interna.
+ */
+function assertExternalAddresses (host, addresses) {
+  if (allowedHosts.has(host)) return
+  if (addresses.some(({ address, family }) => INTERNAL_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+    throw new Error(`La URL del webhook apunta a una dirección interna (${host}). Si es a propósito, añade el host a WEBHOOK_ALLOWED_HOSTS.`)
+  }
+}
+
+/**
+ * Comprueba que la URL de un webhook de salida no apunta a la red interna (salvo los hosts de
+ * `WEBHOOK_ALLOWED_HOSTS`). Si es un nombre, se comprueban todas las direcciones a las que resuelve.
+ * Sirve para avisar al crear el webhook; al enviarlo, lo que cuenta es `lookupExternal`.
+ * @param {string} url - La URL (ya validada con `Validation.url`).
+ * @throws {Error} - Si el host no existe o apunta a una dirección interna.
+ */
+export async function assertExternalUrl (url) {
+  const host = hostOf(url)
+  if (allowedHosts.has(host)) return
+
+  let addresses
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true })
+  } catch {
+    throw new Error(`No se encuentra el host del webhook (${host}).`)
+  }
+  assertExternalAddresses(host, addresses)
+}
+
+/**
+ * Comprueba, sin resolver nada, una URL de webhook cuyo host es una dirección IP: al conectar a una IP
+ * no se llama a `lookupExternal`. Si el host es un nombre, no hace nada.
+ * @param {string} url - La URL.
+ * @throws {Error} - Si apunta a una dirección interna.
+ */
+export function assertExternalIp (url) {
+  const host = hostOf(url)
+  if (net.isIP(host)) assertExternalAddresses(host, [{ address: host, family: net.isIP(host) }])
+}
+
+/**
+ * Resuelve un host como `dns.lookup`, pero falla si alguna de sus direcciones es interna.
+ * Se usa como `lookup` de las conexiones de los webhooks de salida (ver `webhook-dispatcher.js`):
+ * así se conecta exactamente a la dirección comprobada, y un DNS que cambia de respuesta entre
+ * la comprobación y la conexión ("DNS rebinding") no puede llevarnos a la red interna.
+ * @param {string} hostname - El host.
+ * @param {object} options - Las opciones de `dns.lookup`.
+ * @param {Function} callback - Recibe `(error, address, family)`, o `(error, addresses)` con `options.all`.
+ */
+export function lookupExternal (hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+    try {
+      assertExternalAddresses(hostname.toLowerCase(), addresses)
+    } catch (e) {
+      return callback(e)
+    }
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * Calcula el hash que guardamos en lugar del token de un webhook de entrada.
+ * @param {string} secret - La parte secreta del token.
+ * @returns {string}
+ */
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+export class WebhookRepository {
+  /**
+   * Crea los índices de las colecciones. Se llama una sola vez al arrancar el servidor.
+   */
+  static async init () {
+    await webhooks.createIndex({ direction: 1, roomId: 1 })
+    await deliveries.createIndex({ webhookId: 1, createdAt: -1 })
+    await deliveries.createIndex({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_TTL_DAYS * 24 * 60 * 60 })
+  }
+
+  /**
+   * Crea un webhook de entrada.
+   * @param {object} params
+   * @param {string} params.name - El nombre con el que firma sus mensajes.
+   * @param {ObjectId} params.roomId - El canal en el que publica.
+   * @param {string} params.createdBy - El administrador que lo crea.
+   * @returns {Promise<{ webhook: object, token: string }>} - El webhook y su token en claro (solo se ve ahora).
+   */
+  static async createIncoming ({ name, roomId, createdBy }) {
+    Validation.name(name)
+
+    const secret = crypto.randomBytes(32).toString('base64url')
+    const webhook = { direction: 'incoming', name: name.trim(), roomId, tokenHash: hashToken(secret), createdBy, createdAt: new Date() }
+    const result = await webhooks.insertOne(webhook)
+    return { webhook: { _id: result.insertedId, ...webhook }, token: `${result.insertedId}.${secret}` }
+  }
+
+  /**
+   * Crea un webhook de salida.
+   * @param {object} params
+   * @param {string} params.name - Un nombre para reconocerlo.
+   * @param {string} params.url - La URL (http o https) a la que se envían los mensajes.
+   * @param {ObjectId|null} [params.roomId] - Solo los mensajes de este canal (`null`: de todos los canales).
+   * @param {string} [params.keyword] - Solo los mensajes que contienen esta palabra (sin distinguir mayúsculas).
+   * @param {string} params.createdBy - El administrador que lo crea.
+   * @returns {Promise<{ webhook: object, secret: string }>} - El webhook y el secreto para comprobar las firmas.
+   */
+  static async createOutgoing ({ name, url, roomId = null, keyword, createdBy }) {
+    Validation.name(name)
+    Validation.url(url)
+    Validation.keyword(keyword)
+    await assertExternalUrl(url)
+
+    const secret = crypto.randomBytes(32).toString('hex')
+    const webhook = {
+      direction: 'outgoing',
+      name: name.trim(),
+      url,
+      roomId,
+      keyword: keyword?.trim() || null,
+      secret,
+      createdBy,
+      createdAt: new Date()
+    }
+    const result = await webhooks.insertOne(webhook)
+    return { webhook: { _id: result.insertedId, ...webhook }, secret }
+  }
+
+  /**
+   * Busca el webhook de entrada de un token. Devuelve `null` si el token no es válido.
+   * @param {string} token - El token (`<id>.<secreto>`), tal y como llega en la URL.
+   * @returns {Promise<object|null>}
+   */
+  static async findIncomingByToken (token) {
+    const [id, secret] = String(token).split('.')
+    if (!ObjectId.isValid(id) || !secret) return null
+
+    const webhook = await webhooks.findOne({ _id: new ObjectId(id), direction: 'incoming' })
+    if (!webhook) return null
+    // Comparación en tiempo constante, para no dar pistas sobre el hash.
+    const matches = crypto.timingSafeEqual(Buffer.from(hashToken(secret)), Buffer.from(webhook.tokenHash))
+    return matches ? webhook : null
+  }
+
+  /**
+   * Devuelve los webhooks de salida interesados en los mensajes de un canal.
+   * @param {ObjectId} roomId - El canal.
+   * @returns {Promise<object[]>}
+   */
+  static async listOutgoingFor (roomId) {
+    return webhooks.find({ direction: 'outgoing', roomId: { $in: [roomId, null] } }).toArray()
+  }
+
+  /**
+   * Lista todos los webhooks, los más recientes primero.
+   * @returns {Promise<object[]>}
+   */
+  static async list () {
+    return webhooks.find().sort({ createdAt: -1 }).toArray()
+  }
+
+  /**
+   * Busca un webhook por su ID. Devuelve `null` si el ID no es válido o no existe.
+   * @param {string} webhookId - El ID del webhook.
+   * @returns {Promise<object|null>}
+   */
+  static async findById (webhookId) {
+    if (!ObjectId.isValid(webhookId)) return null
+    return webhooks.findOne({ _id: new ObjectId(webhookId) })
+  }
+
+  /**
+   * Borra un webhook (su registro de entregas se borrará solo, al caducar).
+   * @param {ObjectId} webhookId - El ID del webhook.
+   */
+  static async remove (webhookId) {
+    await webhooks.deleteOne({ _id: webhookId })
+  }
+
+  /**
+   * Guarda en el registro un intento de entrega de un webhook de salida.
+   * @param {object} params
+   * @param {ObjectId} params.webhookId - El webhook.
+   * @param {string} params.messageId - El mensaje enviado.
+   * @param {number} params.attempt - El número de intento (empezando en 1).
+   * @param {number|null} params.status - El código HTTP de la respuesta (`null` si no la hubo).
+   * @param {string|null} params.error - El motivo del fallo, si lo hubo.
+   * @param {number} params.durationMs - Cuánto tardó.
+   * @param {Date|null} params.nextAttemptAt - Cuándo se reintentará (`null` si no habrá más intentos).
+   */
+  static async recordDelivery ({ webhookId, messageId, attempt, status, error, durationMs, nextAttemptAt }) {
+    await deliveries.insertOne({
+      webhookId,
+      messageId,
+      attempt,
+      status,
+      ok: !error,
+      error,
+      durationMs,
+      nextAttemptAt,
+      createdAt: new Date()
+    })
+  }
+
+  /**
+   * Devuelve los intentos de entrega más recientes de un webhook.
+   * @param {ObjectId} webhookId - El webhook.
+   * @returns {Promise<object[]>}
+   */
+  static async listDeliveries (webhookId) {
+    return deliveries.find({ webhookId }).sort({ createdAt: -1 }).limit(MAX_DELIVERIES).toArray()
+  }
+
+  /**
+   * Convierte un webhook en el objeto que enviamos al panel de administración (sin hash ni secreto).
+   * @param {object} webhook - El documento del webhook.
+   * @returns {object}
+   */
+  static toPublic (webhook) {
+    return {
+      id: webhook._id.toString(),
+      direction: webhook.direction,
+      name: webhook.name,
+      roomId: webhook.roomId?.toString() ?? null,
+      url: webhook.url ?? null,
+      keyword: webhook.keyword ?? null,
+      createdBy: webhook.createdBy,
+      createdAt: webhook.createdAt
+    }
+  }
+}
+
+/**
+ * Reglas de validación de los webhooks.
+ */
+class Validation {
+  /**
+   * Valida el nombre del webhook.
+   * @param {string} name - El nombre a validar.
+   */
+  static name (name) {
+    if (typeof name !== 'string') throw new Error('El nombre del webhook debe ser un texto.')
+    const trimmed = name.trim()
+    if (trimmed.length < 2 || trimmed.length > 30) throw new Error('El nombre del webhook debe tener entre 2 y 30 caracteres.')
+  }
+
+  /**
+   * Valida la URL de un webhook de salida: solo http o https.
+   * @param {string} url - La URL a validar.
+   */
+  static url (url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch {
+      throw new Error('La URL del webhook no es válida.')
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('La URL del webhook debe ser http o https.')
+  }
+
+  /**
+   * Valida la palabra clave opcional de un webhook de salida.
+   * @param {string} [keyword] - La palabra clave a validar.
+   */
+  static keyword (keyword) {
+    if (keyword === undefined || keyword === null) return
+    if (typeof keyword !== 'string' || keyword.length > 50) throw new Error('La palabra clave debe ser un texto de como mucho 50 caracteres.')
+  }
+}